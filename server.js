@@ -3,11 +3,20 @@ import express from "express";
 import bodyParser from "body-parser";
 import cors from "cors";
 import axios from "axios";
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import { AsyncLocalStorage } from "async_hooks";
 import fs from "fs";
+import JSZip from "jszip";
 import path from "path";
+import { fileURLToPath } from "url";
 import PDFDocument from "pdfkit";
 import PPTXGenJS from "pptxgenjs";
-import { Document, Packer, Paragraph, TextRun } from "docx";
+import {
+  AlignmentType, BorderStyle, Document, ExternalHyperlink, Footer, Header, HeadingLevel, LevelFormat, Packer,
+  ImageRun, PageBreak, PageNumber, Paragraph, ShadingType, Table, TableCell, TableOfContents, TableRow, TextRun, WidthType,
+} from "docx";
 
 // ─────────────────────────── App Setup ───────────────────────────
 const app = express();
@@ -22,663 +31,6354 @@ app.use((req, res, next) => {
   res.on("finish", () => {
     const duration = Date.now() - start;
     console.log(
-      `[${new Date().toISOString()}] ${req.method} ${req.url} ${res.statusCode} - ${duration}ms`,
+      `[${new Date().toISOString()}] ${req.method} ${req.url} ${res.statusCode} - ${duration}ms key=${req.solKey?.name || "-"}`,
       Object.keys(req.body || {}).length ? req.body : ""
     );
   });
 
   res.on("error", (err) => {
-    const duration = Date.now() - start;
-    console.error(
-      `[${new Date().toISOString()}] ERROR ${req.method} ${req.url} ${res.statusCode} - ${duration}ms`,
-      err.stack || err
-    );
+    logError("response_failed", {
+      method: req.method,
+      url: req.originalUrl,
+      key: req.solKey?.name,
+      status: res.statusCode,
+      duration_ms: Date.now() - start,
+      message: err.message,
+      stack: err.stack,
+    });
+  });
+
+  next();
+});
+
+// Files dir
+const filesDir = path.join(process.cwd(), "public", "files");
+fs.mkdirSync(filesDir, { recursive: true });
+app.use("/files", express.static(filesDir));
+
+// ─────────────────────────── Config ───────────────────────────
+const PORT = process.env.PORT || 3000;
+
+const NOTION_KEY = process.env.NOTION_KEY || "";
+// Overridable so tests can point the server at a stub of the Notion API
+const NOTION_API_URL = (process.env.NOTION_API_URL || "https://api.notion.com/v1").replace(/\/$/, "");
+// Storage backend: "notion" (the API) or "local" (a JSON file, for development and tests without Notion)
+const STORAGE = (process.env.SOL_STORAGE || "notion").toLowerCase();
+const LOCAL_STORE_FILE = process.env.LOCAL_STORE_FILE || path.join(process.cwd(), "data", "local_store.json");
+// Database ids the local backend seeds when no id is configured for an alias
+const LOCAL_DB_IDS = {
+  docs: "d0c5d0c5-0000-4000-8000-000000000001",
+  roadmap: "d0c5d0c5-0000-4000-8000-000000000002",
+  tasks: "d0c5d0c5-0000-4000-8000-000000000003",
+};
+const localDefault = (alias) => (STORAGE === "local" ? LOCAL_DB_IDS[alias] : "");
+// Database registry; without it docs, roadmap and tasks come from the *_DATABASE_ID variables
+const DATABASES_FILE = process.env.SOL_DATABASES_FILE || path.join(process.cwd(), "sol_databases.json");
+// Page templates, one <name>.json per template
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(process.cwd(), "templates");
+const SEARCH_API_KEY = process.env.SEARCH_API_KEY || "";
+const SEARCH_PROVIDER = (process.env.SEARCH_PROVIDER || "").toLowerCase();
+const SEARCH_FIXTURE = process.env.SEARCH_FIXTURE || path.join(process.cwd(), "search_fixture.json");
+const SEARCH_CACHE_TTL = Number(process.env.SEARCH_CACHE_TTL_SECONDS ?? 600) * 1000;
+// Local full-text index over the docs database; a search syncs it first when it is older than this (0 = always)
+const SEARCH_INDEX_FILE = process.env.SEARCH_INDEX_FILE || path.join(process.cwd(), "data", "search_index.json");
+const SEARCH_INDEX_REFRESH = Number(process.env.SEARCH_INDEX_REFRESH_SECONDS ?? 60) * 1000;
+// Notion read caches; 0 disables one. Our own writes invalidate what they change.
+const SCHEMA_CACHE_TTL = Number(process.env.SCHEMA_CACHE_TTL_SECONDS ?? 300) * 1000;
+const USER_CACHE_TTL = Number(process.env.USER_CACHE_TTL_SECONDS ?? 600) * 1000;
+const PAGE_CACHE_TTL = Number(process.env.PAGE_CACHE_TTL_SECONDS ?? 30) * 1000;
+
+const BASE_URL = process.env.BASE_URL || "";
+const VERSION = process.env.SOL_VERSION || "v3.2.0";
+const SERVER_TOKEN = process.env.SERVER_TOKEN || "";
+// Hosts exempt from the private-address check on URLs the server fetches for callers (comma-separated)
+const OUTBOUND_ALLOW_HOSTS = (process.env.OUTBOUND_ALLOW_HOSTS || "").split(",").map((h) => h.trim().toLowerCase()).filter(Boolean);
+const KEYS_FILE = process.env.SOL_KEYS_FILE || path.join(process.cwd(), "sol_keys.json");
+
+// Requests per minute for each route class, per API key (or per IP without one); 0 disables the limit
+const RATE_LIMITS = {
+  read: Number(process.env.RATE_LIMIT_READ ?? 120),
+  write: Number(process.env.RATE_LIMIT_WRITE ?? 30),
+  generate: Number(process.env.RATE_LIMIT_GENERATE ?? 10),
+};
+// Average requests per second sent to Notion by the whole server
+const NOTION_RPS = Number(process.env.NOTION_RPS ?? 3);
+// Pages patched at once by /batch_update_fields
+const BATCH_CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY ?? 3));
+
+// Background jobs: saved under JOBS_DIR, kept for JOB_TTL after finishing
+const JOBS_DIR = process.env.JOBS_DIR || path.join(process.cwd(), "data", "jobs");
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY ?? 2));
+const JOB_MAX_ATTEMPTS = Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS ?? 5));
+const JOB_TTL = Number(process.env.JOB_TTL_HOURS ?? 24) * 3600 * 1000;
+const JOB_CALLBACK_ATTEMPTS = 3;
+
+// Change feed: watched databases are polled every WATCH_INTERVAL (0 stops polling; POST /changes/poll still works)
+const CHANGES_DIR = process.env.CHANGES_DIR || path.join(process.cwd(), "data", "changes");
+const WATCH_INTERVAL = Number(process.env.WATCH_INTERVAL_SECONDS ?? 60) * 1000;
+// Queries skip archived pages, so every WATCH_FULL_SCAN_EVERY polls lists every page to notice them
+const WATCH_FULL_SCAN_EVERY = Math.max(1, Number(process.env.WATCH_FULL_SCAN_EVERY ?? 10));
+const CHANGES_RETENTION_DAYS = Number(process.env.CHANGES_RETENTION_DAYS ?? 7);
+const WEBHOOK_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_ATTEMPTS ?? 5));
+const WEBHOOK_BACKOFF_MS = Number(process.env.WEBHOOK_BACKOFF_MS ?? 2000);
+
+// Audit log: one JSONL file per day, kept for AUDIT_RETENTION_DAYS
+const AUDIT_DIR = process.env.AUDIT_DIR || path.join(process.cwd(), "data", "audit");
+const AUDIT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS ?? 30);
+const AUTO_AUTH = String(process.env.AUTO_AUTH || "true").toLowerCase() === "true";
+const STRICT_MODE = String(process.env.STRICT_MODE || "true").toLowerCase() === "true";
+
+// ─────────────────────────── Utils ───────────────────────────
+const normId = (s) => String(s || "").replace(/-/g, "").toLowerCase();
+const toDashedUuid = (s) => {
+  const raw = String(s || "").replace(/-/g, "");
+  return /^[0-9a-fA-F]{32}$/.test(raw)
+    ? `${raw.slice(0,8)}-${raw.slice(8,12)}-${raw.slice(12,16)}-${raw.slice(16,20)}-${raw.slice(20)}`
+    : String(s || "");
+};
+const safeName = (n) => String(n).replace(/[^\w\\-]+/g, "_").slice(0, 80);
+const filePathFor = (n) => path.join(filesDir, n);
+const publicBaseURL = (req) => BASE_URL || `${req.headers["x-forwarded-proto"] || req.protocol}://${req.get("host")}`;
+const makePublicURL = (base, name) => `${base}/files/${encodeURIComponent(name)}`;
+// Error carrying the JSON body a route answers with (and a job records)
+const httpError = (status, body) =>
+  Object.assign(new Error(body.message || body.error), { httpStatus: status, body: { ok: false, ...body } });
+// Who is acting: the request itself, or the same fields saved with a job
+const actorOf = (req) => ({ solKey: req.solKey, path: req.path, base_url: publicBaseURL(req) });
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+// Run fn over items with at most `limit` calls in flight; results keep the input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+const levenshtein = (a, b) => {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+};
+// Closest candidate for "did you mean" hints, or undefined when nothing is close
+const didYouMean = (input, candidates) => {
+  const s = String(input).toLowerCase();
+  let best, bestDist = Infinity;
+  for (const c of candidates) {
+    const d = levenshtein(s, String(c).toLowerCase());
+    if (d < bestDist) { best = c; bestDist = d; }
+  }
+  return bestDist <= Math.max(2, Math.floor(s.length / 3)) ? best : undefined;
+};
+
+// ─────────────────────────── Errors ───────────────────────────
+// Notion error codes → the status a route answers with, and a hint for the caller
+const NOTION_ERRORS = {
+  object_not_found: { status: 404, hint: "Check the id, and that the page or database is shared with the integration" },
+  validation_error: { status: 400, hint: "A property name, type or option doesn't match the database; see GET /notion_schema" },
+  invalid_request: { status: 400, hint: "Notion rejected the request; check the fields and values sent" },
+  invalid_json: { status: 400, hint: "Notion rejected the request; check the fields and values sent" },
+  invalid_request_url: { status: 400, hint: "Check the page, block or database id" },
+  unauthorized: { status: 401, hint: "NOTION_KEY is missing or invalid" },
+  restricted_resource: { status: 403, hint: "Share the page or database with the integration" },
+  rate_limited: { status: 429, hint: "Notion is rate limiting the integration; retry after Retry-After" },
+  conflict_error: { status: 409, hint: "The page changed while it was being saved; retry the request" },
+};
+const NETWORK_TIMEOUTS = ["ECONNABORTED", "ETIMEDOUT"];
+
+// Any thrown error → { status, body } with a stable `code` (also in `error`), Notion's request_id and a hint
+function describeError(e) {
+  if (e.httpStatus) return { status: e.httpStatus, body: { ...e.body, code: e.body.code || e.body.error } };
+  const data = e.response?.data;
+  if (data?.object === "error") {
+    const known = NOTION_ERRORS[data.code];
+    const status = known?.status || (e.response.status >= 500 ? 502 : e.response.status);
+    const code = known ? data.code : e.response.status >= 500 ? "notion_unavailable" : data.code || "notion_error";
+    const hint = known?.hint || (status === 502 ? "Notion is having trouble; retry later" : undefined);
+    return { status, body: { ok: false, error: code, code, message: data.message, hint, request_id: data.request_id } };
+  }
+  if (e.response) {
+    const body = { ok: false, error: "upstream_error", code: "upstream_error", message: `${e.config?.url || "Upstream"} answered HTTP ${e.response.status}` };
+    return { status: 502, body };
+  }
+  if (e.isAxiosError || e.request) {
+    const timeout = NETWORK_TIMEOUTS.includes(e.code);
+    const code = timeout ? "upstream_timeout" : "upstream_unreachable";
+    return { status: timeout ? 504 : 502, body: { ok: false, error: code, code, message: e.message, hint: "Retry later" } };
+  }
+  return { status: 500, body: { ok: false, error: "internal_error", code: "internal_error", message: e.message } };
+}
+
+// One JSON object per line on stderr
+const logError = (event, { level = "error", ...fields } = {}) =>
+  console.error(JSON.stringify({ level, time: new Date().toISOString(), event, ...fields }));
+
+// Answer a failed request and log it; 4xx are logged as warnings, 500s with their stack
+function sendError(req, res, e) {
+  const { status, body } = describeError(e);
+  logError("request_failed", {
+    level: status < 500 ? "warn" : "error",
+    method: req.method,
+    url: req.originalUrl,
+    key: req.solKey?.name,
+    status,
+    code: body.code,
+    request_id: body.request_id,
+    message: body.message,
+    ...(status === 500 && { stack: e.stack }),
+  });
+  const retryAfter = e.response?.headers?.["retry-after"];
+  if (status === 429 && retryAfter) res.set("Retry-After", String(retryAfter));
+  res.status(status).json(body);
+}
+
+// ─────────────────────────── Outbound Requests ───────────────────────────
+// URLs that come from callers or page content (images, job callbacks) must be http(s) and resolve to public
+// addresses, or any caller could make the server request internal hosts
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv4");
+for (const [address, prefix] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], "ipv4");
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+async function checkOutboundUrl(url) {
+  let parsed;
+  try { parsed = new URL(url); } catch { throw httpError(400, { error: "blocked_url", message: `Not a valid URL: ${url}` }); }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw httpError(400, { error: "blocked_url", message: `Only http and https URLs are fetched, not ${parsed.protocol}` });
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (OUTBOUND_ALLOW_HOSTS.includes(host)) return;
+  const addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+  if (addresses.some(isPrivateAddress)) {
+    throw httpError(400, {
+      error: "blocked_url",
+      message: `${parsed.hostname} resolves to a private address`,
+      hint: "Use a public URL, or add the host to OUTBOUND_ALLOW_HOSTS",
+    });
+  }
+}
+
+// axios request to a checked URL; redirects are followed here so every hop is checked too
+async function outboundRequest(config, maxRedirects = 3) {
+  for (let hop = 0; ; hop++) {
+    await checkOutboundUrl(config.url);
+    const resp = await axios({ ...config, maxRedirects: 0, validateStatus: (s) => s >= 200 && s < 400 });
+    if (resp.status < 300) return resp;
+    if (!resp.headers.location || hop >= maxRedirects) {
+      throw httpError(502, { error: "upstream_error", message: `${config.url} answered HTTP ${resp.status}` });
+    }
+    config = { ...config, url: new URL(resp.headers.location, config.url).href };
+  }
+}
+
+// ─────────────────────────── Auth Middleware ───────────────────────────
+// API keys come from SOL_KEYS_FILE:
+//   { "keys": [{ "name": "agent", "key": "…" | "key_sha256": "<hex>", "scopes": ["read", "write"], "databases": ["docs"],
+//                "rate_limits": { "read": 600 } }] }
+// `databases` (aliases or database ids) is optional; without it a key reaches every database.
+// `rate_limits` overrides RATE_LIMITS for that key. `admin` sees and undoes every key's audit entries.
+// SERVER_TOKEN, when set, is an extra key named "server" with every scope.
+const AUTH_SCOPES = ["read", "write", "delete", "export", "admin"];
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest();
+
+function loadApiKeys() {
+  const keys = [];
+  if (fs.existsSync(KEYS_FILE)) {
+    const raw = JSON.parse(fs.readFileSync(KEYS_FILE, "utf8"));
+    for (const k of Array.isArray(raw) ? raw : raw.keys || []) {
+      if (!k.name || !(k.key || k.key_sha256)) throw new Error(`${KEYS_FILE}: every key needs a name and a key or key_sha256`);
+      const scopes = k.scopes?.includes("*") ? [...AUTH_SCOPES] : k.scopes || ["read"];
+      const unknown = scopes.filter((x) => !AUTH_SCOPES.includes(x));
+      if (unknown.length) throw new Error(`${KEYS_FILE}: key "${k.name}" has unknown scopes: ${unknown.join(", ")}`);
+      keys.push({
+        name: k.name,
+        digest: k.key ? sha256(k.key) : Buffer.from(k.key_sha256, "hex"),
+        scopes,
+        databases: k.databases || null,
+        rate_limits: k.rate_limits || null,
+      });
+    }
+  }
+  if (SERVER_TOKEN) keys.push({ name: "server", digest: sha256(SERVER_TOKEN), scopes: [...AUTH_SCOPES], databases: null });
+  return keys;
+}
+const API_KEYS = loadApiKeys();
+
+const presentedToken = (req) => {
+  const tok = req.headers["x-sol-token"] || req.headers["authorization"];
+  return typeof tok === "string" && tok.startsWith("Bearer ") ? tok.slice(7) : tok;
+};
+
+// Every key is compared, in constant time, so timing does not reveal which one (if any) matched
+function identifyKey(token) {
+  if (!token) return null;
+  const digest = sha256(token);
+  let found = null;
+  for (const k of API_KEYS) {
+    if (k.digest.length === digest.length && crypto.timingSafeEqual(k.digest, digest) && !found) found = k;
+  }
+  return found;
+}
+
+// Without a key, AUTO_AUTH grants read access (and write access when STRICT_MODE is off), but only while no
+// keys are configured: anonymous callers would otherwise get around the keys' scopes and database allow-lists
+const ANONYMOUS_KEY = {
+  name: "anonymous",
+  scopes: AUTO_AUTH && !API_KEYS.length ? (STRICT_MODE ? ["read"] : ["read", "write"]) : [],
+  databases: null,
+};
+
+const hasScope = (req, scope) => !!req.solKey?.scopes.includes(scope);
+// Normalized ids of a key's allow-listed databases; entries naming no configured database match nothing
+const allowedDbIds = (key) => new Set(key.databases.map((d) => normId(findDatabase(d)?.id || d)));
+const dbIdOf = (db) => normId(/^[0-9a-f-]{32,36}$/i.test(String(db)) ? db : getDbId(db));
+// The database a route works on when none is given resolves to the default database
+const requestDb = (req) => req.body?.db ?? req.query.db ?? "";
+
+// Page ids named anywhere in the request, each with the db whose token reads it (batch items carry their own)
+function requestPageIds(req) {
+  const b = req.body || {};
+  const db = requestDb(req);
+  const items = [
+    ...[b.page_id, req.query.page_id, ...[].concat(b.page_ids || [])].map((id) => ({ id, db })),
+    ...(Array.isArray(b.updates) ? b.updates.map((u) => ({ id: u?.page_id, db: u?.db ?? db })) : []),
+  ].filter((x) => typeof x.id === "string" && x.id);
+  return [...new Map(items.map((x) => [`${normId(x.id)}|${x.db}`, x])).values()];
+}
+
+// Parent database of a page, or of the page a block sits in (page routes such as /page_blocks take block ids)
+async function parentDatabaseOf(headers, id) {
+  try {
+    const page = await doNotion("get", `https://api.notion.com/v1/pages/${id}`, { headers });
+    return page.data?.parent?.database_id;
+  } catch (e) {
+    if (e.response?.status !== 404 && e.response?.status !== 400) throw e;
+  }
+  let parent = (await doNotion("get", `https://api.notion.com/v1/blocks/${id}`, { headers })).data?.parent;
+  while (parent?.type === "block_id") {
+    parent = (await doNotion("get", `https://api.notion.com/v1/blocks/${parent.block_id}`, { headers })).data?.parent;
+  }
+  return parent?.type === "page_id" ? parentDatabaseOf(headers, parent.page_id) : parent?.database_id;
+}
+
+// requireSolAuth(scope, { db }) → middleware that needs a key holding `scope`. For keys with a database
+// allow-list it also checks the route's database(s) — `db` is an alias or a function of the request —
+// and the parent database of every page id in the request. api routes validate the request between the
+// two halves (`authenticate`, `checkDatabases`), so a malformed body never costs a Notion call.
+function requireSolAuth(scope, { db } = {}) {
+  const authenticate = (req, res, next) => {
+    const token = presentedToken(req);
+    const key = identifyKey(token);
+    if (token && !key) return sendError(req, res, httpError(401, { error: "unauthorized" }));
+    req.solKey = key || ANONYMOUS_KEY;
+    if (!hasScope(req, scope)) {
+      return sendError(req, res, httpError(key ? 403 : 401, { error: key ? "forbidden" : "unauthorized", scope }));
+    }
+    if (!rateLimit(req, res, RATE_CLASS[scope])) return;
+    next();
+  };
+
+  const checkDatabases = async (req, res, next) => {
+    if (!req.solKey.databases) return next();
+    const allowed = allowedDbIds(req.solKey);
+    try {
+      const dbs = [].concat((typeof db === "function" ? db(req) : db) ?? []);
+      for (const d of dbs) {
+        if (!allowed.has(dbIdOf(d))) throw httpError(403, { error: "db_not_allowed", db: d || null });
+      }
+      const parents = await mapWithConcurrency(requestPageIds(req), BATCH_CONCURRENCY, async ({ id, db: pageDb }) =>
+        ({ id, dbId: await parentDatabaseOf(notionHeaders(pageDb), id) }));
+      const denied = parents.find((p) => !allowed.has(normId(p.dbId)));
+      if (denied) throw httpError(403, { error: "db_not_allowed", page_id: denied.id });
+    } catch (e) {
+      return sendError(req, res, e);
+    }
+    next();
+  };
+
+  // The scope stays on the middleware so /openapi.json can document it
+  return Object.assign((req, res, next) => authenticate(req, res, () => checkDatabases(req, res, next)), {
+    scope, authenticate, checkDatabases,
+  });
+}
+
+// ─────────────────────────── Rate Limiting ───────────────────────────
+// Token bucket holding up to `capacity` tokens, refilled at `perSecond`
+function createTokenBucket(capacity, perSecond) {
+  let tokens = capacity, updated = Date.now();
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - updated) / 1000) * perSecond);
+    updated = now;
+  };
+  return {
+    capacity,
+    // Take one token if available; otherwise report how long until one is
+    take() {
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return { ok: true, remaining: Math.floor(tokens), reset: Math.ceil((capacity - tokens) / perSecond) };
+      }
+      return { ok: false, remaining: 0, retryAfter: Math.ceil((1 - tokens) / perSecond), reset: Math.ceil((capacity - tokens) / perSecond) };
+    },
+    // Seconds until a token is available (0 when one is available now)
+    wait() {
+      refill();
+      return tokens >= 1 ? 0 : (1 - tokens) / perSecond;
+    },
+    get idleFull() {
+      refill();
+      return tokens >= capacity;
+    },
+  };
+}
+
+const RATE_CLASS = { read: "read", write: "write", delete: "write", export: "generate" };
+const rateBuckets = new Map();
+const RATE_BUCKETS_SWEEP_AT = 10000;
+
+// Apply the route class limit for the caller; sends 429 and returns false when exhausted.
+// Headers follow the IETF RateLimit header fields draft (RateLimit-Limit/-Remaining/-Reset).
+function rateLimit(req, res, cls) {
+  const limit = Number(req.solKey.rate_limits?.[cls] ?? RATE_LIMITS[cls]);
+  if (!cls || !(limit > 0)) return true;
+
+  const who = req.solKey === ANONYMOUS_KEY ? `ip:${req.ip}` : `key:${req.solKey.name}`;
+  const id = `${cls}|${who}|${limit}`;
+  if (rateBuckets.size >= RATE_BUCKETS_SWEEP_AT) {
+    for (const [k, b] of rateBuckets) if (b.idleFull) rateBuckets.delete(k);
+  }
+  if (!rateBuckets.has(id)) rateBuckets.set(id, createTokenBucket(limit, limit / 60));
+  const r = rateBuckets.get(id).take();
+
+  res.set("RateLimit-Policy", `${limit};w=60`);
+  res.set("RateLimit-Limit", String(limit));
+  res.set("RateLimit-Remaining", String(r.remaining));
+  res.set("RateLimit-Reset", String(r.reset));
+  if (r.ok) return true;
+  res.set("Retry-After", String(r.retryAfter));
+  sendError(req, res, httpError(429, { error: "rate_limited", class: cls, retry_after: r.retryAfter }));
+  return false;
+}
+
+// Shared limiter for outgoing Notion calls. Callers queue in order, so bursts are spread out
+// instead of being answered with 429s.
+const notionBucket = NOTION_RPS > 0 ? createTokenBucket(NOTION_RPS, NOTION_RPS) : null;
+let notionQueue = Promise.resolve();
+
+function notionSlot() {
+  if (!notionBucket) return Promise.resolve();
+  const turn = notionQueue.then(async () => {
+    let wait;
+    while ((wait = notionBucket.wait()) > 0) await sleep(wait * 1000);
+    notionBucket.take();
+  });
+  notionQueue = turn;
+  return turn;
+}
+
+// ─────────────────────────── Notion Helpers ───────────────────────────
+// Databases come from SOL_DATABASES_FILE:
+//   { "databases": [{ "alias": "docs", "aliases": ["documents"], "id": "…", "token": "secret_…" | "token_env": "DOCS_NOTION_KEY",
+//                     "title_property": "Name", "topic_property": "Topic", "default": true, "watch": false,
+//                     "memory": true }] }
+// Each database may live in its own workspace: `token` (or the variable named by `token_env`) replaces NOTION_KEY
+// for it. `title_property` and `topic_property` name the properties titles and memory topics are written to.
+// Without `default`, the first database with an id is used when a request names none. `watch: false` keeps
+// a database out of the change feed. `memory: true` marks the database memory notes, memory search and packs
+// use; without it that is the one aliased docs, or else the default database.
+function loadDatabases() {
+  const raw = fs.existsSync(DATABASES_FILE) ? JSON.parse(fs.readFileSync(DATABASES_FILE, "utf8")) : null;
+  const list = raw ? (Array.isArray(raw) ? raw : raw.databases || []) : [
+    { alias: "docs", aliases: ["documents"], id: process.env.NOTION_DATABASE_ID || process.env.DOCS_DATABASE_ID },
+    { alias: "roadmap", aliases: ["road"], id: process.env.ROADMAP_DATABASE_ID },
+    { alias: "tasks", aliases: ["task", "tracker"], id: process.env.TASK_TRACKER_DATABASE_ID },
+  ];
+  const names = new Set();
+  return list.map((d) => {
+    if (!d.alias) throw new Error(`${DATABASES_FILE}: every database needs an alias`);
+    if (d.token_env && !process.env[d.token_env]) throw new Error(`${DATABASES_FILE}: ${d.token_env} is not set (database "${d.alias}")`);
+    const alias = String(d.alias).toLowerCase();
+    const aliases = [].concat(d.aliases || []).map((a) => String(a).toLowerCase());
+    for (const n of [alias, ...aliases]) {
+      if (names.has(n)) throw new Error(`${DATABASES_FILE}: "${n}" names more than one database`);
+      names.add(n);
+    }
+    const token = d.token || (d.token_env && process.env[d.token_env]) || "";
+    return {
+      alias,
+      aliases,
+      id: d.id ? toDashedUuid(d.id) : localDefault(alias),
+      token: token || NOTION_KEY,
+      own_token: !!token,
+      title_property: d.title_property || null,
+      topic_property: d.topic_property || "Topic",
+      default: !!d.default,
+      watch: d.watch !== false,
+      memory: !!d.memory,
+    };
+  });
+}
+const DATABASES = loadDatabases();
+const DEFAULT_DATABASE = DATABASES.find((d) => d.default) || DATABASES.find((d) => d.id) || DATABASES[0];
+const DATABASE_NAMES = DATABASES.flatMap((d) => [d.alias, ...d.aliases]);
+const MEMORY_DB = (DATABASES.find((d) => d.memory) || DATABASES.find((d) => d.alias === "docs") || DEFAULT_DATABASE).alias;
+
+// Alias, extra alias or database id → registry entry; an empty name is the default database
+const findDatabase = (db) => {
+  const name = String(db ?? "").trim().toLowerCase();
+  if (!name) return DEFAULT_DATABASE;
+  return DATABASES.find((d) => d.alias === name || d.aliases.includes(name) || (d.id && normId(d.id) === normId(name)));
+};
+function databaseEntry(db) {
+  const entry = findDatabase(db);
+  if (entry) return entry;
+  const suggestion = didYouMean(db, DATABASE_NAMES);
+  throw httpError(400, {
+    error: "unknown_db",
+    db,
+    message: `Unknown database "${db}"`,
+    hint: suggestion ? `Did you mean "${suggestion}"?` : `Known databases: ${DATABASES.map((d) => d.alias).join(", ")}`,
+  });
+}
+const getDbId = (db) => databaseEntry(db).id;
+
+// Headers for the workspace `db` lives in (the default database's without one)
+const notionHeaders = (db) => ({
+  "Authorization": `Bearer ${db ? databaseEntry(db).token : DEFAULT_DATABASE?.token || NOTION_KEY}`,
+  "Content-Type": "application/json",
+  "Notion-Version": "2022-06-28",
+});
+
+// The property titles are written to: title_property when the database has it, else its title property
+const titleKeyOf = (db, properties = {}) => {
+  const name = findDatabase(db)?.title_property;
+  return name && properties[name] ? name : Object.keys(properties).find((k) => properties[k].type === "title");
+};
+const topicKeyOf = (db) => findDatabase(db)?.topic_property || "Topic";
+// Notion rounds last_edited_time down to the minute, so a page edited in the minute of a watermark (the last
+// poll, the time a page was indexed) can show a time that isn't after it. Watermarks are compared from the
+// start of their minute; pages refetched that way without a real change diff to nothing.
+const watermarkMinute = (time) => `${String(time).slice(0, 16)}:00.000Z`;
+
+// Decode a Notion property object to a plain JSON value:
+// text → string, select/status → name, people → names, relation → ids, date → {start, end}, and
+// formulas/rollups → the value of their result type.
+function decodeProperty(p) {
+  if (!p) return null;
+  const plain = (rt) => (rt || []).map((t) => t.plain_text ?? t.text?.content ?? "").join("");
+  const person = (u) => u?.name || u?.person?.email || u?.id || null;
+  switch (p.type) {
+    case "title":
+    case "rich_text":
+      return plain(p[p.type]);
+    case "number":
+    case "checkbox":
+    case "url":
+    case "email":
+    case "phone_number":
+    case "created_time":
+    case "last_edited_time":
+      return p[p.type] ?? null;
+    case "select":
+    case "status":
+      return p[p.type]?.name ?? null;
+    case "multi_select":
+      return (p.multi_select || []).map((o) => o.name);
+    case "date":
+      return p.date ? { start: p.date.start, end: p.date.end ?? null, ...(p.date.time_zone && { time_zone: p.date.time_zone }) } : null;
+    case "people":
+      return (p.people || []).map(person);
+    case "created_by":
+    case "last_edited_by":
+      return person(p[p.type]);
+    case "files":
+      return (p.files || []).map((f) => ({ name: f.name, url: f.external?.url || f.file?.url }));
+    case "relation":
+      return (p.relation || []).map((r) => r.id);
+    case "formula":
+      return p.formula ? decodeProperty({ type: p.formula.type, [p.formula.type]: p.formula[p.formula.type] }) : null;
+    case "rollup":
+      if (!p.rollup) return null;
+      if (p.rollup.type === "array") return p.rollup.array.map(decodeProperty);
+      return decodeProperty({ type: p.rollup.type, [p.rollup.type]: p.rollup[p.rollup.type] });
+    case "unique_id":
+      return p.unique_id ? (p.unique_id.prefix ? `${p.unique_id.prefix}-${p.unique_id.number}` : p.unique_id.number) : null;
+    case "verification":
+      return p.verification?.state ?? null;
+    case "button":
+      return null;
+    case "string":
+    case "boolean":
+      return p[p.type] ?? null;
+    default:
+      return null;
+  }
+}
+const decodeProperties = (properties = {}) =>
+  Object.fromEntries(Object.entries(properties).map(([k, v]) => [k, decodeProperty(v)]));
+
+// Dry runs: routes marked dryRunnable run inside a context whose Notion writes are recorded instead of
+// sent. Reads still go through, so schemas, users and matches resolve exactly as they would for real.
+const requestContext = new AsyncLocalStorage();
+const isNotionRead = (method, url) => method === "get" || /\/(query|search)$/.test(new URL(url).pathname);
+
+function dryRunResponse(ctx, method, url, data = {}) {
+  ctx.requests.push({ method: method.toUpperCase(), url, body: data });
+  const fakeId = (kind) => `dry-run-${kind}-${ctx.requests.length}`;
+  const { pathname } = new URL(url);
+  if (/\/children$/.test(pathname)) {
+    return { data: { results: (data.children || []).map((b, i) => ({ object: "block", id: `${fakeId("block")}-${i}`, type: b.type })) } };
+  }
+  const id = method === "post" ? fakeId("page") : pathname.split("/").pop();
+  return { data: { object: pathname.includes("/blocks/") ? "block" : "page", id, url: null, ...data } };
+}
+
+function dryRunnable(req, res, next) {
+  const header = String(req.headers["x-sol-dry-run"] || "").toLowerCase();
+  const dryRun = req.body?.dry_run === true || ["1", "true", "yes"].includes(header);
+  if (req.body) delete req.body.dry_run;
+  if (!dryRun) return next();
+
+  const ctx = { dryRun: true, requests: [] };
+  const json = res.json.bind(res);
+  res.json = (body) => json({ ...body, dry_run: true, requests: ctx.requests });
+  requestContext.run(ctx, next);
+}
+
+// Every Notion call goes through here: dry-run writes are answered locally, everything else is sent to the
+// storage backend's operation for the endpoint
+async function doNotion(method, url, opts = {}) {
+  const ctx = requestContext.getStore();
+  if (ctx?.dryRun && !isNotionRead(method, url)) return dryRunResponse(ctx, method, url, opts.data);
+  const { pathname } = new URL(url);
+  const route = NOTION_ROUTES.find(([m, pattern]) => m === method && pattern.test(pathname));
+  if (!route) throw new Error(`No storage operation for ${method.toUpperCase()} ${pathname}`);
+  const [, pattern, op] = route;
+  const call = { id: pathname.match(pattern)[1], data: opts.data, params: opts.params, headers: opts.headers };
+  return cachedStorageCall(op, call);
+}
+
+// Build blocks from content object
+function buildBlocksFromContent(content) {
+  const blocks = [];
+  if (!content) return blocks;
+
+  if (content.description) {
+    content.description.split(/\n+/).forEach(p => {
+      if (p.trim()) blocks.push({ object: "block", type: "paragraph", paragraph: { rich_text: richText(p) } });
+    });
+  }
+  if (typeof content.markdown === "string") blocks.push(...markdownToBlocks(content.markdown));
+  if (Array.isArray(content.blocks)) {
+    for (const b of content.blocks) {
+      const rich_text = richText(b.text || "");
+      if (["heading_1","heading_2","heading_3","paragraph","bulleted_list_item","numbered_list_item"].includes(b.type))
+        blocks.push({ object: "block", type: b.type, [b.type]: { rich_text } });
+      if (b.type === "callout")
+        blocks.push({ object: "block", type: "callout", callout: { icon: b.icon ? { type: "emoji", emoji: b.icon } : undefined, rich_text } });
+      if (b.type === "toggle")
+        blocks.push({ object: "block", type: "toggle", toggle: { rich_text } });
+      if (b.type === "code")
+        blocks.push({ object: "block", type: "code", code: { rich_text, language: b.language || "plain text" } });
+    }
+  }
+  if (Array.isArray(content.subtasks)) {
+    for (const it of content.subtasks) {
+      blocks.push({ object: "block", type: "to_do", to_do: { rich_text: richText(it.text), checked: !!it.checked } });
+    }
+  }
+  if (Array.isArray(content.files)) {
+    for (const f of content.files) {
+      const url = typeof f === "string" ? f : f.url || f.href || f.external?.url;
+      if (url) blocks.push({ object: "block", type: "file", file: { type: "external", external: { url } } });
+    }
+  }
+  return blocks;
+}
+
+// Append blocks in batches of 100. Notion only accepts shallow nesting per request,
+// so deeper children are appended once their parent block exists.
+async function appendBlocks(headers, pageId, blocks) {
+  const created = [];
+  for (let i = 0; i < blocks.length; i += 100) {
+    const deferred = [];
+    const children = blocks.slice(i, i + 100).map((b, idx) => {
+      const body = b[b.type] || {};
+      const nested = body.children || [];
+      if (!nested.length) return b;
+      if (nested.length <= 100 && nested.every((c) => !c[c.type]?.children?.length)) return b;
+      // Tables must be created with their rows, so only the overflow is deferred
+      const keep = b.type === "table" ? nested.slice(0, 100) : [];
+      deferred.push({ idx, children: nested.slice(keep.length) });
+      return { ...b, [b.type]: { ...body, children: keep.length ? keep : undefined } };
+    });
+
+    const resp = await doNotion("patch", `https://api.notion.com/v1/blocks/${pageId}/children`, { headers, data: { children } });
+    const results = resp.data?.results || [];
+    for (const d of deferred) {
+      if (results[d.idx]?.id) await appendBlocks(headers, results[d.idx].id, d.children);
+    }
+    created.push(...results);
+  }
+  return created;
+}
+
+// ─────────────────────────── Storage ───────────────────────────
+// doNotion() maps each Notion endpoint the server uses to one storage operation. The "notion" backend sends
+// them to the API; the "local" backend answers them from a JSON file with the same response shapes, filter,
+// sort and pagination semantics and error bodies, so every route runs without a Notion workspace.
+const NOTION_ROUTES = [
+  ["post", /^\/v1\/databases\/([^/]+)\/query$/, "queryDatabase"],
+  ["get", /^\/v1\/databases\/([^/]+)$/, "getDatabase"],
+  ["post", /^\/v1\/pages$/, "createPage"],
+  ["get", /^\/v1\/pages\/([^/]+)$/, "getPage"],
+  ["patch", /^\/v1\/pages\/([^/]+)$/, "updatePage"],
+  ["get", /^\/v1\/blocks\/([^/]+)$/, "getBlock"],
+  ["get", /^\/v1\/blocks\/([^/]+)\/children$/, "listBlockChildren"],
+  ["patch", /^\/v1\/blocks\/([^/]+)\/children$/, "appendBlockChildren"],
+  ["delete", /^\/v1\/blocks\/([^/]+)$/, "deleteBlock"],
+  ["get", /^\/v1\/users$/, "listUsers"],
+];
+
+function notionApiStore() {
+  // Retries 409 conflicts and 429s, waiting for the shared Notion slot before every attempt
+  const send = (method, pathFor) => async ({ id, data, params, headers }) => {
+    let attempt = 0, lastErr;
+    while (attempt < 5) {
+      try {
+        await notionSlot();
+        return await axios({ method, url: `${NOTION_API_URL}${pathFor(id)}`, headers, data, params });
+      } catch (err) {
+        const status = err?.response?.status;
+        if (status === 409 || status === 429) {
+          // Notion sends Retry-After (seconds) with 429s
+          const retryAfter = Number(err.response.headers?.["retry-after"]);
+          await sleep(retryAfter > 0 ? retryAfter * 1000 : Math.min(2000, 250 * 2 ** attempt) + Math.random() * 100);
+          attempt++; lastErr = err; continue;
+        }
+        throw err;
+      }
+    }
+    throw lastErr || new Error("Unknown Notion error");
+  };
+  return {
+    name: "notion",
+    configured: () => DATABASES.some((d) => d.token) || !!NOTION_KEY,
+    queryDatabase: send("post", (id) => `/databases/${id}/query`),
+    getDatabase: send("get", (id) => `/databases/${id}`),
+    createPage: send("post", () => "/pages"),
+    getPage: send("get", (id) => `/pages/${id}`),
+    updatePage: send("patch", (id) => `/pages/${id}`),
+    getBlock: send("get", (id) => `/blocks/${id}`),
+    listBlockChildren: send("get", (id) => `/blocks/${id}/children`),
+    appendBlockChildren: send("patch", (id) => `/blocks/${id}/children`),
+    deleteBlock: send("delete", (id) => `/blocks/${id}`),
+    listUsers: send("get", () => "/users"),
+  };
+}
+
+// Seed schemas for the local backend; the docs database matches what the memory routes expect
+const LOCAL_SEED_SCHEMAS = {
+  docs: { title: "Docs", properties: { Name: { title: {} }, Topic: { rich_text: {} }, Tags: { multi_select: { options: [] } } } },
+  roadmap: {
+    title: "Roadmap",
+    properties: {
+      Name: { title: {} },
+      Status: { status: { options: [{ name: "Planned" }, { name: "In progress" }, { name: "Shipped" }] } },
+      Quarter: { select: { options: [] } },
+      Owner: { people: {} },
+    },
+  },
+  tasks: {
+    title: "Tasks",
+    properties: {
+      Name: { title: {} },
+      Status: { status: { options: [{ name: "Not started" }, { name: "In progress" }, { name: "Done" }] } },
+      Priority: { select: { options: [{ name: "High" }, { name: "Medium" }, { name: "Low" }] } },
+      Due: { date: {} },
+      Assignee: { people: {} },
+    },
+  },
+};
+const LOCAL_USERS = [
+  { object: "user", id: "5e1f0000-0000-4000-8000-000000000001", type: "person", name: "Local User", avatar_url: null, person: { email: "local@example.com" } },
+  { object: "user", id: "5e1f0000-0000-4000-8000-000000000002", type: "bot", name: "Sol", avatar_url: null, bot: {} },
+];
+const LOCAL_ANNOTATIONS = { bold: false, italic: false, strikethrough: false, underline: false, code: false, color: "default" };
+const EMPTY_LIST_TYPES = ["title", "rich_text", "multi_select", "people", "relation", "files"];
+const DAY_MS = 24 * 3600 * 1000;
+
+const localError = (status, code, message) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers: {}, data: { object: "error", status, code, message, request_id: crypto.randomUUID() } },
+  });
+const localKey = (id) => toDashedUuid(normId(id));
+
+// Request rich text → response rich text (plain_text, full annotations, href)
+const localRichText = (items = []) => items.map((t) => {
+  const type = t.type || (t.mention ? "mention" : t.equation ? "equation" : "text");
+  const body = type === "text" ? { content: t.text?.content ?? "", link: t.text?.link ?? null } : t[type];
+  const plain = type === "text" ? body.content : type === "equation" ? body.expression : t.plain_text ?? "";
+  return { type, [type]: body, annotations: { ...LOCAL_ANNOTATIONS, ...t.annotations }, plain_text: plain, href: body?.link?.url ?? t.href ?? null };
+});
+
+// Evaluate one leaf condition ({ equals: x }, { past_week: {} }, ...) against a plain value
+function localCondition(value, condition, isDate) {
+  const [[op, arg]] = Object.entries(condition || {});
+  const empty = value == null || value === "" || (Array.isArray(value) && !value.length);
+  if (op === "is_empty") return empty;
+  if (op === "is_not_empty") return !empty;
+  if (isDate) {
+    if (empty) return false;
+    const t = Date.parse(value), now = Date.now();
+    const week = new Date(now); week.setUTCHours(0, 0, 0, 0); week.setUTCDate(week.getUTCDate() - week.getUTCDay());
+    const ranges = {
+      past_week: [now - 7 * DAY_MS, now], past_month: [now - 30 * DAY_MS, now], past_year: [now - 365 * DAY_MS, now],
+      next_week: [now, now + 7 * DAY_MS], next_month: [now, now + 30 * DAY_MS], next_year: [now, now + 365 * DAY_MS],
+      this_week: [week.getTime(), week.getTime() + 7 * DAY_MS],
+    };
+    if (ranges[op]) return t >= ranges[op][0] && t <= ranges[op][1];
+    // Date-only arguments compare by day, anything with a time by instant
+    const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(arg));
+    const a = dayOnly ? String(value).slice(0, 10) : t, b = dayOnly ? arg : Date.parse(arg);
+    const cmp = { equals: a === b, before: a < b, after: a > b, on_or_before: a <= b, on_or_after: a >= b }[op];
+    if (cmp === undefined) throw localError(400, "validation_error", `Unsupported date filter condition: ${op}`);
+    return cmp;
+  }
+  const lower = (x) => String(x ?? "").toLowerCase();
+  switch (op) {
+    case "equals": return value === arg;
+    case "does_not_equal": return value !== arg;
+    case "contains": return Array.isArray(value) ? value.some((v) => lower(v) === lower(arg)) : lower(value).includes(lower(arg));
+    case "does_not_contain": return Array.isArray(value) ? !value.some((v) => lower(v) === lower(arg)) : !lower(value).includes(lower(arg));
+    case "starts_with": return lower(value).startsWith(lower(arg));
+    case "ends_with": return lower(value).endsWith(lower(arg));
+    case "greater_than": return !empty && value > arg;
+    case "greater_than_or_equal_to": return !empty && value >= arg;
+    case "less_than": return !empty && value < arg;
+    case "less_than_or_equal_to": return !empty && value <= arg;
+    default: throw localError(400, "validation_error", `Unsupported filter condition: ${op}`);
+  }
+}
+
+// Plain value a filter compares against: ids for people/relations, start for dates, decoded otherwise
+function localFilterValue(p) {
+  if (p.type === "people" || p.type === "relation") return p[p.type].map((x) => x.id);
+  if (p.type === "created_by" || p.type === "last_edited_by") return [p[p.type].id];
+  if (p.type === "date") return p.date?.start ?? null;
+  if (p.type === "formula") return p.formula ? localFilterValue({ type: p.formula.type, [p.formula.type]: p.formula[p.formula.type] }) : null;
+  return decodeProperty(p);
+}
+
+function localStore(file) {
+  let state = null;
+  const now = () => new Date().toISOString();
+  const newId = () => crypto.randomUUID();
+  const botRef = () => ({ object: "user", id: LOCAL_USERS[1].id });
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(state));
+    fs.renameSync(`${file}.tmp`, file);
+  };
+  const createDatabase = (id, { title, properties }) => {
+    const props = {};
+    for (const [name, def] of Object.entries(properties)) {
+      const [type] = Object.keys(def);
+      const config = def[type].options
+        ? { ...def[type], options: def[type].options.map((o) => ({ id: newId().slice(0, 8), color: "default", ...o })) }
+        : def[type];
+      props[name] = { id: newId().slice(0, 8), name, type, [type]: config };
+    }
+    state.databases[id] = {
+      object: "database", id, created_time: now(), last_edited_time: now(), title: localRichText([{ text: { content: title } }]),
+      properties: props, parent: { type: "workspace", workspace: true }, archived: false, url: `local://databases/${id}`,
+    };
+  };
+  // Loaded on first use; configured databases are created with their alias's seed schema (or the docs one) if missing
+  const load = () => {
+    if (state) return state;
+    state = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { databases: {}, pages: {}, blocks: {}, children: {}, users: LOCAL_USERS };
+    let seeded = false;
+    for (const { alias, id } of DATABASES) {
+      if (id && !state.databases[localKey(id)]) {
+        createDatabase(localKey(id), LOCAL_SEED_SCHEMAS[alias] || LOCAL_SEED_SCHEMAS.docs);
+        seeded = true;
+      }
+    }
+    if (seeded) save();
+    return state;
+  };
+
+  const findDatabase = (id) => {
+    const db = load().databases[localKey(id)];
+    if (!db) throw localError(404, "object_not_found", `Could not find database with ID: ${id}.`);
+    return db;
+  };
+  const findPage = (id) => {
+    const page = load().pages[localKey(id)];
+    if (!page) throw localError(404, "object_not_found", `Could not find page with ID: ${id}.`);
+    return page;
+  };
+  const findSchemaProperty = (db, key) => db.properties[key] || Object.values(db.properties).find((p) => p.id === key);
+
+  const paginate = (items, { start_cursor, page_size } = {}, type) => {
+    const size = Number(page_size ?? 100);
+    if (!(size >= 1 && size <= 100)) throw localError(400, "validation_error", "body.page_size should be between 1 and 100.");
+    const start = start_cursor ? items.findIndex((x) => x.id === start_cursor) : 0;
+    if (start < 0) throw localError(400, "validation_error", `start_cursor provided is invalid: ${start_cursor}`);
+    const next = items[start + size];
+    return { object: "list", results: items.slice(start, start + size), next_cursor: next?.id ?? null, has_more: !!next, type, [type]: {} };
+  };
+
+  // Select/multi-select options are created on first use; status options must already exist
+  const findOption = (db, prop, value) => {
+    const config = prop[prop.type];
+    const wanted = value?.id ? { id: value.id } : { name: value?.name };
+    let option = config.options.find((o) => (wanted.id ? o.id === wanted.id : o.name === wanted.name));
+    if (!option && (prop.type === "status" || wanted.id))
+      throw localError(400, "validation_error", `Invalid ${prop.type} option for ${prop.name}: "${wanted.id || wanted.name}".`);
+    if (!option) {
+      option = { id: newId().slice(0, 8), name: wanted.name, color: value.color || "default" };
+      config.options.push(option);
+      db.last_edited_time = now();
+    }
+    return option;
+  };
+  const userRef = (u) => load().users.find((x) => x.id === localKey(u.id)) || { object: "user", id: localKey(u.id) };
+
+  // Request property value → stored value for the property's type
+  const propertyValue = (db, prop, value) => {
+    switch (prop.type) {
+      case "title":
+      case "rich_text":
+        return localRichText(value || []);
+      case "number":
+        if (value !== null && typeof value !== "number") throw localError(400, "validation_error", `${prop.name} is expected to be number.`);
+        return value;
+      case "checkbox":
+        return !!value;
+      case "url":
+      case "email":
+      case "phone_number":
+        return value ?? null;
+      case "select":
+      case "status":
+        return value ? findOption(db, prop, value) : null;
+      case "multi_select":
+        return (value || []).map((v) => findOption(db, prop, v));
+      case "date":
+        return value ? { start: value.start, end: value.end ?? null, time_zone: value.time_zone ?? null } : null;
+      case "people":
+        return (value || []).map(userRef);
+      case "relation":
+        return (value || []).map((r) => ({ id: localKey(r.id) }));
+      case "files":
+        return value || [];
+      default:
+        throw localError(400, "validation_error", `${prop.name} is a ${prop.type} property and cannot be updated.`);
+    }
+  };
+  const setProperties = (db, page, properties = {}) => {
+    for (const [key, raw] of Object.entries(properties)) {
+      const prop = findSchemaProperty(db, key);
+      if (!prop) throw localError(400, "validation_error", `${key} is not a property that exists.`);
+      const value = raw && typeof raw === "object" && prop.type in raw ? raw[prop.type] : raw;
+      page.properties[prop.name] = propertyValue(db, prop, value);
+    }
+  };
+
+  // Stored page → API page, with every schema property present and computed properties filled in
+  const pageView = (page) => {
+    const db = load().databases[page.parent.database_id];
+    const properties = {};
+    for (const prop of Object.values(db?.properties || {})) {
+      const stored = page.properties[prop.name];
+      const value = {
+        created_time: page.created_time,
+        last_edited_time: page.last_edited_time,
+        created_by: userRef(page.created_by),
+        last_edited_by: userRef(page.last_edited_by),
+        formula: { type: "string", string: null },
+        rollup: { type: "array", array: [], function: prop.rollup?.function ?? "show_original" },
+      }[prop.type];
+      properties[prop.name] = {
+        id: prop.id, type: prop.type,
+        [prop.type]: value ?? stored ?? (EMPTY_LIST_TYPES.includes(prop.type) ? [] : prop.type === "checkbox" ? false : null),
+      };
+    }
+    return { ...page, properties };
+  };
+
+  const blockView = (block) => ({ ...block, has_children: (state.children[block.id] || []).some((id) => !state.blocks[id].archived) });
+  // Creates a block and its nested children; children go in block[type].children as in the API
+  const createBlock = (b, parent) => {
+    if (!b?.type || !b[b.type]) throw localError(400, "validation_error", "body.children should be a list of block objects with a type.");
+    const { children = [], ...content } = b[b.type];
+    for (const k of ["rich_text", "caption"]) if (content[k]) content[k] = localRichText(content[k]);
+    if (content.cells) content.cells = content.cells.map(localRichText);
+    const block = {
+      object: "block", id: newId(), parent, created_time: now(), last_edited_time: now(),
+      created_by: botRef(), last_edited_by: botRef(), has_children: false, archived: false, type: b.type, [b.type]: content,
+    };
+    state.blocks[block.id] = block;
+    state.children[block.id] = children.map((c) => createBlock(c, { type: "block_id", block_id: block.id }).id);
+    return block;
+  };
+  const findParent = (id) => {
+    const key = localKey(id);
+    load();
+    if (state.pages[key]) return { key, parent: { type: "page_id", page_id: key } };
+    if (state.blocks[key]) return { key, parent: { type: "block_id", block_id: key } };
+    throw localError(404, "object_not_found", `Could not find block with ID: ${id}.`);
+  };
+
+  const sortValue = (db, page, sort) => {
+    if (sort.timestamp) return page[sort.timestamp];
+    const prop = findSchemaProperty(db, sort.property);
+    if (!prop) throw localError(400, "validation_error", `Could not find sort property with name or id: ${sort.property}`);
+    const p = pageView(page).properties[prop.name];
+    if (p.type === "select" || p.type === "status") return p[p.type] ? prop[p.type].options.findIndex((o) => o.id === p[p.type].id) : null;
+    const v = localFilterValue(p);
+    if (Array.isArray(v)) return v.length ? v.join(",").toLowerCase() : null;
+    return typeof v === "string" ? (v ? v.toLowerCase() : null) : v;
+  };
+  const matches = (db, page, filter) => {
+    if (filter.and) return filter.and.every((f) => matches(db, page, f));
+    if (filter.or) return filter.or.some((f) => matches(db, page, f));
+    if (filter.timestamp) return localCondition(page[filter.timestamp], filter[filter.timestamp], true);
+    const prop = findSchemaProperty(db, filter.property);
+    if (!prop) throw localError(400, "validation_error", `Could not find property with name or id: ${filter.property}`);
+    const filterType = Object.keys(filter).find((k) => k !== "property");
+    const text = ["title", "rich_text"];
+    if (filterType !== prop.type && !(text.includes(filterType) && text.includes(prop.type)))
+      throw localError(400, "validation_error", `database property ${prop.type} does not match filter ${filterType}`);
+    const p = pageView(page).properties[prop.name];
+    let condition = filter[filterType];
+    if (filterType === "formula") [condition] = Object.values(condition);
+    return localCondition(localFilterValue(p), condition, ["date", "created_time", "last_edited_time"].includes(prop.type));
+  };
+
+  return {
+    name: "local",
+    configured: () => true,
+    async queryDatabase({ id, data = {} }) {
+      const db = findDatabase(id);
+      let pages = Object.values(state.pages).filter((p) => p.parent.database_id === db.id && !p.archived);
+      if (data.filter && Object.keys(data.filter).length) pages = pages.filter((p) => matches(db, p, data.filter));
+      // Newest first unless sorted; later sorts break ties of earlier ones, empty values go last
+      pages.sort((a, b) => b.created_time.localeCompare(a.created_time));
+      const sorts = data.sorts || [];
+      const keyed = pages.map((p) => ({ page: p, keys: sorts.map((s) => sortValue(db, p, s)) }));
+      keyed.sort((a, b) => {
+        for (let i = 0; i < sorts.length; i++) {
+          const x = a.keys[i], y = b.keys[i];
+          if (x === y) continue;
+          if (x == null) return 1;
+          if (y == null) return -1;
+          return (x < y ? -1 : 1) * (sorts[i].direction === "descending" ? -1 : 1);
+        }
+        return 0;
+      });
+      const list = paginate(keyed.map((k) => k.page), data, "page_or_database");
+      return { data: { ...list, results: list.results.map(pageView) } };
+    },
+    async getDatabase({ id }) {
+      return { data: findDatabase(id) };
+    },
+    async createPage({ data = {} }) {
+      const dbId = data.parent?.database_id;
+      if (!dbId) throw localError(400, "validation_error", "body.parent.database_id should be defined.");
+      const db = findDatabase(dbId);
+      const id = newId();
+      const page = {
+        object: "page", id, created_time: now(), last_edited_time: now(), created_by: botRef(), last_edited_by: botRef(),
+        cover: data.cover ?? null, icon: data.icon ?? null, parent: { type: "database_id", database_id: db.id },
+        archived: false, properties: {}, url: `local://pages/${id}`,
+      };
+      setProperties(db, page, data.properties);
+      state.pages[id] = page;
+      state.children[id] = (data.children || []).map((c) => createBlock(c, { type: "page_id", page_id: id }).id);
+      save();
+      return { data: pageView(page) };
+    },
+    async getPage({ id }) {
+      return { data: pageView(findPage(id)) };
+    },
+    async getBlock({ id }) {
+      const block = load().blocks[localKey(id)];
+      if (!block) throw localError(404, "object_not_found", `Could not find block with ID: ${id}.`);
+      return { data: blockView(block) };
+    },
+    async updatePage({ id, data = {} }) {
+      const page = findPage(id);
+      const db = findDatabase(page.parent.database_id);
+      if (page.archived && data.archived !== false && data.properties)
+        throw localError(400, "validation_error", "Can't edit block that is archived. You must unarchive the block before editing.");
+      if ("archived" in data) page.archived = !!data.archived;
+      if ("icon" in data) page.icon = data.icon;
+      if ("cover" in data) page.cover = data.cover;
+      setProperties(db, page, data.properties);
+      page.last_edited_time = now();
+      save();
+      return { data: pageView(page) };
+    },
+    async listBlockChildren({ id, params = {} }) {
+      const { key } = findParent(id);
+      const blocks = (state.children[key] || []).map((c) => state.blocks[c]).filter((b) => !b.archived).map(blockView);
+      return { data: paginate(blocks, params, "block") };
+    },
+    async appendBlockChildren({ id, data = {} }) {
+      const { key, parent } = findParent(id);
+      const children = data.children || [];
+      if (children.length > 100) throw localError(400, "validation_error", "body.children.length should be ≤ `100`.");
+      const created = children.map((c) => createBlock(c, parent));
+      const ids = state.children[key] || [];
+      const at = data.after ? ids.indexOf(localKey(data.after)) + 1 : ids.length;
+      if (data.after && at === 0) throw localError(404, "object_not_found", `Could not find block with ID: ${data.after}.`);
+      ids.splice(at, 0, ...created.map((b) => b.id));
+      state.children[key] = ids;
+      save();
+      return { data: { object: "list", results: created.map(blockView), next_cursor: null, has_more: false, type: "block", block: {} } };
+    },
+    async deleteBlock({ id }) {
+      const key = localKey(id);
+      // Deleting a page through the blocks endpoint archives it, as in the API
+      if (load().pages[key]) return this.updatePage({ id: key, data: { archived: true } });
+      const block = state.blocks[key];
+      if (!block || block.archived) throw localError(404, "object_not_found", `Could not find block with ID: ${id}.`);
+      Object.assign(block, { archived: true, last_edited_time: now() });
+      save();
+      return { data: blockView(block) };
+    },
+    async listUsers({ params = {} }) {
+      return { data: paginate(load().users, params, "user") };
+    },
+  };
+}
+
+const STORAGE_BACKENDS = { notion: notionApiStore, local: () => localStore(LOCAL_STORE_FILE) };
+if (!STORAGE_BACKENDS[STORAGE]) throw new Error(`Unknown SOL_STORAGE "${STORAGE}" (use ${Object.keys(STORAGE_BACKENDS).join(" or ")})`);
+const storage = STORAGE_BACKENDS[STORAGE]();
+
+// ─────────────────────────── Cache ───────────────────────────
+// TTL cache of resolved values. Concurrent misses for one key share a single load; failed loads aren't kept.
+function createCache(ttl, max = 1000) {
+  const entries = new Map();
+  let hits = 0, misses = 0;
+  const fresh = (e) => e && e.expires > Date.now();
+  return {
+    async get(key, load) {
+      if (ttl <= 0) return load();
+      const e = entries.get(key);
+      if (fresh(e)) { hits++; return e.promise; }
+      misses++;
+      if (entries.size >= max) entries.delete(entries.keys().next().value);
+      const entry = { promise: load(), time: new Date().toISOString(), expires: Date.now() + ttl };
+      entries.set(key, entry);
+      entry.promise.then((v) => { entry.value = v; }, () => { if (entries.get(key) === entry) entries.delete(key); });
+      return entry.promise;
+    },
+    // The resolved entry, without counting a lookup
+    peek: (key) => (fresh(entries.get(key)) && "value" in entries.get(key) ? entries.get(key) : undefined),
+    delete: (key) => entries.delete(key),
+    // Drop every key starting with prefix
+    deletePrefix(prefix) {
+      for (const k of entries.keys()) if (k.startsWith(prefix)) entries.delete(k);
+    },
+    flush() {
+      const n = entries.size;
+      entries.clear();
+      return n;
+    },
+    stats: () => ({
+      ttl_seconds: ttl / 1000,
+      entries: entries.size,
+      hits,
+      misses,
+      hit_rate: hits + misses ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null,
+    }),
+  };
+}
+
+// Database schemas, user lists and pages, per integration token (workspaces don't share what they can see)
+const NOTION_CACHES = {
+  schemas: createCache(SCHEMA_CACHE_TTL),
+  users: createCache(USER_CACHE_TTL),
+  pages: createCache(PAGE_CACHE_TTL),
+};
+const CACHED_OPERATIONS = { getDatabase: "schemas", listUsers: "users", getPage: "pages" };
+const cacheKey = (id, headers, params) =>
+  `${normId(id)}|${headers?.Authorization || ""}${params ? `|${JSON.stringify(params)}` : ""}`;
+
+// Reads go through their cache; writes drop the entries they make stale. Callers get their own copy of the data.
+async function cachedStorageCall(op, call) {
+  const cache = NOTION_CACHES[CACHED_OPERATIONS[op]];
+  if (cache) {
+    const resp = await cache.get(cacheKey(call.id, call.headers, call.params), () =>
+      storage[op](call).then((r) => ({ status: r.status, headers: r.headers, data: r.data })));
+    return { ...resp, data: structuredClone(resp.data) };
+  }
+  const resp = await storage[op](call);
+  invalidateAfterWrite(op, call, resp);
+  return resp;
+}
+
+function invalidateAfterWrite(op, { id, data, headers }, resp) {
+  const { pages, schemas } = NOTION_CACHES;
+  if (op === "updatePage" || op === "appendBlockChildren") pages.deletePrefix(`${normId(id)}|`);
+  // Deleting a child page block archives that page
+  if (op === "deleteBlock") pages.deletePrefix(`${normId(id)}|`);
+  // Writes to memory notes make the next memory search sync rather than wait out SEARCH_INDEX_REFRESH_SECONDS
+  if (touchesSearchIndex(op, id, data, resp)) searchIndex.dirty = true;
+  // Notion adds select options a write names that the database doesn't have yet
+  if ((op === "createPage" || op === "updatePage") && data?.properties) {
+    const dbId = resp.data?.parent?.database_id || data.parent?.database_id;
+    const cached = dbId && schemas.peek(cacheKey(dbId, headers));
+    if (cached && addsOptions(cached.value.data?.properties || {}, data.properties)) schemas.deletePrefix(`${normId(dbId)}|`);
+  }
+}
+
+// Pages are matched by their database; block writes only when made directly on an indexed page
+function touchesSearchIndex(op, id, data, resp) {
+  if (op === "createPage" || op === "updatePage") {
+    return normId(resp.data?.parent?.database_id || data?.parent?.database_id) === normId(getDbId(MEMORY_DB));
+  }
+  return (op === "appendBlockChildren" || op === "deleteBlock") && searchIndex.docs.has(toDashedUuid(normId(id)));
+}
+
+function addsOptions(schema, properties) {
+  return Object.entries(properties).some(([name, v]) => {
+    const type = schema[name]?.type;
+    if (!["select", "multi_select", "status"].includes(type) || !v?.[type]) return false;
+    const known = new Set((schema[name][type].options || []).map((o) => o.name));
+    return [].concat(v[type]).some((o) => o?.name && !known.has(o.name));
+  });
+}
+
+// ─────────────────────────── Markdown → Notion ───────────────────────────
+const NOTION_TEXT_LIMIT = 2000;
+const NOTION_CODE_LANGUAGES = new Set([
+  "abap", "arduino", "bash", "basic", "c", "clojure", "coffeescript", "c++", "c#", "css", "dart", "diff",
+  "docker", "elixir", "elm", "erlang", "flow", "fortran", "f#", "gherkin", "glsl", "go", "graphql", "groovy",
+  "haskell", "html", "java", "javascript", "json", "julia", "kotlin", "latex", "less", "lisp", "livescript",
+  "lua", "makefile", "markdown", "markup", "matlab", "mermaid", "nix", "objective-c", "ocaml", "pascal", "perl",
+  "php", "plain text", "powershell", "prolog", "protobuf", "python", "r", "reason", "ruby", "rust", "sass",
+  "scala", "scheme", "scss", "shell", "sql", "swift", "typescript", "vb.net", "verilog", "vhdl",
+  "visual basic", "webassembly", "xml", "yaml", "java/c/c++/c#",
+]);
+const CODE_LANGUAGE_ALIASES = {
+  js: "javascript", jsx: "javascript", mjs: "javascript", ts: "typescript", tsx: "typescript",
+  py: "python", rb: "ruby", rs: "rust", kt: "kotlin", golang: "go", sh: "shell", zsh: "shell",
+  console: "shell", ps1: "powershell", yml: "yaml", md: "markdown", cpp: "c++", cs: "c#", csharp: "c#",
+  fsharp: "f#", objc: "objective-c", dockerfile: "docker", proto: "protobuf", tex: "latex",
+  vb: "visual basic", wasm: "webassembly", text: "plain text", txt: "plain text", plaintext: "plain text",
+};
+const toNotionLanguage = (lang) => {
+  const l = String(lang || "").trim().toLowerCase();
+  const mapped = CODE_LANGUAGE_ALIASES[l] || l;
+  return NOTION_CODE_LANGUAGES.has(mapped) ? mapped : "plain text";
+};
+const ANNOTATION_KEYS = ["bold", "italic", "strikethrough", "underline", "code"];
+const isLinkableUrl = (url) => /^(https?:\/\/|mailto:)/i.test(String(url || ""));
+
+// Split text into rich_text runs that stay under Notion's per-run length limit
+function textRuns(content, annotations = null, url = null) {
+  const text = String(content ?? "");
+  const runs = [];
+  for (let i = 0; i < text.length;) {
+    let end = Math.min(text.length, i + NOTION_TEXT_LIMIT);
+    // Never cut a surrogate pair in half
+    if (end < text.length && /[\uD800-\uDBFF]/.test(text[end - 1])) end--;
+    const run = { type: "text", text: { content: text.slice(i, end) } };
+    if (url) run.text.link = { url };
+    if (annotations) run.annotations = annotations;
+    runs.push(run);
+    i = end;
+  }
+  return runs;
+}
+const richText = (text) => textRuns(text);
+
+// Find a "[label](url)" or "![alt](url)" starting at i
+function matchLink(src, i) {
+  const open = src[i] === "!" ? i + 1 : i;
+  if (src[open] !== "[") return null;
+  let depth = 0, j = open;
+  for (; j < src.length; j++) {
+    if (src[j] === "\\") { j++; continue; }
+    if (src[j] === "[") depth++;
+    else if (src[j] === "]" && --depth === 0) break;
+  }
+  if (j >= src.length || src[j + 1] !== "(") return null;
+  let k = j + 2;
+  for (depth = 1; k < src.length; k++) {
+    if (src[k] === "(") depth++;
+    else if (src[k] === ")" && --depth === 0) break;
+  }
+  if (k >= src.length) return null;
+  const target = src.slice(j + 2, k).trim().replace(/\s+("[^"]*"|'[^']*')$/, "");
+  return {
+    label: src.slice(open + 1, j),
+    url: target.replace(/^<(.*)>$/, "$1"),
+    image: open !== i,
+    end: k + 1,
+  };
+}
+
+// Find the closing emphasis delimiter, skipping code spans and nested emphasis of the other width
+function findClosingDelimiter(src, from, delim) {
+  const c = delim[0];
+  for (let j = from; j < src.length; j++) {
+    if (src[j] === "\\") { j++; continue; }
+    if (src[j] === "`") {
+      const fence = src.slice(j).match(/^`+/)[0];
+      const close = src.indexOf(fence, j + fence.length);
+      if (close > -1) j = close + fence.length - 1;
+      continue;
+    }
+    if (src[j] !== c) continue;
+    let run = 1;
+    while (src[j + run] === c) run++;
+    // A longer run that also opens the next span ("**a***b*") closes at its start
+    const opensNext = run > delim.length && /[\p{L}\p{N}]/u.test(src[j + run] || "");
+    const close = opensNext ? j : j + run - delim.length;
+    const usable = delim.length === 2 ? run >= 2 : run !== 2 || opensNext;
+    if (usable && close > from && !/\s/.test(src[close - 1]) &&
+        !(c === "_" && /\w/.test(src[close + delim.length] || ""))) return close;
+    j += run - 1;
+  }
+  return -1;
+}
+
+// Parse inline Markdown into runs of { text, marks, url }
+function parseInline(src, marks = {}, url = null, out = []) {
+  let buf = "";
+  const flush = () => { if (buf) out.push({ text: buf, marks, url }); buf = ""; };
+
+  for (let i = 0; i < src.length;) {
+    const ch = src[i];
+    if (ch === "\\" && /[!-\/:-@\[-`{-~]/.test(src[i + 1] || "")) { buf += src[i + 1]; i += 2; continue; }
+
+    if (ch === "`") {
+      const fence = src.slice(i).match(/^`+/)[0];
+      const close = src.indexOf(fence, i + fence.length);
+      if (close > -1) {
+        flush();
+        let code = src.slice(i + fence.length, close);
+        if (/^ [^]* $/.test(code) && code.trim()) code = code.slice(1, -1);
+        out.push({ text: code, marks: { ...marks, code: true }, url });
+        i = close + fence.length;
+        continue;
+      }
+      buf += fence; i += fence.length;
+      continue;
+    }
+
+    if (ch === "[" || (ch === "!" && src[i + 1] === "[")) {
+      const link = matchLink(src, i);
+      if (link) {
+        flush();
+        const label = link.image && !link.label ? link.url : link.label;
+        parseInline(label, marks, isLinkableUrl(link.url) ? link.url : url, out);
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (ch === "<" && src.startsWith("<u>", i)) {
+      const close = src.indexOf("</u>", i + 3);
+      if (close > -1) {
+        flush();
+        parseInline(src.slice(i + 3, close), { ...marks, underline: true }, url, out);
+        i = close + 4;
+        continue;
+      }
+    }
+
+    if (ch === "<") {
+      const auto = src.slice(i).match(/^<((?:https?:\/\/|mailto:)[^\s>]+)>/i);
+      if (auto) {
+        flush();
+        out.push({ text: auto[1].replace(/^mailto:/i, ""), marks, url: auto[1] });
+        i += auto[0].length;
+        continue;
+      }
+    }
+
+    if (ch === "$" && src[i + 1] !== "$" && !/\s/.test(src[i + 1] || " ")) {
+      const close = src.slice(i + 1).search(/[^\s\\]\$(?!\d)/);
+      if (close > -1) {
+        flush();
+        out.push({ text: src.slice(i + 1, i + close + 2), marks, url, equation: true });
+        i += close + 3;
+        continue;
+      }
+    }
+
+    if (ch === "*" || ch === "_" || (ch === "~" && src[i + 1] === "~")) {
+      const delim = ch === "~" ? "~~" : src[i + 1] === ch ? ch + ch : ch;
+      const name = ch === "~" ? "strikethrough" : delim.length === 2 ? "bold" : "italic";
+      const opens = !/\s/.test(src[i + delim.length] || " ") && !(ch === "_" && /\w/.test(src[i - 1] || ""));
+      const close = opens ? findClosingDelimiter(src, i + delim.length, delim) : -1;
+      if (close > -1) {
+        flush();
+        parseInline(src.slice(i + delim.length, close), { ...marks, [name]: true }, url, out);
+        i = close + delim.length;
+        continue;
+      }
+      buf += delim; i += delim.length;
+      continue;
+    }
+
+    buf += ch; i++;
+  }
+  flush();
+  return out;
+}
+
+// Inline Markdown → Notion rich_text (adjacent runs with identical styling are merged)
+function inlineRichText(src) {
+  const merged = [];
+  for (const run of parseInline(String(src || ""))) {
+    const prev = merged[merged.length - 1];
+    const same = prev && !prev.equation && !run.equation && prev.url === run.url &&
+      ANNOTATION_KEYS.every((k) => !!prev.marks[k] === !!run.marks[k]);
+    if (same) prev.text += run.text;
+    else merged.push({ ...run });
+  }
+  return merged.flatMap((run) => {
+    const on = ANNOTATION_KEYS.filter((k) => run.marks[k]);
+    const annotations = on.length ? Object.fromEntries(on.map((k) => [k, true])) : null;
+    if (run.equation) return [{ type: "equation", equation: { expression: run.text }, ...(annotations && { annotations }) }];
+    return textRuns(run.text, annotations, run.url);
+  });
+}
+
+const mdBlock = (type, body, children) =>
+  ({ object: "block", type, [type]: children?.length ? { ...body, children } : body });
+
+const indentOf = (line) => {
+  let n = 0;
+  for (const ch of line) {
+    if (ch === " ") n++;
+    else if (ch === "\t") n += 4 - (n % 4);
+    else break;
+  }
+  return n;
+};
+const dedent = (line, cols) => {
+  let n = 0, i = 0;
+  while (i < line.length && n < cols && (line[i] === " " || line[i] === "\t")) {
+    n += line[i] === "\t" ? 4 - (n % 4) : 1;
+    i++;
+  }
+  return line.slice(i);
+};
+
+const MD_FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const MD_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MD_DIVIDER = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(?:\s+(.*))?$/;
+const MD_IMAGE = /^\s*!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)\s*$/;
+const MD_TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const isTableStart = (lines, i) =>
+  lines[i].includes("|") && i + 1 < lines.length && lines[i + 1].includes("-") && MD_TABLE_SEPARATOR.test(lines[i + 1]);
+const MD_DETAILS_OPEN = /^\s*<details>\s*(?:<summary>(.*?)<\/summary>)?\s*$/i;
+const MD_COMMENT = /^\s*<!--.*-->\s*$/;
+const MD_CALLOUT = /^\[!(\w+)\](?:\s+(.+?))?\s*$/;
+const CALLOUT_ICONS = { note: "💡", tip: "💡", important: "❗", warning: "⚠️", caution: "🛑" };
+const startsBlock = (lines, i) => {
+  const line = lines[i];
+  return MD_FENCE.test(line) || MD_HEADING.test(line) || MD_DIVIDER.test(line) || MD_LIST_ITEM.test(line) ||
+    /^\s*>/.test(line) || /^\s*\$\$\s*$/.test(line) || MD_DETAILS_OPEN.test(line) || MD_IMAGE.test(line) ||
+    isTableStart(lines, i);
+};
+
+// Split a table row on unescaped pipes outside code spans
+function splitTableRow(line) {
+  const cells = [];
+  let cur = "", inCode = false;
+  const body = line.trim().replace(/^\|/, "").replace(/(?<!\\)\|$/, "");
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === "\\" && body[i + 1] === "|") { cur += "|"; i++; continue; }
+    if (ch === "`") inCode = !inCode;
+    if (ch === "|" && !inCode) { cells.push(cur.trim()); cur = ""; continue; }
+    cur += ch;
+  }
+  cells.push(cur.trim());
+  return cells;
+}
+
+// Parse Markdown lines into Notion blocks
+function parseMarkdownLines(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+
+    // Fenced code
+    const fence = line.match(MD_FENCE);
+    if (fence) {
+      const indent = indentOf(line);
+      const marker = fence[1];
+      const body = [];
+      i++;
+      while (i < lines.length && !new RegExp(`^\\s{0,3}${marker[0]}{${marker.length},}\\s*$`).test(lines[i])) {
+        body.push(dedent(lines[i], indent));
+        i++;
+      }
+      i++;
+      blocks.push(mdBlock("code", { rich_text: richText(body.join("\n")), language: toNotionLanguage(fence[2]) }));
+      continue;
+    }
+
+    // Block equations
+    if (/^\s*\$\$\s*$/.test(line)) {
+      const body = [];
+      i++;
+      while (i < lines.length && !/^\s*\$\$\s*$/.test(lines[i])) body.push(lines[i++]);
+      i++;
+      blocks.push(mdBlock("equation", { expression: body.join("\n") }));
+      continue;
+    }
+
+    // <details> sections become toggles
+    const details = line.match(MD_DETAILS_OPEN);
+    if (details) {
+      let summary = details[1];
+      const inner = [];
+      let depth = 1;
+      i++;
+      if (summary === undefined && i < lines.length) {
+        const m = lines[i].match(/^\s*<summary>(.*?)<\/summary>\s*$/i);
+        if (m) { summary = m[1]; i++; }
+      }
+      for (; i < lines.length; i++) {
+        if (MD_DETAILS_OPEN.test(lines[i])) depth++;
+        else if (/^\s*<\/details>\s*$/i.test(lines[i]) && --depth === 0) break;
+        inner.push(lines[i]);
+      }
+      i++;
+      blocks.push(mdBlock("toggle", { rich_text: inlineRichText(summary || "") }, parseMarkdownLines(inner)));
+      continue;
+    }
+
+    if (MD_COMMENT.test(line)) { i++; continue; }
+
+    // ATX headings (Notion stops at level 3)
+    const heading = line.match(MD_HEADING);
+    if (heading) {
+      const type = `heading_${Math.min(3, heading[1].length)}`;
+      blocks.push(mdBlock(type, { rich_text: inlineRichText(heading[2]) }));
+      i++;
+      continue;
+    }
+
+    if (MD_DIVIDER.test(line)) {
+      blocks.push(mdBlock("divider", {}));
+      i++;
+      continue;
+    }
+
+    // Tables (GFM)
+    if (isTableStart(lines, i)) {
+      const header = splitTableRow(line);
+      const rows = [header];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      const width = header.length;
+      blocks.push(mdBlock("table", {
+        table_width: width,
+        has_column_header: true,
+        has_row_header: false,
+      }, rows.map((cells) => mdBlock("table_row", {
+        cells: Array.from({ length: width }, (_, c) => inlineRichText((cells[c] || "").replace(/<br\s*\/?>/gi, "\n"))),
+      }))));
+      continue;
+    }
+
+    // Block quotes
+    if (/^\s*>/.test(line)) {
+      const inner = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        inner.push(lines[i].replace(/^\s*> ?/, ""));
+        i++;
+      }
+      // GitHub-style alerts ("> [!NOTE] 💡") become callouts
+      const alert = inner[0].trim().match(MD_CALLOUT);
+      if (alert) inner.shift();
+      const children = parseMarkdownLines(inner);
+      const first = children[0]?.type === "paragraph" ? children.shift() : null;
+      const rich_text = first ? first.paragraph.rich_text : [];
+      if (alert) {
+        const emoji = alert[2] || CALLOUT_ICONS[alert[1].toLowerCase()] || "💡";
+        blocks.push(mdBlock("callout", { rich_text, icon: { type: "emoji", emoji } }, children));
+      } else {
+        blocks.push(mdBlock("quote", { rich_text }, children));
+      }
+      continue;
+    }
+
+    // Standalone images
+    const image = line.match(MD_IMAGE);
+    if (image) {
+      const [, alt, url] = image;
+      if (isLinkableUrl(url)) {
+        blocks.push(mdBlock("image", { type: "external", external: { url }, caption: inlineRichText(alt) }));
+        i++;
+        continue;
+      }
+    }
+
+    // Lists (bulleted, numbered, to-do) with nesting by indentation
+    const item = line.match(MD_LIST_ITEM);
+    if (item) {
+      const indent = indentOf(line);
+      let text = item[3] || "";
+      i++;
+
+      // Lazy continuation lines belong to the item text
+      while (i < lines.length && lines[i].trim() && indentOf(lines[i]) > indent && !startsBlock(lines, i)) {
+        text += "\n" + lines[i].trim();
+        i++;
+      }
+
+      const nested = [];
+      while (i < lines.length) {
+        if (lines[i].trim()) {
+          if (indentOf(lines[i]) <= indent) break;
+          nested.push(lines[i]);
+          i++;
+          continue;
+        }
+        // Blank lines only stay inside the item when more indented content follows
+        let j = i;
+        while (j < lines.length && !lines[j].trim()) j++;
+        if (j >= lines.length || indentOf(lines[j]) <= indent) break;
+        nested.push(...lines.slice(i, j));
+        i = j;
+      }
+      const base = Math.min(...nested.filter((l) => l.trim()).map(indentOf));
+      const children = nested.length ? parseMarkdownLines(nested.map((l) => dedent(l, base))) : [];
+
+      const todo = /^[-*+]$/.test(item[2]) && text.match(/^\[([ xX])\](?:\s+|$)/);
+      if (todo) {
+        blocks.push(mdBlock("to_do", {
+          rich_text: inlineRichText(text.slice(todo[0].length)),
+          checked: todo[1] !== " ",
+        }, children));
+      } else {
+        const type = /^\d/.test(item[2]) ? "numbered_list_item" : "bulleted_list_item";
+        blocks.push(mdBlock(type, { rich_text: inlineRichText(text) }, children));
+      }
+      continue;
+    }
+
+    // Paragraphs (with setext headings)
+    const para = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i) && !/^\s{0,3}=+\s*$/.test(lines[i])) {
+      para.push(lines[i].trim());
+      i++;
+    }
+    const setext = i < lines.length && lines[i].match(/^\s{0,3}(=+|-+)\s*$/);
+    if (setext) {
+      blocks.push(mdBlock(setext[1][0] === "=" ? "heading_1" : "heading_2", { rich_text: inlineRichText(para.join(" ")) }));
+      i++;
+      continue;
+    }
+    const text = para.map((l) => l.replace(/(\\| {2,})$/, "")).join("\n");
+    blocks.push(mdBlock("paragraph", { rich_text: inlineRichText(text) }));
+  }
+  return blocks;
+}
+
+// Leading YAML front matter carries page properties, not content
+const stripFrontMatter = (markdown) => markdown.replace(/^---\n[^]*?\n---(?:\n|$)/, "");
+const markdownToBlocks = (markdown) =>
+  parseMarkdownLines(stripFrontMatter(String(markdown || "").replace(/\r\n?/g, "\n")).split("\n"));
+
+// ─────────────────────────── Query Language ───────────────────────────
+// Compact filters for /find_pages, e.g.
+//   status = "In progress" AND due < today+7d AND tags has "infra"
+// Property names are resolved against the database schema and compiled to Notion filter JSON.
+
+const queryError = (message, tok) =>
+  Object.assign(new Error(tok ? `${message} at position ${tok.pos}` : message), {
+    code: "invalid_filter", position: tok?.pos, token: tok?.text,
+  });
+
+function tokenizeQuery(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const pos = i;
+    if (ch === "(" || ch === ")") { tokens.push({ type: ch, text: ch, pos }); i++; continue; }
+    if (ch === '"' || ch === "'") {
+      let value = "";
+      for (i++; i < src.length && src[i] !== ch; i++) value += src[i] === "\\" ? src[++i] ?? "" : src[i];
+      if (i >= src.length) throw queryError("Unterminated string", { pos, text: src.slice(pos) });
+      i++;
+      tokens.push({ type: "string", value, text: src.slice(pos, i), pos });
+      continue;
+    }
+    if (ch === "`" || ch === "[") {
+      const close = src.indexOf(ch === "`" ? "`" : "]", i + 1);
+      if (close < 0) throw queryError("Unterminated property name", { pos, text: src.slice(pos) });
+      tokens.push({ type: "name", value: src.slice(i + 1, close), text: src.slice(pos, close + 1), pos });
+      i = close + 1;
+      continue;
+    }
+    const op = src.slice(i).match(/^(!has\b|!contains\b|!=|<=|>=|==|=|<|>|!~|~)/);
+    if (op) { tokens.push({ type: "op", value: op[1], text: op[1], pos }); i += op[1].length; continue; }
+    const word = src.slice(i).match(/^[^\s()"'`=!<>~\[\]]+/);
+    if (!word) throw queryError(`Unexpected character "${ch}"`, { pos, text: ch });
+    tokens.push({ type: "word", value: word[0], text: word[0], pos });
+    i += word[0].length;
+  }
+  return tokens;
+}
+
+// Parse into a tree of { and | or: [...] } and { prop, op, value } comparisons
+function parseQuery(src) {
+  const tokens = tokenizeQuery(src);
+  let k = 0;
+  const peek = () => tokens[k];
+  const isWord = (t, ...words) => t?.type === "word" && words.includes(t.value.toLowerCase());
+  const end = { pos: src.length, text: "<end>" };
+
+  const parseOr = () => {
+    const parts = [parseAnd()];
+    while (isWord(peek(), "or", "||")) { k++; parts.push(parseAnd()); }
+    return parts.length > 1 ? { or: parts } : parts[0];
+  };
+  const parseAnd = () => {
+    const parts = [parsePrimary()];
+    while (isWord(peek(), "and", "&&")) { k++; parts.push(parsePrimary()); }
+    return parts.length > 1 ? { and: parts } : parts[0];
+  };
+  const parsePrimary = () => {
+    const t = peek();
+    if (!t) throw queryError("Expected a condition", end);
+    if (t.type === "(") {
+      k++;
+      const inner = parseOr();
+      if (peek()?.type !== ")") throw queryError('Expected ")"', peek() || end);
+      k++;
+      return inner;
+    }
+    if (isWord(t, "not")) throw queryError('NOT is not supported; use "!=", "not has" or "is not empty"', t);
+    return parseComparison();
+  };
+  const parseComparison = () => {
+    const propTok = peek();
+    if (!["word", "name", "string"].includes(propTok.type)) throw queryError("Expected a property name", propTok);
+    k++;
+    const opTok = peek();
+    if (!opTok) throw queryError(`Expected an operator after ${propTok.text}`, end);
+    let op;
+    if (opTok.type === "op") { op = opTok.value === "==" ? "=" : opTok.value; k++; }
+    else if (isWord(opTok, "has", "contains", "starts", "ends")) { op = opTok.value.toLowerCase(); k++; }
+    else if (isWord(opTok, "not")) {
+      k++;
+      if (!isWord(peek(), "has", "contains")) throw queryError('Expected "has" or "contains" after "not"', peek() || end);
+      op = `!${peek().value.toLowerCase()}`; k++;
+    } else if (isWord(opTok, "is")) {
+      k++;
+      const negated = isWord(peek(), "not") && ++k;
+      if (!isWord(peek(), "empty")) throw queryError('Expected "empty" after "is"', peek() || end);
+      k++;
+      return { prop: propTok, op: negated ? "is_not_empty" : "is_empty", opTok };
+    } else throw queryError(`Unknown operator "${opTok.text}"`, opTok);
+    if (["starts", "ends"].includes(op) && isWord(peek(), "with")) k++;
+
+    const valueTok = peek();
+    if (!valueTok || !["string", "word", "name"].includes(valueTok.type)) throw queryError(`Expected a value after ${opTok.text}`, valueTok || end);
+    k++;
+    return { prop: propTok, op, opTok, value: valueTok };
+  };
+
+  const tree = parseOr();
+  if (k < tokens.length) throw queryError(`Unexpected "${tokens[k].text}"`, tokens[k]);
+  return tree;
+}
+
+// today, tomorrow, yesterday, now, today+7d, today-2w, now+3h, or a literal ISO date
+function resolveDateValue(tok) {
+  const v = String(tok.value).trim();
+  if (ISO_DATE.test(v)) return v;
+  const m = v.toLowerCase().match(/^(today|tomorrow|yesterday|now)(?:([+-])(\d+)([hdwmy]))?$/);
+  if (!m) throw queryError(`Invalid date "${v}" (use YYYY-MM-DD or today±Nd/w/m/y)`, tok);
+  const d = new Date();
+  if (m[1] === "tomorrow") d.setUTCDate(d.getUTCDate() + 1);
+  if (m[1] === "yesterday") d.setUTCDate(d.getUTCDate() - 1);
+  if (m[2]) {
+    const n = Number(m[3]) * (m[2] === "-" ? -1 : 1);
+    if (m[4] === "h") d.setUTCHours(d.getUTCHours() + n);
+    if (m[4] === "d") d.setUTCDate(d.getUTCDate() + n);
+    if (m[4] === "w") d.setUTCDate(d.getUTCDate() + 7 * n);
+    if (m[4] === "m") d.setUTCMonth(d.getUTCMonth() + n);
+    if (m[4] === "y") d.setUTCFullYear(d.getUTCFullYear() + n);
+  }
+  return m[1] === "now" ? d.toISOString() : d.toISOString().slice(0, 10);
+}
+
+// Resolve a property token case-insensitively against the schema
+function resolveQueryProperty(props, tok) {
+  const name = String(tok.value);
+  if (props[name]) return name;
+  const found = Object.keys(props).find((k) => k.toLowerCase() === name.toLowerCase());
+  if (found) return found;
+  const hint = didYouMean(name, Object.keys(props));
+  throw queryError(`Unknown property "${name}"${hint ? ` (did you mean "${hint}"?)` : ""}`, tok);
+}
+
+const QUERY_OPS = {
+  text: { "=": "equals", "!=": "does_not_equal", "~": "contains", has: "contains", contains: "contains",
+    "!~": "does_not_contain", "!has": "does_not_contain", "!contains": "does_not_contain", starts: "starts_with", ends: "ends_with" },
+  number: { "=": "equals", "!=": "does_not_equal", "<": "less_than", "<=": "less_than_or_equal_to",
+    ">": "greater_than", ">=": "greater_than_or_equal_to" },
+  date: { "=": "equals", "<": "before", "<=": "on_or_before", ">": "after", ">=": "on_or_after" },
+  select: { "=": "equals", "!=": "does_not_equal" },
+  checkbox: { "=": "equals", "!=": "does_not_equal" },
+  contains: { "=": "contains", has: "contains", contains: "contains", "~": "contains",
+    "!=": "does_not_contain", "!has": "does_not_contain", "!contains": "does_not_contain", "!~": "does_not_contain" },
+};
+const QUERY_TYPE_FAMILY = {
+  title: "text", rich_text: "text", url: "text", email: "text", phone_number: "text",
+  number: "number", unique_id: "number",
+  date: "date", created_time: "date", last_edited_time: "date",
+  select: "select", status: "select", checkbox: "checkbox",
+  multi_select: "contains", relation: "contains", people: "contains", created_by: "contains", last_edited_by: "contains",
+};
+
+// Compile one comparison to a Notion filter object
+async function compileComparison(props, headers, node, ctx) {
+  const { prop, op, opTok, value } = node;
+  const TIMESTAMPS = ["created_time", "last_edited_time"];
+  const timestamp = !Object.keys(props).some((k) => k.toLowerCase() === String(prop.value).toLowerCase()) &&
+    TIMESTAMPS.includes(String(prop.value).toLowerCase()) ? String(prop.value).toLowerCase() : null;
+  const name = timestamp || resolveQueryProperty(props, prop);
+  const type = timestamp || props[name].type;
+  const target = timestamp ? { timestamp } : { property: name };
+
+  if (op === "is_empty" || op === "is_not_empty") {
+    if (type === "checkbox" || timestamp) throw queryError(`${name} cannot be empty`, opTok);
+    return { ...target, ...(type === "formula" ? { formula: { string: { [op]: true } } } : { [type]: { [op]: true } }) };
+  }
+
+  let family = QUERY_TYPE_FAMILY[type];
+  let filterType = type;
+  // Formulas have no declared result type, so it is inferred from the value
+  if (type === "formula") {
+    const v = String(value.value);
+    family = value.type === "string" ? "text" : /^-?\d+(\.\d+)?$/.test(v) ? "number"
+      : /^(true|false)$/i.test(v) ? "checkbox" : "date";
+    filterType = { text: "string", number: "number", checkbox: "checkbox", date: "date" }[family];
+  }
+  if (!family) throw queryError(`Filtering on ${type} property "${name}" is not supported`, prop);
+  const notionOp = QUERY_OPS[family][op];
+  if (!notionOp) {
+    const allowed = Object.keys(QUERY_OPS[family]).join(" ");
+    throw queryError(`Operator "${opTok.text}" does not apply to ${type} property "${name}" (use one of: ${allowed})`, opTok);
+  }
+
+  let v = value.value;
+  if (family === "number") {
+    v = Number(type === "unique_id" ? String(v).replace(/^.*-/, "") : v);
+    if (!Number.isFinite(v)) throw queryError(`Expected a number for "${name}"`, value);
+  } else if (family === "checkbox") {
+    if (!/^(true|false|yes|no|1|0)$/i.test(String(v))) throw queryError(`Expected true or false for "${name}"`, value);
+    v = toBool(v);
+  } else if (family === "date") {
+    v = resolveDateValue(value);
+  } else if (family === "select" && props[name][type]?.options?.length) {
+    const opt = props[name][type].options.find((o) => o.name.toLowerCase() === String(v).toLowerCase());
+    if (!opt) {
+      const hint = didYouMean(v, props[name][type].options.map((o) => o.name));
+      throw queryError(`"${v}" is not an option of ${name}${hint ? ` (did you mean "${hint}"?)` : ""}`, value);
+    }
+    v = opt.name;
+  } else if (type === "people" || type === "created_by" || type === "last_edited_by") {
+    if (!/^[0-9a-f]{32}$/i.test(normId(v))) {
+      ctx.users = ctx.users || await listNotionUsers(headers);
+      const needle = String(v).toLowerCase();
+      const user = ctx.users.find((u) => u.person?.email?.toLowerCase() === needle || u.name?.toLowerCase() === needle);
+      if (!user) throw queryError(`No workspace user matches "${v}"`, value);
+      v = user.id;
+    } else v = toDashedUuid(v);
+  } else if (type === "relation") {
+    v = toDashedUuid(v);
+  } else {
+    v = String(v);
+  }
+
+  const condition = { [notionOp]: v };
+  return { ...target, ...(type === "formula" ? { formula: { [filterType]: condition } } : { [filterType]: condition }) };
+}
+
+async function compileQuery(props, headers, node, ctx = {}) {
+  if (node.and || node.or) {
+    const key = node.and ? "and" : "or";
+    const parts = [];
+    for (const child of node[key]) parts.push(await compileQuery(props, headers, child, ctx));
+    return { [key]: parts };
+  }
+  return compileComparison(props, headers, node, ctx);
+}
+
+// "Due desc, Name" → Notion sorts
+function parseSortString(props, src) {
+  return String(src).split(",").map((s) => s.trim()).filter(Boolean).map((part) => {
+    const m = part.match(/^(.*?)(?:\s+(asc|ascending|desc|descending))?$/i);
+    const direction = /^desc/i.test(m[2] || "") ? "descending" : "ascending";
+    const raw = m[1].replace(/^[`"[]|[`"\]]$/g, "");
+    if (["created_time", "last_edited_time"].includes(raw.toLowerCase()) && !props[raw])
+      return { timestamp: raw.toLowerCase(), direction };
+    return { property: resolveQueryProperty(props, { value: raw, text: raw, pos: src.indexOf(part) }), direction };
+  });
+}
+
+// Raw Notion JSON passes through; compact strings are compiled against the schema
+async function buildQueryPayload(schema, headers, { filter, sort } = {}) {
+  const payload = {};
+  const queryFilter = typeof filter === "string"
+    ? (filter.trim() ? await compileQuery(schema, headers, parseQuery(filter)) : null)
+    : filter;
+  const sorts = typeof sort === "string" ? parseSortString(schema, sort) : sort;
+  if (queryFilter && Object.keys(queryFilter).length) payload.filter = queryFilter;
+  if (sorts && (!Array.isArray(sorts) || sorts.length)) payload.sorts = sorts;
+  return payload;
+}
+
+// Query a database, following next_cursor until `cap` pages are collected
+async function queryDatabasePages(headers, dbId, payload = {}, cap = Infinity) {
+  const pages = [];
+  const data = { ...payload };
+  let resp;
+  do {
+    data.page_size = Math.min(100, Math.max(1, cap - pages.length));
+    resp = await doNotion("post", `https://api.notion.com/v1/databases/${dbId}/query`, { headers, data });
+    pages.push(...(resp.data?.results || []));
+    data.start_cursor = resp.data?.next_cursor;
+  } while (resp.data?.has_more && pages.length < cap);
+  return { pages, has_more: !!resp.data?.has_more, next_cursor: resp.data?.next_cursor ?? null };
+}
+
+// ─────────────────────────── Notion → Markdown ───────────────────────────
+// List every child of a block, following next_cursor
+async function listBlockChildren(headers, blockId) {
+  const results = [];
+  let cursor;
+  do {
+    const resp = await doNotion("get", `https://api.notion.com/v1/blocks/${blockId}/children`, {
+      headers,
+      params: { page_size: 100, ...(cursor && { start_cursor: cursor }) },
+    });
+    results.push(...(resp.data?.results || []));
+    cursor = resp.data?.has_more ? resp.data.next_cursor : null;
+  } while (cursor);
+  return results;
+}
+
+// Fetch a block subtree; children are attached as `children` on each block.
+// Child pages and databases are separate documents and are not descended into.
+async function fetchBlockTree(headers, blockId, maxDepth = Infinity, depth = 0) {
+  const blocks = await listBlockChildren(headers, blockId);
+  if (depth + 1 >= maxDepth) return blocks;
+  for (const b of blocks) {
+    if (b.has_children && !["child_page", "child_database"].includes(b.type))
+      b.children = await fetchBlockTree(headers, b.id, maxDepth, depth + 1);
+  }
+  return blocks;
+}
+
+// YAML front matter; non-trivial values are written as JSON, which is valid YAML flow syntax
+function toFrontMatter(values) {
+  const yamlKey = (k) => (/^[\w][\w .-]*$/.test(k) && k === k.trim() ? k : JSON.stringify(k));
+  const yamlValue = (v) => {
+    if (v === null || v === undefined || v === "") return "null";
+    if (typeof v === "string" && /^[\w][\w .,/@()+-]*$/.test(v) && v === v.trim() &&
+        !/^(true|false|null|yes|no|on|off|~|[-+]?[\d.]+(e\d+)?)$/i.test(v)) return v;
+    return JSON.stringify(v);
+  };
+  const lines = Object.entries(values).map(([k, v]) => `${yamlKey(k)}: ${yamlValue(v)}`);
+  return `---\n${lines.join("\n")}\n---\n\n`;
+}
+
+const escapeMarkdown = (s) => s
+  .replace(/[\\`*[\]~]/g, "\\$&")
+  .replace(/<(?=[a-z/!])/gi, "\\<")
+  .replace(/\$(?=[^\s\d])/g, "\\$$")
+  .replace(/_/g, (m, i, str) => (/\w/.test(str[i - 1] || "") && /\w/.test(str[i + 1] || "") ? "_" : "\\_"));
+const codeSpan = (text) => {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map((r) => r.length));
+  const fence = "`".repeat(longest + 1);
+  const pad = /^`|`$/.test(text) ? " " : "";
+  return `${fence}${pad}${text}${pad}${fence}`;
+};
+const linkTarget = (url) => (/[\s()]/.test(url) ? `<${url}>` : url);
+
+// Notion rich_text → inline Markdown
+function richTextToMarkdown(rich_text = []) {
+  const runs = [];
+  for (const t of rich_text) {
+    const text = t.type === "equation" ? t.equation?.expression : t.plain_text ?? t.text?.content ?? "";
+    if (!text) continue;
+    const a = t.annotations || {};
+    const run = { text, href: t.href || t.text?.link?.url || null, equation: t.type === "equation",
+      marks: ANNOTATION_KEYS.filter((k) => a[k]).join(",") };
+    const prev = runs[runs.length - 1];
+    if (prev && !prev.equation && !run.equation && prev.href === run.href && prev.marks === run.marks) prev.text += text;
+    else runs.push(run);
+  }
+
+  const render = (run) => {
+    if (run.equation) return `$${run.text}$`;
+    const marks = run.marks.split(",");
+    if (marks.includes("code")) return wrapMarks(codeSpan(run.text), marks);
+    // Emphasis markers cannot hug whitespace, so it is moved outside them
+    const [, lead, core, trail] = run.text.match(/^(\s*)([^]*?)(\s*)$/);
+    return core ? lead + wrapMarks(escapeMarkdown(core), marks) + trail : escapeMarkdown(run.text);
+  };
+
+  // Consecutive runs sharing a link render as one link
+  let out = "";
+  for (let i = 0; i < runs.length;) {
+    const href = runs[i].href;
+    let j = i;
+    while (j < runs.length && runs[j].href === href) j++;
+    const inner = runs.slice(i, j).map(render).join("");
+    out += href ? `[${inner}](${linkTarget(href)})` : inner;
+    i = j;
+  }
+  return out;
+}
+const wrapMarks = (core, marks) => {
+  if (marks.includes("strikethrough")) core = `~~${core}~~`;
+  if (marks.includes("italic")) core = `*${core}*`;
+  if (marks.includes("bold")) core = `**${core}**`;
+  if (marks.includes("underline")) core = `<u>${core}</u>`;
+  return core;
+};
+
+// Keep paragraph text from being re-read as a block construct
+const escapeLineStart = (line) => line.replace(/^(\s*)(#{1,6}\s|>|[-+*]\s|(\d+)([.)])\s|---|===|\$\$|<details)/,
+  (m, ws, tok, num, punct) => (num ? `${ws}${num}\\${punct} ` : `${ws}\\${tok}`));
+const prefixLines = (text, first, rest = " ".repeat(first.length)) =>
+  text.split("\n").map((l, i) => (l || i === 0 ? (i === 0 ? first : rest) + l : l.trimEnd())).join("\n");
+const quoteLines = (text) => text.split("\n").map((l) => (l ? `> ${l}` : ">")).join("\n");
+const fileUrl = (body) => body?.external?.url || body?.file?.url || body?.url || "";
+const fileLabel = (body, fallback) =>
+  richTextToMarkdown(body?.caption) || escapeMarkdown(body?.name || decodeURIComponent(fallback.split("?")[0].split("/").pop() || "file"));
+
+// Render one block (with its children) to Markdown. Fetched trees carry `children` on the block,
+// locally built blocks carry them in the body.
+function blockToMarkdown(b, number = 1) {
+  const body = b[b.type] || {};
+  const kids = b.children || body.children || [];
+  const text = richTextToMarkdown(body.rich_text);
+  const children = kids.length ? blocksToMarkdown(kids) : "";
+  const withChildren = (head, indent) => (children ? `${head}\n${prefixLines(children, indent)}` : head);
+
+  switch (b.type) {
+    case "paragraph":
+      return withChildren(text.split("\n").map(escapeLineStart).join("\n"), "    ");
+    case "heading_1":
+    case "heading_2":
+    case "heading_3":
+      return [`${"#".repeat(Number(b.type.slice(-1)))} ${text}`, children].filter(Boolean).join("\n\n");
+    case "bulleted_list_item":
+      return withChildren(prefixLines(text, "- "), "  ");
+    case "numbered_list_item":
+      return withChildren(prefixLines(text, `${number}. `), " ".repeat(`${number}. `.length));
+    case "to_do":
+      return withChildren(prefixLines(text, `- [${body.checked ? "x" : " "}] `, "  "), "  ");
+    case "toggle":
+      return `<details><summary>${text}</summary>\n\n${children ? `${children}\n\n` : ""}</details>`;
+    case "quote":
+      return quoteLines([text, children].filter(Boolean).join("\n\n"));
+    case "callout": {
+      const icon = body.icon?.type === "emoji" ? ` ${body.icon.emoji}` : "";
+      return quoteLines([`[!NOTE]${icon}`, [text, children].filter(Boolean).join("\n\n")].join("\n"));
+    }
+    case "code": {
+      const code = (body.rich_text || []).map((t) => t.plain_text ?? t.text?.content ?? "").join("");
+      const longest = Math.max(2, ...(code.match(/^`+/gm) || []).map((r) => r.length));
+      const fence = "`".repeat(longest + 1);
+      const lang = body.language && body.language !== "plain text" ? body.language.replace(/\s+/g, "") : "";
+      return `${fence}${lang}\n${code}\n${fence}`;
+    }
+    case "equation":
+      return `$$\n${body.expression || ""}\n$$`;
+    case "divider":
+      return "---";
+    case "table": {
+      const rows = kids.filter((r) => r.type === "table_row")
+        .map((r) => r.table_row.cells.map((c) => richTextToMarkdown(c).replace(/\|/g, "\\|").replace(/\n/g, "<br>")));
+      if (!rows.length) return "";
+      const width = Math.max(body.table_width || 0, ...rows.map((r) => r.length));
+      const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || "").join(" | ")} |`;
+      return [line(rows[0]), line(Array(width).fill("---")), ...rows.slice(1).map(line)].join("\n");
+    }
+    case "image": {
+      const url = fileUrl(body);
+      return url ? `![${richTextToMarkdown(body.caption)}](${linkTarget(url)})` : "";
+    }
+    case "file":
+    case "pdf":
+    case "video":
+    case "audio": {
+      const url = fileUrl(body);
+      return url ? `[${fileLabel(body, url)}](${linkTarget(url)})` : "";
+    }
+    case "bookmark":
+    case "embed":
+    case "link_preview": {
+      const url = body.url || "";
+      return url ? `[${richTextToMarkdown(body.caption) || escapeMarkdown(url)}](${linkTarget(url)})` : "";
+    }
+    case "child_page":
+    case "child_database":
+      return `[${escapeMarkdown(body.title || "Untitled")}](https://www.notion.so/${normId(b.id)})`;
+    case "link_to_page": {
+      const id = body.page_id || body.database_id;
+      return id ? `[${escapeMarkdown(id)}](https://www.notion.so/${normId(id)})` : "";
+    }
+    case "column_list":
+    case "column":
+    case "synced_block":
+    case "template":
+      return children;
+    case "table_of_contents":
+    case "breadcrumb":
+      return "";
+    case "page_break":
+      return "<!-- pagebreak -->";
+    default:
+      return `<!-- notion:${b.type} -->`;
+  }
+}
+
+// Render sibling blocks; list items stay tight and numbered lists count up
+function blocksToMarkdown(blocks = []) {
+  const parts = [];
+  let number = 0, prevType = null;
+  for (const b of blocks) {
+    number = b.type === "numbered_list_item" ? (prevType === "numbered_list_item" ? number + 1 : 1) : 0;
+    const md = blockToMarkdown(b, number);
+    const listy = ["bulleted_list_item", "numbered_list_item", "to_do"];
+    if (md) {
+      const tight = parts.length && listy.includes(b.type) && listy.includes(prevType);
+      parts.push(parts.length ? (tight ? "\n" : "\n\n") : "", md);
+    }
+    prevType = b.type;
+  }
+  return parts.join("");
+}
+
+// ─────────────────────────── Document Rendering ───────────────────────────
+// Documents are rendered from Notion-shaped blocks, so Markdown input (via markdownToBlocks) and
+// fetched page trees share the same PDF, DOCX, PPTX and HTML renderers.
+
+const PAGE_BREAK = /^\s*(\\pagebreak|\\newpage|<!--\s*pagebreak\s*-->)\s*$/i;
+const blockChildren = (b) => b.children || b[b.type]?.children || [];
+const plainText = (rich_text = []) => rich_text.map((t) => t.plain_text ?? t.text?.content ?? t.equation?.expression ?? "").join("");
+const runsOf = (rich_text = []) => rich_text.map((t) => ({
+  text: t.type === "equation" ? t.equation?.expression || "" : t.plain_text ?? t.text?.content ?? "",
+  bold: !!t.annotations?.bold,
+  italic: !!t.annotations?.italic,
+  strike: !!t.annotations?.strikethrough,
+  underline: !!t.annotations?.underline,
+  code: !!t.annotations?.code || t.type === "equation",
+  href: t.href || t.text?.link?.url || null,
+})).filter((r) => r.text);
+
+// Structured outline → Markdown: [{ title, body, bullets, sections }]
+function outlineToMarkdown(outline, level = 2) {
+  const sections = Array.isArray(outline) ? outline : outline?.sections || [];
+  return sections.map((s) => [
+    s.title && `${"#".repeat(Math.min(3, level))} ${s.title}`,
+    s.body,
+    Array.isArray(s.bullets) && s.bullets.map((b) => `- ${b}`).join("\n"),
+    s.sections && outlineToMarkdown(s.sections, level + 1),
+  ].filter(Boolean).join("\n\n")).join("\n\n");
+}
+
+// Markdown with page-break markers → blocks with { type: "page_break" } separators
+function documentBlocks(markdown) {
+  const blocks = [];
+  const chunks = [[]];
+  for (const line of String(markdown || "").replace(/\r\n?/g, "\n").split("\n")) {
+    if (PAGE_BREAK.test(line)) chunks.push([]);
+    else chunks[chunks.length - 1].push(line);
+  }
+  chunks.forEach((lines, i) => {
+    if (i) blocks.push({ type: "page_break" });
+    blocks.push(...markdownToBlocks(lines.join("\n")));
+  });
+  return blocks;
+}
+
+// Headings for tables of contents
+const collectHeadings = (blocks, out = []) => {
+  for (const b of blocks) {
+    if (/^heading_[123]$/.test(b.type)) out.push({ level: Number(b.type.slice(-1)), text: plainText(b[b.type].rich_text) });
+    else if (["toggle", "column_list", "column", "synced_block"].includes(b.type)) collectHeadings(blockChildren(b), out);
+  }
+  return out;
+};
+const slugify = (s) => s.toLowerCase().trim().replace(/[^\w\s-]/g, "").replace(/\s+/g, "-");
+
+function linkLabel(b) {
+  const body = b[b.type] || {};
+  const url = fileUrl(body);
+  if (b.type === "child_page" || b.type === "child_database") return { text: body.title || "Untitled", url: null };
+  return { text: plainText(body.caption) || body.name || url, url };
+}
+
+// Dimensions of PNG and JPEG data; other formats are not embeddable everywhere
+function imageInfo(buf) {
+  if (buf.length > 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return { type: "png", width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (buf.length > 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    for (let i = 2; i + 9 < buf.length;) {
+      if (buf[i] !== 0xff) { i++; continue; }
+      const marker = buf[i + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { type: "jpg", height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7) };
+      }
+      i += 2 + buf.readUInt16BE(i + 2);
+    }
+  }
+  return null;
+}
+
+const IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+async function fetchImage(url) {
+  try {
+    const resp = await outboundRequest({
+      method: "get", url, responseType: "arraybuffer", timeout: 15000, maxContentLength: IMAGE_MAX_BYTES,
+    });
+    const data = Buffer.from(resp.data);
+    const info = imageInfo(data);
+    return info && info.width && info.height ? { data, ...info } : null;
+  } catch (err) {
+    logError("image_download_failed", { level: "warn", url, message: err.message });
+    return null;
+  }
+}
+
+// Download every image in the tree so renderers can embed it (body.embedded); failures fall back to links
+async function embedImages(blocks) {
+  for (const b of blocks) {
+    if (b.type === "image") {
+      const url = fileUrl(b.image);
+      if (url && !b.image.embedded) b.image.embedded = await fetchImage(url);
+    }
+    await embedImages(blockChildren(b));
+  }
+}
+
+// ── PDF ──
+const PDF_MARGIN = 72;
+const pdfFont = (r) => r.code ? "Courier"
+  : r.bold && r.italic ? "Helvetica-BoldOblique" : r.bold ? "Helvetica-Bold" : r.italic ? "Helvetica-Oblique" : "Helvetica";
+
+function pdfText(doc, runs, { x, y = doc.y, width, size = 11, base = {}, color = "#222222", destination } = {}) {
+  const list = runs.length ? runs : [{ text: " " }];
+  list.forEach((r, i) => {
+    const run = { ...base, ...r, bold: r.bold || base.bold, italic: r.italic || base.italic };
+    doc.font(pdfFont(run)).fontSize(run.code ? size - 1 : size).fillColor(run.href ? "#1a5fb4" : color);
+    const opts = {
+      width, lineGap: 2, continued: i < list.length - 1,
+      underline: !!(run.underline || run.href), strike: !!run.strike, link: run.href || null,
+      ...(i === 0 && destination && { destination }),
+    };
+    if (i === 0) doc.text(run.text, x, y, opts);
+    else doc.text(run.text, opts);
+  });
+}
+
+const pdfBottom = (doc) => doc.page.height - doc.page.margins.bottom;
+const pdfEnsureSpace = (doc, h) => { if (doc.y + h > pdfBottom(doc)) doc.addPage(); };
+const pdfPageIndex = (doc) => { const r = doc.bufferedPageRange(); return r.start + r.count - 1; };
+
+function pdfTable(doc, b, x, width) {
+  const rows = blockChildren(b).filter((r) => r.type === "table_row");
+  if (!rows.length) return;
+  const cols = Math.max(...rows.map((r) => r.table_row.cells.length));
+  const colW = width / cols;
+  const header = b.table?.has_column_header;
+  doc.fontSize(10);
+  rows.forEach((r, ri) => {
+    const cells = Array.from({ length: cols }, (_, c) => r.table_row.cells[c] || []);
+    const isHead = header && ri === 0;
+    const h = Math.max(...cells.map((c) =>
+      doc.font(isHead ? "Helvetica-Bold" : "Helvetica").heightOfString(plainText(c) || " ", { width: colW - 8 }))) + 8;
+    pdfEnsureSpace(doc, h);
+    const y = doc.y;
+    cells.forEach((c, ci) => {
+      const cx = x + ci * colW;
+      if (isHead) doc.rect(cx, y, colW, h).fill("#eeeeee");
+      doc.rect(cx, y, colW, h).lineWidth(0.5).stroke("#999999");
+      pdfText(doc, runsOf(c), { x: cx + 4, y: y + 4, width: colW - 8, size: 10, base: { bold: isHead } });
+    });
+    doc.x = x;
+    doc.y = y + h;
+  });
+  doc.moveDown(0.6);
+}
+
+function pdfBlocks(doc, blocks, ctx, depth = 0) {
+  let number = 0, prev = null;
+  for (const b of blocks) {
+    number = b.type === "numbered_list_item" ? (prev === "numbered_list_item" ? number + 1 : 1) : 0;
+    pdfBlock(doc, b, ctx, depth, number);
+    prev = b.type;
+  }
+}
+
+function pdfBlock(doc, b, ctx, depth, number) {
+  const body = b[b.type] || {};
+  const x = ctx.left + depth * 18;
+  const width = ctx.width - depth * 18;
+  const children = blockChildren(b);
+
+  switch (b.type) {
+    case "page_break":
+      doc.addPage();
+      return;
+    case "heading_1":
+    case "heading_2":
+    case "heading_3": {
+      const level = Number(b.type.slice(-1));
+      pdfEnsureSpace(doc, 60);
+      if (doc.y > doc.page.margins.top + 1) doc.moveDown(0.5);
+      const destination = `h${ctx.headings.length}`;
+      ctx.headings.push({ level, text: plainText(body.rich_text), page: pdfPageIndex(doc), destination });
+      pdfText(doc, runsOf(body.rich_text), { x, width, size: [0, 20, 16, 13][level], base: { bold: true }, color: "#111111", destination });
+      doc.moveDown(0.4);
+      pdfBlocks(doc, children, ctx, depth);
+      return;
+    }
+    case "bulleted_list_item":
+    case "numbered_list_item":
+    case "to_do": {
+      const marker = b.type === "to_do" ? (body.checked ? "[x]" : "[ ]") : b.type === "numbered_list_item" ? `${number}.` : "•";
+      const indent = b.type === "bulleted_list_item" ? 12 : 20;
+      pdfEnsureSpace(doc, 16);
+      const y = doc.y;
+      doc.font("Helvetica").fontSize(11).fillColor("#222222").text(marker, x, y, { width: indent, lineBreak: false });
+      pdfText(doc, runsOf(body.rich_text), { x: x + indent, y, width: width - indent,
+        base: { strike: b.type === "to_do" && body.checked } });
+      doc.moveDown(0.2);
+      pdfBlocks(doc, children, ctx, depth + 1);
+      return;
+    }
+    case "code": {
+      const code = plainText(body.rich_text) || " ";
+      doc.font("Courier").fontSize(9);
+      const h = doc.heightOfString(code, { width: width - 16 }) + 12;
+      if (h < doc.page.height - doc.page.margins.top - doc.page.margins.bottom) pdfEnsureSpace(doc, h);
+      const y = doc.y;
+      if (y + h <= pdfBottom(doc)) doc.rect(x, y, width, h).fill("#f4f4f4");
+      doc.fillColor("#333333").font("Courier").fontSize(9).text(code, x + 8, y + 6, { width: width - 16 });
+      doc.x = x;
+      doc.y = Math.max(doc.y, y + h);
+      doc.moveDown(0.6);
+      return;
+    }
+    case "quote":
+    case "callout": {
+      const startY = doc.y, startPage = pdfPageIndex(doc);
+      // Standard PDF fonts have no emoji glyphs, so callout icons are left out
+      pdfText(doc, runsOf(body.rich_text), { x: x + 14, width: width - 14, base: { italic: b.type === "quote" }, color: "#444444" });
+      doc.moveDown(0.3);
+      pdfBlocks(doc, children, { ...ctx, left: ctx.left + 14, width: ctx.width - 14 }, depth);
+      if (pdfPageIndex(doc) === startPage) {
+        doc.moveTo(x + 4, startY).lineTo(x + 4, doc.y - 4).lineWidth(2).stroke(b.type === "callout" ? "#e0a800" : "#bbbbbb");
+      }
+      doc.x = x;
+      doc.moveDown(0.4);
+      return;
+    }
+    case "divider":
+      pdfEnsureSpace(doc, 20);
+      doc.moveDown(0.3);
+      doc.moveTo(x, doc.y).lineTo(x + width, doc.y).lineWidth(0.5).stroke("#cccccc");
+      doc.moveDown(0.7);
+      return;
+    case "table":
+      pdfTable(doc, b, x, width);
+      return;
+    case "equation":
+      pdfText(doc, [{ text: body.expression || "", code: true }], { x, width });
+      doc.moveDown(0.5);
+      return;
+    case "toggle":
+      pdfText(doc, runsOf(body.rich_text), { x, width, base: { bold: true } });
+      doc.moveDown(0.3);
+      pdfBlocks(doc, children, ctx, depth + 1);
+      return;
+    case "image":
+      if (body.embedded) {
+        const { data, width: iw, height: ih } = body.embedded;
+        const maxH = (doc.page.height - doc.page.margins.top - doc.page.margins.bottom) * 0.8;
+        const scale = Math.min(1, width / iw, maxH / ih);
+        pdfEnsureSpace(doc, ih * scale + 16);
+        const y = doc.y;
+        doc.image(data, x, y, { width: iw * scale, height: ih * scale });
+        doc.x = x;
+        doc.y = y + ih * scale + 4;
+        if (body.caption?.length) pdfText(doc, runsOf(body.caption), { x, width, size: 9, base: { italic: true }, color: "#666666" });
+        doc.moveDown(0.6);
+        return;
+      }
+    // falls through
+    case "file":
+    case "pdf":
+    case "video":
+    case "audio":
+    case "bookmark":
+    case "embed":
+    case "link_preview":
+    case "child_page":
+    case "child_database": {
+      const { text, url } = linkLabel(b);
+      const prefix = b.type === "image" ? "Image: " : "";
+      pdfText(doc, [{ text: prefix + (text || url || b.type), href: url }], { x, width, size: 10 });
+      doc.moveDown(0.5);
+      return;
+    }
+    case "column_list":
+    case "column":
+    case "synced_block":
+    case "template":
+      pdfBlocks(doc, children, ctx, depth);
+      return;
+    case "paragraph":
+      if (!body.rich_text?.length && !children.length) { doc.moveDown(0.5); return; }
+      pdfText(doc, runsOf(body.rich_text), { x, width });
+      doc.moveDown(0.5);
+      pdfBlocks(doc, children, ctx, depth + 1);
+      return;
+    default:
+      if (body.rich_text?.length) {
+        pdfText(doc, runsOf(body.rich_text), { x, width });
+        doc.moveDown(0.5);
+      }
+      pdfBlocks(doc, children, ctx, depth + 1);
+  }
+}
+
+function renderPdf(filePath, { title, blocks, options = {} }) {
+  const doc = new PDFDocument({ margin: PDF_MARGIN, bufferPages: true, info: { Title: title, Author: options.author || "" } });
+  const done = new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(filePath);
+    out.on("finish", resolve).on("error", reject);
+    doc.on("error", reject);
+    doc.pipe(out);
+  });
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  let firstContentPage = 0;
+  if (options.title_page) {
+    doc.font("Helvetica-Bold").fontSize(30).fillColor("#111111").text(title, left, doc.page.height / 3, { width, align: "center" });
+    if (options.subtitle) doc.moveDown(0.5).font("Helvetica").fontSize(16).fillColor("#555555").text(options.subtitle, { width, align: "center" });
+    doc.moveDown(2).font("Helvetica").fontSize(11).fillColor("#777777")
+      .text([options.author, new Date().toISOString().slice(0, 10)].filter(Boolean).join(" · "), { width, align: "center" });
+    doc.addPage();
+    firstContentPage = 1;
+  }
+
+  // Reserve pages for the table of contents; entries are filled in once heading pages are known
+  let tocPages = 0;
+  if (options.toc) {
+    tocPages = Math.max(1, Math.ceil((collectHeadings(blocks).length + (options.title_page ? 2 : 4)) / 32));
+    for (let i = 0; i < tocPages; i++) doc.addPage();
+  }
+  if (!options.title_page && !options.toc) {
+    doc.font("Helvetica-Bold").fontSize(24).fillColor("#111111").text(title, left, doc.y, { width });
+    doc.moveDown(0.8);
+  }
+
+  const ctx = { left, width, headings: [] };
+  pdfBlocks(doc, blocks, ctx);
+
+  if (options.toc) {
+    const tocStart = firstContentPage;
+    let page = tocStart;
+    doc.switchToPage(page);
+    doc.y = doc.page.margins.top;
+    // Without a title page the title heads the contents
+    if (!options.title_page) {
+      doc.font("Helvetica-Bold").fontSize(24).fillColor("#111111").text(title, left, doc.y, { width });
+      doc.moveDown(0.8);
+    }
+    doc.font("Helvetica-Bold").fontSize(20).fillColor("#111111").text("Contents", left, doc.y, { width });
+    doc.moveDown(0.8);
+    for (const h of ctx.headings) {
+      if (doc.y + 20 > pdfBottom(doc) && page < tocStart + tocPages - 1) {
+        doc.switchToPage(++page);
+        doc.y = doc.page.margins.top;
+      }
+      const indent = (h.level - 1) * 16;
+      const y = doc.y;
+      doc.font(h.level === 1 ? "Helvetica-Bold" : "Helvetica").fontSize(11).fillColor("#222222")
+        .text(h.text, left + indent, y, { width: width - indent - 40, goTo: h.destination, lineBreak: false, ellipsis: true });
+      doc.text(String(h.page + 1), left + width - 40, y, { width: 40, align: "right" });
+      doc.x = left;
+      doc.y = y + 18;
+    }
+  }
+
+  // Header, footer and page numbers go on every page except the title page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start + firstContentPage; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const margins = { ...doc.page.margins };
+    doc.page.margins.top = doc.page.margins.bottom = 0;
+    doc.font("Helvetica").fontSize(9).fillColor("#888888");
+    if (options.header) doc.text(options.header, left, 30, { width, align: "center", lineBreak: false });
+    if (options.footer) doc.text(options.footer, left, doc.page.height - 45, { width, align: "left", lineBreak: false });
+    if (options.page_numbers) doc.text(`Page ${i + 1} of ${range.count}`, left, doc.page.height - 45, { width, align: "right", lineBreak: false });
+    doc.page.margins = margins;
+  }
+
+  doc.end();
+  return done;
+}
+
+// ── DOCX ──
+const DOCX_HEADINGS = [null, HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3];
+
+function docxRuns(rich_text, base = {}) {
+  const list = runsOf(rich_text);
+  return list.flatMap((r) => r.text.split("\n").map((text, i) => {
+    const opts = {
+      text, break: i ? 1 : undefined,
+      bold: base.bold || r.bold, italics: base.italics || r.italic, strike: base.strike || r.strike,
+      underline: r.underline ? {} : undefined, font: r.code ? "Courier New" : base.font,
+      size: base.size, color: base.color,
+    };
+    return r.href ? new ExternalHyperlink({ link: r.href, children: [new TextRun({ ...opts, style: "Hyperlink" })] }) : new TextRun(opts);
+  }));
+}
+
+function docxBlocks(blocks, ctx, depth = 0, out = []) {
+  let prev = null;
+  for (const b of blocks) {
+    if (b.type === "numbered_list_item" && prev !== "numbered_list_item") ctx.listInstance++;
+    docxBlock(b, ctx, depth, out);
+    prev = b.type;
+  }
+  return out;
+}
+
+function docxBlock(b, ctx, depth, out) {
+  const body = b[b.type] || {};
+  const children = blockChildren(b);
+  const indent = depth ? { left: 720 * depth } : undefined;
+
+  switch (b.type) {
+    case "page_break":
+      out.push(new Paragraph({ children: [new PageBreak()] }));
+      return;
+    case "heading_1":
+    case "heading_2":
+    case "heading_3":
+      out.push(new Paragraph({ heading: DOCX_HEADINGS[Number(b.type.slice(-1))], children: docxRuns(body.rich_text) }));
+      docxBlocks(children, ctx, depth, out);
+      return;
+    case "bulleted_list_item":
+      out.push(new Paragraph({ bullet: { level: Math.min(depth, 8) }, children: docxRuns(body.rich_text) }));
+      docxBlocks(children, ctx, depth + 1, out);
+      return;
+    case "numbered_list_item":
+      out.push(new Paragraph({
+        numbering: { reference: "numbered-list", level: Math.min(depth, 8), instance: ctx.listInstance },
+        children: docxRuns(body.rich_text),
+      }));
+      docxBlocks(children, ctx, depth + 1, out);
+      return;
+    case "to_do":
+      out.push(new Paragraph({ indent, children: [new TextRun(body.checked ? "☒ " : "☐ "), ...docxRuns(body.rich_text, { strike: body.checked })] }));
+      docxBlocks(children, ctx, depth + 1, out);
+      return;
+    case "code":
+      for (const line of plainText(body.rich_text).split("\n")) {
+        out.push(new Paragraph({
+          indent, spacing: { before: 0, after: 0 },
+          shading: { type: ShadingType.CLEAR, fill: "F4F4F4", color: "auto" },
+          children: [new TextRun({ text: line || " ", font: "Courier New", size: 18 })],
+        }));
+      }
+      out.push(new Paragraph({ children: [] }));
+      return;
+    case "quote":
+    case "callout": {
+      const icon = b.type === "callout" && body.icon?.type === "emoji" ? [new TextRun(`${body.icon.emoji} `)] : [];
+      out.push(new Paragraph({
+        indent: { left: 720 * (depth + 1) },
+        border: { left: { style: BorderStyle.SINGLE, size: 12, color: b.type === "callout" ? "E0A800" : "BBBBBB", space: 8 } },
+        children: [...icon, ...docxRuns(body.rich_text, { italics: b.type === "quote" })],
+      }));
+      docxBlocks(children, ctx, depth + 1, out);
+      return;
+    }
+    case "divider":
+      out.push(new Paragraph({ border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: "999999", space: 1 } }, children: [] }));
+      return;
+    case "table": {
+      const rows = children.filter((r) => r.type === "table_row");
+      if (!rows.length) return;
+      const cols = Math.max(...rows.map((r) => r.table_row.cells.length));
+      out.push(new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: rows.map((r, ri) => {
+          const head = body.has_column_header && ri === 0;
+          return new TableRow({
+            tableHeader: head,
+            children: Array.from({ length: cols }, (_, c) => new TableCell({
+              width: { size: Math.floor(100 / cols), type: WidthType.PERCENTAGE },
+              shading: head ? { type: ShadingType.CLEAR, fill: "EEEEEE", color: "auto" } : undefined,
+              children: [new Paragraph({ children: docxRuns(r.table_row.cells[c] || [], { bold: head }) })],
+            })),
+          });
+        }),
+      }));
+      out.push(new Paragraph({ children: [] }));
+      return;
+    }
+    case "equation":
+      out.push(new Paragraph({ indent, children: [new TextRun({ text: body.expression || "", font: "Courier New" })] }));
+      return;
+    case "toggle":
+      out.push(new Paragraph({ indent, children: docxRuns(body.rich_text, { bold: true }) }));
+      docxBlocks(children, ctx, depth + 1, out);
+      return;
+    case "image":
+      if (body.embedded) {
+        const { data, width: iw, height: ih } = body.embedded;
+        const scale = Math.min(1, 600 / iw, 800 / ih);
+        out.push(new Paragraph({ indent, children: [new ImageRun({ data, transformation: { width: Math.round(iw * scale), height: Math.round(ih * scale) } })] }));
+        if (body.caption?.length) out.push(new Paragraph({ indent, children: docxRuns(body.caption, { italics: true, color: "666666", size: 18 }) }));
+        return;
+      }
+    // falls through
+    case "file":
+    case "pdf":
+    case "video":
+    case "audio":
+    case "bookmark":
+    case "embed":
+    case "link_preview":
+    case "child_page":
+    case "child_database": {
+      const { text, url } = linkLabel(b);
+      const label = (b.type === "image" ? "Image: " : "") + (text || url || b.type);
+      out.push(new Paragraph({ indent, children: url
+        ? [new ExternalHyperlink({ link: url, children: [new TextRun({ text: label, style: "Hyperlink" })] })]
+        : [new TextRun(label)] }));
+      return;
+    }
+    case "column_list":
+    case "column":
+    case "synced_block":
+    case "template":
+      docxBlocks(children, ctx, depth, out);
+      return;
+    default:
+      if (body.rich_text) out.push(new Paragraph({ indent, children: docxRuns(body.rich_text) }));
+      docxBlocks(children, ctx, depth + 1, out);
+  }
+}
+
+async function renderDocx(filePath, { title, blocks, options = {} }) {
+  const ctx = { listInstance: 0 };
+  const content = docxBlocks(blocks, ctx);
+  const sections = [];
+
+  if (options.title_page) {
+    sections.push({
+      properties: {},
+      children: [
+        ...Array.from({ length: 8 }, () => new Paragraph({ children: [] })),
+        new Paragraph({ heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER, children: [new TextRun(title)] }),
+        ...(options.subtitle ? [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: options.subtitle, size: 32, color: "555555" })] })] : []),
+        new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({
+          text: [options.author, new Date().toISOString().slice(0, 10)].filter(Boolean).join(" · "), color: "777777" })] }),
+      ],
+    });
+  }
+
+  const lead = [];
+  if (!options.title_page) lead.push(new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(title)] }));
+  if (options.toc) {
+    lead.push(new TableOfContents("Contents", { hyperlink: true, headingStyleRange: "1-3" }));
+    lead.push(new Paragraph({ children: [new PageBreak()] }));
+  }
+
+  const footerParts = [];
+  if (options.footer) footerParts.push(new TextRun(options.footer));
+  if (options.footer && options.page_numbers) footerParts.push(new TextRun("    "));
+  if (options.page_numbers) footerParts.push(new TextRun({ children: ["Page ", PageNumber.CURRENT, " of ", PageNumber.TOTAL_PAGES] }));
+
+  sections.push({
+    properties: {},
+    headers: options.header
+      ? { default: new Header({ children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: options.header, color: "888888", size: 18 })] })] }) }
+      : undefined,
+    footers: footerParts.length
+      ? { default: new Footer({ children: [new Paragraph({ alignment: AlignmentType.RIGHT, children: footerParts })] }) }
+      : undefined,
+    children: [...lead, ...content],
+  });
+
+  const doc = new Document({
+    title,
+    creator: options.author || "sol-v3-agent",
+    features: { updateFields: !!options.toc },
+    numbering: {
+      config: [{
+        reference: "numbered-list",
+        levels: Array.from({ length: 9 }, (_, level) => ({
+          level, format: LevelFormat.DECIMAL, text: `%${level + 1}.`, alignment: AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+        })),
+      }],
+    },
+    sections,
+  });
+  fs.writeFileSync(filePath, await Packer.toBuffer(doc));
+}
+
+// ── PPTX ──
+// pptxgenjs writes an invalid second <a:pPr> for multi-run paragraphs, so each slide
+// paragraph is a single run and only paragraph-wide emphasis is kept.
+const PPTX_LINES_PER_SLIDE = 11;
+
+function pptxParagraphs(blocks, depth = 0, out = { paragraphs: [], objects: [] }) {
+  let number = 0, prev = null;
+  for (const b of blocks) {
+    const body = b[b.type] || {};
+    const runs = runsOf(body.rich_text);
+    const text = runs.map((r) => r.text).join("");
+    const uniform = (k) => runs.length > 0 && runs.every((r) => r[k]);
+    const para = (t, opts = {}) => out.paragraphs.push({
+      text: t, bold: uniform("bold"), italic: uniform("italic"), indentLevel: depth,
+      href: runs.length === 1 ? runs[0].href : null, ...opts,
+    });
+    number = b.type === "numbered_list_item" ? (prev === "numbered_list_item" ? number + 1 : 1) : 0;
+    prev = b.type;
+
+    switch (b.type) {
+      case "heading_3":
+        para(text, { bold: true });
+        break;
+      case "paragraph":
+        if (text) para(text);
+        break;
+      case "bulleted_list_item":
+        para(text, { bullet: true });
+        break;
+      case "numbered_list_item":
+        para(text, { bullet: { type: "number", startAt: number } });
+        break;
+      case "to_do":
+        para(`${body.checked ? "☑" : "☐"} ${text}`);
+        break;
+      case "quote":
+      case "callout":
+      case "toggle":
+        para(text, { italic: b.type === "quote" || uniform("italic") });
+        break;
+      case "equation":
+        para(body.expression || "", { fontFace: "Courier New" });
+        break;
+      case "code":
+      case "table":
+        out.objects.push(b);
+        continue;
+      case "image":
+        if (body.embedded) {
+          out.objects.push(b);
+          continue;
+        }
+        para(`Image: ${linkLabel(b).text}`, { href: linkLabel(b).url });
+        break;
+      case "page_break":
+      case "divider":
+        out.paragraphs.push({ pageBreak: true });
+        continue;
+      case "file":
+      case "pdf":
+      case "video":
+      case "audio":
+      case "bookmark":
+      case "embed":
+      case "link_preview":
+      case "child_page":
+      case "child_database": {
+        const { text: label, url } = linkLabel(b);
+        out.paragraphs.push({ text: label || url || b.type, href: url, indentLevel: depth });
+        continue;
+      }
+      default:
+        if (text) para(text);
+    }
+    const nested = ["column_list", "column", "synced_block", "template"].includes(b.type) ? depth : depth + 1;
+    pptxParagraphs(blockChildren(b), nested, out);
+  }
+  return out;
+}
+
+// Split top-level blocks into slides: "#" opens a section divider, "##" a content slide
+function pptxSections(blocks, title) {
+  const sections = [];
+  let current = null;
+  for (const b of blocks) {
+    if (b.type === "heading_1" || b.type === "heading_2") {
+      current = { title: plainText(b[b.type].rich_text), level: Number(b.type.slice(-1)), blocks: [] };
+      sections.push(current);
+      current.blocks.push(...blockChildren(b));
+      continue;
+    }
+    if (!current) {
+      current = { title, level: 2, blocks: [] };
+      sections.push(current);
+    }
+    current.blocks.push(b);
+  }
+  return sections;
+}
+
+async function renderPptx(filePath, { title, blocks, options = {} }) {
+  const pptx = new PPTXGenJS();
+  pptx.layout = "LAYOUT_WIDE";
+  pptx.title = title;
+  if (options.author) pptx.author = options.author;
+
+  const decorate = (slide) => {
+    if (options.header) slide.addText(options.header, { x: 0.5, y: 0.1, w: 12.3, h: 0.3, fontSize: 10, color: "888888", align: "right" });
+    if (options.footer) slide.addText(options.footer, { x: 0.5, y: 7.05, w: 9, h: 0.3, fontSize: 10, color: "888888" });
+    if (options.page_numbers) slide.slideNumber = { x: 12.3, y: 7.05, fontSize: 10, color: "888888" };
+  };
+  const contentSlide = (heading) => {
+    const slide = pptx.addSlide();
+    slide.addText(heading, { x: 0.5, y: 0.4, w: 12.3, h: 0.9, fontSize: 28, bold: true, color: "1F1F1F" });
+    decorate(slide);
+    return slide;
+  };
+
+  if (options.title_page ?? true) {
+    const slide = pptx.addSlide();
+    slide.addText(title, { x: 0.6, y: 2.4, w: 12.1, h: 1.3, fontSize: 40, bold: true, align: "center", color: "1F1F1F" });
+    const sub = [options.subtitle, options.author].filter(Boolean).join(" · ");
+    if (sub) slide.addText(sub, { x: 0.6, y: 3.8, w: 12.1, h: 0.6, fontSize: 20, align: "center", color: "555555" });
+  }
+
+  const sections = pptxSections(blocks, title);
+  if (options.toc) {
+    const slide = contentSlide("Contents");
+    slide.addText(sections.map((s) => ({ text: s.title, options: { bullet: true, indentLevel: s.level === 1 ? 0 : 1, breakLine: true } })),
+      { x: 0.7, y: 1.4, w: 11.9, h: 5.5, fontSize: 20, valign: "top" });
+  }
+
+  for (const section of sections) {
+    const { paragraphs, objects } = pptxParagraphs(section.blocks);
+    if (section.level === 1 && !paragraphs.length && !objects.length) {
+      const slide = pptx.addSlide();
+      slide.addText(section.title, { x: 0.6, y: 3, w: 12.1, h: 1.2, fontSize: 36, bold: true, align: "center", color: "1F1F1F" });
+      decorate(slide);
+      continue;
+    }
+
+    // Body text flows over as many slides as it needs
+    const pages = [[]];
+    let lines = 0;
+    for (const p of paragraphs) {
+      const cost = p.pageBreak ? 0 : Math.max(1, Math.ceil(String(p.text).length / 90));
+      if (p.pageBreak || lines + cost > PPTX_LINES_PER_SLIDE) {
+        if (pages[pages.length - 1].length) pages.push([]);
+        lines = 0;
+        if (p.pageBreak) continue;
+      }
+      pages[pages.length - 1].push(p);
+      lines += cost;
+    }
+    pages.filter((pg, i) => pg.length || (i === 0 && !objects.length)).forEach((pg, i) => {
+      const slide = contentSlide(i ? `${section.title} (cont.)` : section.title);
+      if (!pg.length) return;
+      slide.addText(pg.map((p) => ({
+        text: p.text,
+        options: {
+          bullet: p.bullet || false, indentLevel: p.indentLevel, bold: p.bold, italic: p.italic,
+          fontFace: p.fontFace, breakLine: true, ...(p.href && { hyperlink: { url: p.href } }),
+        },
+      })), { x: 0.7, y: 1.4, w: 11.9, h: 5.5, fontSize: 18, color: "333333", valign: "top", paraSpaceAfter: 6 });
+    });
+
+    // Tables, code blocks and images get their own slides
+    for (const b of objects) {
+      const slide = contentSlide(section.title);
+      if (b.type === "image") {
+        const { data, type, width: iw, height: ih } = b.image.embedded;
+        const scale = Math.min(11.9 / (iw / 96), 5.4 / (ih / 96), 1);
+        const w = (iw / 96) * scale, h = (ih / 96) * scale;
+        slide.addImage({ data: `image/${type === "jpg" ? "jpeg" : type};base64,${data.toString("base64")}`, x: 0.7 + (11.9 - w) / 2, y: 1.4, w, h });
+        if (b.image.caption?.length) slide.addText(plainText(b.image.caption), { x: 0.7, y: 1.45 + h, w: 11.9, h: 0.4, fontSize: 12, italic: true, color: "666666", align: "center" });
+      } else if (b.type === "code") {
+        slide.addText(plainText(b.code.rich_text), { x: 0.7, y: 1.4, w: 11.9, h: 5.5, fontFace: "Courier New", fontSize: 12,
+          color: "333333", fill: { color: "F4F4F4" }, valign: "top" });
+      } else {
+        const rows = blockChildren(b).filter((r) => r.type === "table_row");
+        slide.addTable(rows.map((r, ri) => r.table_row.cells.map((c) => ({
+          text: plainText(c), options: { bold: b.table?.has_column_header && ri === 0, fill: { color: ri === 0 && b.table?.has_column_header ? "EEEEEE" : "FFFFFF" } },
+        }))), { x: 0.7, y: 1.4, w: 11.9, fontSize: 12, border: { type: "solid", pt: 0.5, color: "999999" }, autoPage: true });
+      }
+    }
+  }
+
+  await pptx.writeFile({ fileName: filePath });
+}
+
+// ── HTML ──
+const escapeHtml = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+// Only these schemes become links; javascript: and the like would run when the exported file is opened
+const linkable = (url) => /^(https?|mailto):/i.test(String(url ?? "").trim());
+
+function richTextToHtml(rich_text = []) {
+  return runsOf(rich_text).map((r) => {
+    let h = escapeHtml(r.text).replace(/\n/g, "<br>");
+    if (r.code) h = `<code>${h}</code>`;
+    if (r.strike) h = `<s>${h}</s>`;
+    if (r.underline) h = `<u>${h}</u>`;
+    if (r.italic) h = `<em>${h}</em>`;
+    if (r.bold) h = `<strong>${h}</strong>`;
+    if (linkable(r.href)) h = `<a href="${escapeHtml(r.href)}">${h}</a>`;
+    return h;
+  }).join("");
+}
+
+function blocksToHtml(blocks, ctx) {
+  const out = [];
+  for (let i = 0; i < blocks.length; i++) {
+    const b = blocks[i];
+    // Consecutive list items share one list element
+    const listTag = { bulleted_list_item: "ul", numbered_list_item: "ol", to_do: "ul" }[b.type];
+    if (listTag) {
+      const items = [];
+      while (i < blocks.length && blocks[i].type === b.type) items.push(blocks[i++]);
+      i--;
+      out.push(`<${listTag}${b.type === "to_do" ? ' class="todo"' : ""}>${items.map((it) => {
+        const body = it[it.type];
+        const box = it.type === "to_do" ? `<input type="checkbox" disabled${body.checked ? " checked" : ""}> ` : "";
+        return `<li>${box}${richTextToHtml(body.rich_text)}${blocksToHtml(blockChildren(it), ctx)}</li>`;
+      }).join("")}</${listTag}>`);
+      continue;
+    }
+    out.push(blockToHtml(b, ctx));
+  }
+  return out.join("\n");
+}
+
+function blockToHtml(b, ctx) {
+  const body = b[b.type] || {};
+  const text = richTextToHtml(body.rich_text);
+  const children = blocksToHtml(blockChildren(b), ctx);
+  switch (b.type) {
+    case "page_break":
+      return '<div class="page-break"></div>';
+    case "heading_1":
+    case "heading_2":
+    case "heading_3": {
+      const level = b.type.slice(-1);
+      const id = `h-${ctx.headings.length}`;
+      ctx.headings.push({ level: Number(level), text: plainText(body.rich_text), id });
+      return `<h${level} id="${id}">${text}</h${level}>${children}`;
+    }
+    case "paragraph":
+      return `<p>${text}</p>${children ? `<div class="indent">${children}</div>` : ""}`;
+    case "quote":
+      return `<blockquote><p>${text}</p>${children}</blockquote>`;
+    case "callout": {
+      const icon = body.icon?.type === "emoji" ? `<span class="icon">${escapeHtml(body.icon.emoji)}</span> ` : "";
+      return `<aside class="callout">${icon}${text}${children}</aside>`;
+    }
+    case "toggle":
+      return `<details open><summary>${text}</summary>${children}</details>`;
+    case "code": {
+      const lang = body.language && body.language !== "plain text" ? ` class="language-${escapeHtml(body.language.replace(/\s+/g, ""))}"` : "";
+      return `<pre><code${lang}>${escapeHtml(plainText(body.rich_text))}</code></pre>`;
+    }
+    case "equation":
+      return `<pre class="equation">${escapeHtml(body.expression)}</pre>`;
+    case "divider":
+      return "<hr>";
+    case "table": {
+      const rows = blockChildren(b).filter((r) => r.type === "table_row");
+      return `<table>${rows.map((r, ri) => {
+        const tag = body.has_column_header && ri === 0 ? "th" : "td";
+        return `<tr>${r.table_row.cells.map((c, ci) => {
+          const cell = body.has_row_header && ci === 0 ? "th" : tag;
+          return `<${cell}>${richTextToHtml(c)}</${cell}>`;
+        }).join("")}</tr>`;
+      }).join("")}</table>`;
+    }
+    case "image": {
+      const e = body.embedded;
+      const src = e ? `data:image/${e.type === "jpg" ? "jpeg" : e.type};base64,${e.data.toString("base64")}` : fileUrl(body);
+      const caption = body.caption?.length ? `<figcaption>${richTextToHtml(body.caption)}</figcaption>` : "";
+      return `<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(plainText(body.caption))}">${caption}</figure>`;
+    }
+    case "file":
+    case "pdf":
+    case "video":
+    case "audio":
+    case "bookmark":
+    case "embed":
+    case "link_preview":
+    case "child_page":
+    case "child_database": {
+      const { text: label, url } = linkLabel(b);
+      return linkable(url) ? `<p><a href="${escapeHtml(url)}">${escapeHtml(label || url)}</a></p>` : `<p>${escapeHtml(label || url)}</p>`;
+    }
+    case "column_list":
+      return `<div class="columns">${children}</div>`;
+    case "column":
+      return `<div class="column">${children}</div>`;
+    default:
+      return [text && `<p>${text}</p>`, children].filter(Boolean).join("");
+  }
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 820px; margin: 40px auto; padding: 0 24px; color: #222; line-height: 1.55; }
+h1, h2, h3 { line-height: 1.25; margin-top: 1.6em; }
+pre { background: #f4f4f4; padding: 12px; overflow-x: auto; }
+code { font-family: Menlo, Consolas, monospace; font-size: 0.92em; }
+blockquote { border-left: 3px solid #bbb; margin-left: 0; padding-left: 14px; color: #444; font-style: italic; }
+aside.callout { border-left: 3px solid #e0a800; background: #fff8e1; padding: 10px 14px; margin: 1em 0; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #999; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #eee; }
+ul.todo { list-style: none; padding-left: 1.2em; }
+figure { margin: 1em 0; } figure img { max-width: 100%; } figcaption { color: #666; font-size: 0.9em; }
+.columns { display: flex; gap: 24px; } .column { flex: 1; }
+.indent { margin-left: 1.5em; }
+.title-page { text-align: center; padding: 30vh 0; page-break-after: always; }
+.page-break { page-break-after: always; }
+header.doc-header, footer.doc-footer { color: #888; font-size: 0.85em; text-align: center; }
+@media print { header.doc-header { position: fixed; top: 0; width: 100%; } footer.doc-footer { position: fixed; bottom: 0; width: 100%; } }
+`;
+
+function renderHtml(filePath, { title, blocks, options = {} }) {
+  const ctx = { headings: [] };
+  const content = blocksToHtml(blocks, ctx);
+  const parts = [];
+  if (options.header) parts.push(`<header class="doc-header">${escapeHtml(options.header)}</header>`);
+  if (options.title_page) {
+    parts.push(`<section class="title-page"><h1>${escapeHtml(title)}</h1>${options.subtitle ? `<p>${escapeHtml(options.subtitle)}</p>` : ""}` +
+      `<p>${escapeHtml([options.author, new Date().toISOString().slice(0, 10)].filter(Boolean).join(" · "))}</p></section>`);
+  } else {
+    parts.push(`<h1 class="doc-title">${escapeHtml(title)}</h1>`);
+  }
+  if (options.toc && ctx.headings.length) {
+    parts.push(`<nav class="toc"><h2>Contents</h2><ul>${ctx.headings.map((h) =>
+      `<li style="margin-left:${(h.level - 1) * 1.2}em"><a href="#${h.id}">${escapeHtml(h.text)}</a></li>`).join("")}</ul></nav>`);
+  }
+  parts.push(`<main>${content}</main>`);
+  if (options.footer) parts.push(`<footer class="doc-footer">${escapeHtml(options.footer)}</footer>`);
+  const html = `<!doctype html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>${escapeHtml(title)}</title>\n` +
+    `<style>${HTML_STYLE}</style>\n</head>\n<body>\n${parts.join("\n")}\n</body>\n</html>\n`;
+  fs.writeFileSync(filePath, html);
+}
+
+// ── Markdown ──
+function renderMarkdownDocument(filePath, { title, markdown, blocks, options = {} }) {
+  const parts = [];
+  if (options.title_page) {
+    parts.push(`# ${title}`);
+    if (options.subtitle) parts.push(`*${options.subtitle}*`);
+  }
+  if (options.toc) {
+    const toc = collectHeadings(blocks).map((h) => `${"  ".repeat(h.level - 1)}- [${h.text}](#${slugify(h.text)})`);
+    if (toc.length) parts.push(`## Contents\n\n${toc.join("\n")}`);
+  }
+  parts.push(markdown);
+  fs.writeFileSync(filePath, parts.join("\n\n") + "\n");
+}
+
+// Render blocks (and the Markdown they came from) to a file in the requested format
+async function renderDocument(format, filePath, doc) {
+  if (format === "pdf") return renderPdf(filePath, doc);
+  if (format === "docx") return renderDocx(filePath, doc);
+  if (format === "pptx") return renderPptx(filePath, doc);
+  if (format === "html") return renderHtml(filePath, doc);
+  if (format === "md") return renderMarkdownDocument(filePath, doc);
+  throw Object.assign(new Error(`Unsupported format: ${format}`), { code: "unsupported_format" });
+}
+const DOCUMENT_FORMATS = ["pdf", "docx", "pptx", "html", "md"];
+
+// ─────────────────────────── Web Search ───────────────────────────
+// A provider is { name, available(), search({ query, count, recency_days }) } and returns raw hits;
+// searchWeb normalises them to { title, url, snippet, published_at, source }.
+
+const SEARCH_MAX_RESULTS = 20;
+const stripTags = (s) => String(s || "").replace(/<[^>]+>/g, "").replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+  .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&").trim();
+const hostOf = (url) => {
+  try { return new URL(url).hostname.replace(/^www\./, ""); } catch { return null; }
+};
+const toIsoDate = (v) => {
+  const d = v ? new Date(v) : null;
+  return d && !Number.isNaN(d.getTime()) ? d.toISOString() : null;
+};
+
+// Brave Search API: https://api.search.brave.com/app/documentation/web-search
+const braveProvider = {
+  name: "brave",
+  available: () => !!SEARCH_API_KEY,
+  async search({ query, count, recency_days }) {
+    const params = { q: query, count };
+    if (recency_days) {
+      const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+      params.freshness = `${day(Date.now() - recency_days * 86400000)}to${day(Date.now())}`;
+    }
+    const resp = await axios.get("https://api.search.brave.com/res/v1/web/search", {
+      params,
+      headers: { Accept: "application/json", "X-Subscription-Token": SEARCH_API_KEY },
+      timeout: 15000,
+    });
+    return (resp.data?.web?.results || []).map((r) => ({
+      title: r.title,
+      url: r.url,
+      snippet: r.description,
+      published_at: r.page_age,
+      source: r.profile?.name || r.meta_url?.hostname,
+    }));
+  },
+};
+
+// Offline provider over a JSON fixture: an array of { title, url, snippet|content, published_at, source },
+// or { results: [...] }. Documents are ranked by query term hits, titles weighted higher.
+const offlineProvider = {
+  name: "offline",
+  available: () => fs.existsSync(SEARCH_FIXTURE),
+  async search({ query, count }) {
+    const raw = JSON.parse(fs.readFileSync(SEARCH_FIXTURE, "utf8"));
+    const docs = Array.isArray(raw) ? raw : raw.results || [];
+    const terms = query.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    const hits = (text, term) => String(text || "").toLowerCase().split(term).length - 1;
+    return docs
+      .map((d) => ({
+        doc: d,
+        score: terms.reduce((n, t) => n + 3 * hits(d.title, t) + hits(d.snippet ?? d.content, t), 0),
+      }))
+      .filter((x) => x.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .map(({ doc }) => ({ ...doc, snippet: doc.snippet ?? doc.content }));
+  },
+};
+
+const SEARCH_PROVIDERS = { brave: braveProvider, offline: offlineProvider };
+
+// Explicit SEARCH_PROVIDER wins; otherwise the HTTP provider when a key is set, then the fixture
+function defaultSearchProvider() {
+  if (SEARCH_PROVIDER) return SEARCH_PROVIDERS[SEARCH_PROVIDER] || null;
+  return Object.values(SEARCH_PROVIDERS).find((p) => p.available()) || null;
+}
+
+const searchCache = new Map();
+const SEARCH_CACHE_MAX = 200;
+
+async function searchWeb(provider, { query, count = 10, recency_days }) {
+  const key = JSON.stringify([provider.name, query.trim().toLowerCase(), count, recency_days || null]);
+  const hit = searchCache.get(key);
+  if (hit && hit.expires > Date.now()) return { results: hit.results, cached: true };
+
+  const raw = await provider.search({ query, count, recency_days });
+  const cutoff = recency_days ? Date.now() - recency_days * 86400000 : null;
+  const results = raw
+    .map((r) => ({
+      title: stripTags(r.title) || r.url,
+      url: r.url,
+      snippet: stripTags(r.snippet),
+      published_at: toIsoDate(r.published_at),
+      source: r.source || hostOf(r.url),
+    }))
+    .filter((r) => r.url && !(cutoff && r.published_at && Date.parse(r.published_at) < cutoff))
+    .slice(0, count);
+
+  if (SEARCH_CACHE_TTL > 0) {
+    for (const [k, v] of searchCache) if (v.expires <= Date.now()) searchCache.delete(k);
+    if (searchCache.size >= SEARCH_CACHE_MAX) searchCache.delete(searchCache.keys().next().value);
+    searchCache.set(key, { results, expires: Date.now() + SEARCH_CACHE_TTL });
+  }
+  return { results, cached: false };
+}
+
+// Search results as a Markdown reading list for a memory note
+const searchResultsMarkdown = (query, results) => [
+  `Search results for **${escapeMarkdown(query)}** (${new Date().toISOString().slice(0, 10)})`,
+  results.map((r) => {
+    const meta = [r.source, r.published_at?.slice(0, 10)].filter(Boolean).join(", ");
+    return `1. [${escapeMarkdown(r.title)}](${linkTarget(r.url)})${meta ? ` — ${escapeMarkdown(meta)}` : ""}` +
+      (r.snippet ? `\n   ${escapeMarkdown(r.snippet)}` : "");
+  }).join("\n"),
+].join("\n\n");
+
+// ─────────────────────────── Audit Log ───────────────────────────
+// Mutating routes record what they are about to change before changing it: page properties, archived
+// state, or the whole block tree. Files are append-only; retention drops whole days.
+
+const auditFileFor = (day) => path.join(AUDIT_DIR, `audit-${day}.jsonl`);
+const auditFiles = () => (fs.existsSync(AUDIT_DIR) ? fs.readdirSync(AUDIT_DIR) : [])
+  .filter((f) => /^audit-\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+  .sort()
+  .reverse();
+
+function sweepAudit() {
+  const cutoff = new Date(Date.now() - AUDIT_RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+  for (const f of auditFiles()) if (f.slice(6, 16) < cutoff) fs.unlinkSync(path.join(AUDIT_DIR, f));
+}
+
+// Append an entry; a failed write throws, so the caller never mutates without a record
+function recordAudit(req, { action, page_id, snapshot, ...details }) {
+  if (requestContext.getStore()?.dryRun) return { id: null, action, page_id };
+  const time = new Date().toISOString();
+  const file = auditFileFor(time.slice(0, 10));
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(AUDIT_DIR, { recursive: true });
+    sweepAudit();
+  }
+  const entry = { id: crypto.randomUUID(), time, key: req.solKey?.name || null, route: req.path, action, page_id, ...details, snapshot };
+  fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+  return entry;
+}
+
+// Entries newest first, with `undone_by` set on entries that an undo has reverted
+function readAudit(match = () => true, limit = Infinity) {
+  const out = [];
+  const undone = new Map();
+  for (const f of auditFiles()) {
+    const lines = fs.readFileSync(path.join(AUDIT_DIR, f), "utf8").split("\n").filter(Boolean).reverse();
+    for (const line of lines) {
+      let e;
+      try { e = JSON.parse(line); } catch { continue; }
+      if (e.action === "undo") undone.set(e.target, e.id);
+      if (out.length < limit && match(e)) out.push(e);
+    }
+  }
+  return out.map((e) => (undone.has(e.id) ? { ...e, undone_by: undone.get(e.id) } : e));
+}
+
+async function snapshotProperties(headers, pageId, keys) {
+  // A cached copy may predate edits made outside this server; undo must restore what was really there
+  NOTION_CACHES.pages.deletePrefix(`${normId(pageId)}|`);
+  const page = await doNotion("get", `https://api.notion.com/v1/pages/${pageId}`, { headers });
+  const props = page.data?.properties || {};
+  return {
+    archived: !!page.data?.archived,
+    properties: keys ? Object.fromEntries(keys.filter((k) => k in props).map((k) => [k, props[k]])) : props,
+  };
+}
+
+// Fetched objects → request payloads. Notion-hosted file URLs expire, so restored files point at the
+// URL captured in the snapshot; that works only while it is still valid.
+const RESTORABLE_MENTIONS = ["page", "database", "user", "date"];
+const cleanRichText = (rich_text = []) => rich_text.map((t) =>
+  (t.type !== "mention" || RESTORABLE_MENTIONS.includes(t.mention?.type)
+    ? { type: t.type, [t.type]: t[t.type], annotations: t.annotations }
+    : { type: "text", text: { content: t.plain_text || "", link: t.href ? { url: t.href } : null }, annotations: t.annotations }));
+const cleanFile = (f) => (f?.type === "file" ? { ...(f.name && { name: f.name }), type: "external", external: { url: f.file.url } } : f);
+
+const UNRESTORABLE_BLOCKS = ["child_page", "child_database", "unsupported", "link_preview", "template"];
+
+function restorableBlocks(blocks = []) {
+  return blocks.filter((b) => !UNRESTORABLE_BLOCKS.includes(b.type)).map((b) => {
+    const { children, ...body } = b[b.type] || {};
+    if (body.rich_text) body.rich_text = cleanRichText(body.rich_text);
+    if (body.caption) body.caption = cleanRichText(body.caption);
+    if (body.cells) body.cells = body.cells.map(cleanRichText);
+    if (body.icon) body.icon = cleanFile(body.icon);
+    if (body.type === "file") {
+      body.type = "external";
+      body.external = { url: body.file?.url };
+      delete body.file;
+    }
+    return mdBlock(b.type, body, restorableBlocks(b.children || children));
+  });
+}
+
+function writablePropertyValues(props = {}) {
+  const out = {};
+  for (const [k, p] of Object.entries(props)) {
+    if (READ_ONLY_PROPERTY_TYPES.includes(p.type)) continue;
+    const v = p[p.type];
+    switch (p.type) {
+      case "title":
+      case "rich_text": out[k] = { [p.type]: cleanRichText(v) }; break;
+      case "people":
+      case "relation": out[k] = { [p.type]: (v || []).map((x) => ({ id: x.id })) }; break;
+      case "files": out[k] = { files: (v || []).map(cleanFile) }; break;
+      case "select": out[k] = { select: v ? { name: v.name } : null }; break;
+      case "status": if (v) out[k] = { status: { name: v.name } }; break;
+      case "multi_select": out[k] = { multi_select: (v || []).map((o) => ({ name: o.name })) }; break;
+      default: out[k] = { [p.type]: v ?? null };
+    }
+  }
+  return out;
+}
+
+// Snapshot, record, then patch a page's properties
+async function auditedPropertyUpdate(req, headers, pageId, properties) {
+  const before = await snapshotProperties(headers, pageId, Object.keys(properties));
+  const entry = recordAudit(req, { action: "update", page_id: pageId, snapshot: before });
+  const resp = await doNotion("patch", `https://api.notion.com/v1/pages/${pageId}`, { headers, data: { properties } });
+  return { entry, page: resp.data };
+}
+
+async function auditedArchive(req, headers, pageId) {
+  const before = await snapshotProperties(headers, pageId);
+  const entry = recordAudit(req, { action: "archive", page_id: pageId, snapshot: before });
+  await doNotion("patch", `https://api.notion.com/v1/pages/${pageId}`, { headers, data: { archived: true } });
+  return entry;
+}
+
+async function deleteBlocks(headers, ids) {
+  for (const id of ids) {
+    try {
+      await doNotion("delete", `https://api.notion.com/v1/blocks/${id}`, { headers });
+    } catch (err) {
+      if (err.response?.status !== 404) throw err;
+    }
+  }
+}
+
+// Revert one entry and record the undo (with the state it replaced); returns what was done.
+// The undo is recorded only once it has succeeded, so a failed attempt can be retried.
+async function undoAuditEntry(req, headers, entry) {
+  const pageUrl = `https://api.notion.com/v1/pages/${entry.page_id}`;
+  let snapshot, result;
+  switch (entry.action) {
+    case "archive":
+      await doNotion("patch", pageUrl, { headers, data: { archived: false } });
+      result = { unarchived: true };
+      break;
+    case "create":
+      await doNotion("patch", pageUrl, { headers, data: { archived: true } });
+      result = { archived: true };
+      break;
+    case "append":
+      await deleteBlocks(headers, entry.appended || []);
+      result = { removed_blocks: (entry.appended || []).length };
+      break;
+    case "update": {
+      const properties = writablePropertyValues(entry.snapshot?.properties);
+      snapshot = await snapshotProperties(headers, entry.page_id, Object.keys(properties));
+      if (Object.keys(properties).length) await doNotion("patch", pageUrl, { headers, data: { properties } });
+      result = { restored_properties: Object.keys(properties) };
+      break;
+    }
+    case "replace": {
+      const current = await fetchBlockTree(headers, entry.page_id);
+      snapshot = { blocks: current };
+      await deleteBlocks(headers, current.map((b) => b.id));
+      const blocks = restorableBlocks(entry.snapshot?.blocks);
+      if (blocks.length) await appendBlocks(headers, entry.page_id, blocks);
+      // Deleting a child page block archives the page; unarchiving brings it back under the parent
+      const childPages = (entry.snapshot?.blocks || []).filter((b) => b.type === "child_page");
+      for (const b of childPages) {
+        await doNotion("patch", `https://api.notion.com/v1/pages/${b.id}`, { headers, data: { archived: false } });
+      }
+      const skipped = (entry.snapshot?.blocks || []).filter((b) => UNRESTORABLE_BLOCKS.includes(b.type) && b.type !== "child_page");
+      result = { restored_blocks: blocks.length, restored_child_pages: childPages.length, skipped: skipped.map((b) => b.type) };
+      break;
+    }
+    default:
+      throw Object.assign(new Error(`Entries of type "${entry.action}" cannot be undone`), { code: "not_undoable" });
+  }
+  const undo = recordAudit(req, { action: "undo", target: entry.id, page_id: entry.page_id, snapshot });
+  return { undo_id: undo.id, ...result };
+}
+
+// ─────────────────────────── Jobs ───────────────────────────
+// Long-running work runs as a job: routes queue it when called with `async: true` and answer 202 with
+// a job id to poll at GET /jobs/:id. Jobs are saved to JOBS_DIR as they change, so queued and
+// interrupted jobs resume after a restart; transient Notion failures are retried with backoff.
+// A job's handler gets its saved params and an actor standing in for the original request.
+const JOB_HANDLERS = {
+  append_task_content: (params, { actor, headers }) => appendPageContent(actor, headers, params),
+  replace_page_content: (params, { actor, headers }) => replacePageContent(actor, headers, params),
+  batch_update_fields: (params, { actor, headers, progress }) => runBatchUpdate(actor, headers, params, progress),
+  generate_document: (params, { actor }) => generateDocument(actor, params),
+  generate_from_pages: (params, { actor, headers }) => generatePagesDocument(actor, headers, params),
+  memory_pack_export: (params, { actor }) => exportMemoryPack(actor, notionHeaders(MEMORY_DB), params),
+};
+// Running these again after a partial failure would duplicate what the first attempt wrote, so they are
+// neither retried nor resumed after a restart; the caller decides from the page what to send again
+const NON_IDEMPOTENT_JOBS = ["append_task_content"];
+
+const jobs = new Map();
+let jobsRunning = 0;
+
+const jobFile = (id) => path.join(JOBS_DIR, `${id}.json`);
+// The key's scopes and database allow-list are saved with the job, so handlers see the same key the request did
+const jobActor = (job) => ({
+  solKey: { name: job.key, scopes: [], databases: null, ...job.key_access },
+  path: job.route,
+  base_url: job.base_url,
+});
+const makeJobURL = (req, id) => `${publicBaseURL(req)}/jobs/${id}`;
+// What GET /jobs/:id shows; params and the key's access stay server-side
+const publicJob = ({ params, key_access, ...job }) => job;
+
+function saveJob(job) {
+  fs.mkdirSync(JOBS_DIR, { recursive: true });
+  const tmp = `${jobFile(job.id)}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(job));
+  fs.renameSync(tmp, jobFile(job.id));
+}
+
+function sweepJobs() {
+  for (const [id, job] of jobs) {
+    if (job.finished_time && Date.parse(job.finished_time) < Date.now() - JOB_TTL) {
+      jobs.delete(id);
+      fs.rmSync(jobFile(id), { force: true });
+    }
+  }
+}
+
+function enqueueJob(req, type, params, { total = 1, callback_url } = {}) {
+  sweepJobs();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    key: req.solKey?.name || null,
+    key_access: { scopes: req.solKey?.scopes || [], databases: req.solKey?.databases || null },
+    route: req.path,
+    base_url: publicBaseURL(req),
+    status: "queued",
+    attempts: 0,
+    next_run_at: null,
+    created_time: new Date().toISOString(),
+    started_time: null,
+    finished_time: null,
+    progress: { done: 0, total },
+    callback_url: callback_url || null,
+    callback: null,
+    result: null,
+    error: null,
+    params,
+  };
+  jobs.set(job.id, job);
+  saveJob(job);
+  setImmediate(pumpJobs);
+  return job;
+}
+
+// Queue the route's work when the request asks for it; returns true once the route has answered.
+// Dry runs always answer inline.
+function queueIfAsync(req, res, type, params, total) {
+  const src = (req.method === "GET" ? req.query : req.body) || {};
+  if (!(src.async === true || String(src.async).toLowerCase() === "true") || requestContext.getStore()?.dryRun) return false;
+  if (src.callback_url && !/^https?:\/\//i.test(String(src.callback_url))) {
+    sendError(req, res, httpError(400, { error: "invalid_callback_url" }));
+    return true;
+  }
+  const job = enqueueJob(req, type, params, { total, callback_url: src.callback_url });
+  res.status(202).json({ ok: true, job_id: job.id, status: job.status, status_url: makeJobURL(req, job.id) });
+  return true;
+}
+
+function pumpJobs() {
+  for (const job of jobs.values()) {
+    if (jobsRunning >= JOB_CONCURRENCY) return;
+    if (job.status !== "queued" || (job.next_run_at && Date.parse(job.next_run_at) > Date.now())) continue;
+    runJob(job);
+  }
+}
+
+const TRANSIENT_CODES = ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN", "rate_limited", "conflict_error"];
+const isTransientError = (e) => {
+  const status = e.response?.status;
+  return status === 429 || status === 409 || status >= 500 || TRANSIENT_CODES.includes(e.code) ||
+    TRANSIENT_CODES.includes(e.response?.data?.code);
+};
+
+async function runJob(job) {
+  jobsRunning++;
+  Object.assign(job, { status: "running", started_time: new Date().toISOString(), next_run_at: null });
+  job.attempts++;
+  job.progress.done = 0;
+  saveJob(job);
+
+  // Progress is saved at most once a second
+  let savedAt = Date.now();
+  const progress = () => {
+    job.progress.done++;
+    if (Date.now() - savedAt > 1000) {
+      savedAt = Date.now();
+      saveJob(job);
+    }
+  };
+
+  try {
+    const handler = JOB_HANDLERS[job.type];
+    if (!handler) throw httpError(400, { error: "unknown_job_type", type: job.type });
+    job.result = await handler(job.params, { actor: jobActor(job), headers: notionHeaders(job.params.db), progress });
+    job.status = "completed";
+    job.progress.done = Math.max(job.progress.done, job.progress.total);
+    job.error = null;
+  } catch (e) {
+    const { status, body } = describeError(e);
+    job.error = { ...body, http_status: status };
+    const retryable = !e.httpStatus && isTransientError(e) && !NON_IDEMPOTENT_JOBS.includes(job.type);
+    if (retryable && job.attempts < JOB_MAX_ATTEMPTS) {
+      const delay = Math.min(300000, 5000 * 2 ** (job.attempts - 1));
+      job.status = "queued";
+      job.next_run_at = new Date(Date.now() + delay).toISOString();
+      setTimeout(pumpJobs, delay).unref();
+    } else {
+      logError("job_failed", { job_id: job.id, type: job.type, attempts: job.attempts, status, code: body.code, request_id: body.request_id, message: body.message });
+      job.status = "failed";
+    }
+  }
+  jobsRunning--;
+  if (job.status !== "queued") job.finished_time = new Date().toISOString();
+  saveJob(job);
+  if (job.finished_time) notifyJobCallback(job);
+  pumpJobs();
+}
+
+// POST the finished job to its callback_url, retrying a few times; private addresses are refused like image URLs
+async function notifyJobCallback(job) {
+  if (!job.callback_url) return;
+  const body = publicJob(job);
+  for (let attempt = 1; attempt <= JOB_CALLBACK_ATTEMPTS; attempt++) {
+    try {
+      await outboundRequest({
+        method: "post", url: job.callback_url, data: body, timeout: 10000, headers: { "Content-Type": "application/json" },
+      }, 0);
+      job.callback = { status: "delivered", attempts: attempt, error: null };
+      break;
+    } catch (e) {
+      job.callback = { status: "failed", attempts: attempt, error: e.response ? `HTTP ${e.response.status}` : e.message };
+      // A blocked URL stays blocked
+      if (e.body?.error === "blocked_url") break;
+      if (attempt < JOB_CALLBACK_ATTEMPTS) await sleep(2000 * 2 ** (attempt - 1));
+    }
+  }
+  if (job.callback.status === "failed") {
+    logError("job_callback_failed", { job_id: job.id, url: job.callback_url, attempts: job.callback.attempts, message: job.callback.error });
+  }
+  saveJob(job);
+}
+
+// Load saved jobs at boot; a job that was running when the server stopped runs again
+function resumeJobs() {
+  if (!fs.existsSync(JOBS_DIR)) return;
+  for (const f of fs.readdirSync(JOBS_DIR).filter((f) => f.endsWith(".json"))) {
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, f), "utf8"));
+      if (job.status === "running" && NON_IDEMPOTENT_JOBS.includes(job.type)) {
+        const message = "The server stopped while the job was running";
+        job.error = { ok: false, error: "job_interrupted", code: "job_interrupted", message, http_status: 500 };
+        Object.assign(job, { status: "failed", finished_time: new Date().toISOString() });
+        saveJob(job);
+      } else if (job.status === "running") job.status = "queued";
+      jobs.set(job.id, job);
+    } catch (e) {
+      logError("job_file_unreadable", { level: "warn", file: f, message: e.message });
+    }
+  }
+  sweepJobs();
+  const pending = [...jobs.values()].filter((j) => j.status === "queued");
+  if (pending.length) console.log(`Resuming ${pending.length} queued job(s)`);
+  pumpJobs();
+  // Jobs waiting on a backoff are picked up when it expires
+  for (const j of pending) {
+    if (j.next_run_at) setTimeout(pumpJobs, Math.max(0, Date.parse(j.next_run_at) - Date.now())).unref();
+  }
+}
+
+// ─────────────────────────── Change Feed ───────────────────────────
+// The watcher polls each watched database for pages edited since its last poll and diffs their decoded
+// properties against the snapshot in CHANGES_DIR/state.json. Events are appended to one JSONL file per day
+// (read by GET /changes) and then POSTed to every matching webhook, in order, signed with its secret.
+// A database's first poll only takes the snapshot; edits that change no property emit nothing.
+const CHANGE_TYPES = ["page.created", "page.updated", "page.archived", "page.restored"];
+// Properties every edit changes; diffing them would turn each edit into an update
+const UNWATCHED_TYPES = ["last_edited_time", "last_edited_by"];
+
+const CHANGE_STATE_FILE = path.join(CHANGES_DIR, "state.json");
+const WEBHOOKS_FILE = path.join(CHANGES_DIR, "webhooks.json");
+const changeFileFor = (day) => path.join(CHANGES_DIR, `changes-${day}.jsonl`);
+const changeFiles = () => (fs.existsSync(CHANGES_DIR) ? fs.readdirSync(CHANGES_DIR) : [])
+  .filter((f) => /^changes-\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+  .sort();
+
+function writeChangeFile(file, value) {
+  fs.mkdirSync(CHANGES_DIR, { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(value));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function sweepChanges() {
+  const cutoff = new Date(Date.now() - CHANGES_RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+  for (const f of changeFiles()) {
+    if (f.slice(8, 18) >= cutoff) continue;
+    fs.unlinkSync(path.join(CHANGES_DIR, f));
+    changeFileFirstSeq.delete(f);
+  }
+}
+
+// Seq of each file's first event, read once: files are append-only, so it never changes
+const changeFileFirstSeq = new Map();
+function firstSeqOf(f) {
+  if (changeFileFirstSeq.has(f)) return changeFileFirstSeq.get(f);
+  const fd = fs.openSync(path.join(CHANGES_DIR, f), "r");
+  let text = "";
+  try {
+    const buf = Buffer.alloc(4096);
+    let n;
+    while (!text.includes("\n") && (n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) text += buf.toString("utf8", 0, n);
+  } finally {
+    fs.closeSync(fd);
+  }
+  let seq;
+  try { seq = JSON.parse(text.split("\n")[0]).seq; } catch { /* empty or torn file */ }
+  // Unknown until the file has a complete first line, so it is never skipped meanwhile
+  if (!Number.isInteger(seq)) return Infinity;
+  changeFileFirstSeq.set(f, seq);
+  return seq;
+}
+
+// Events in order, optionally only those after a seq or time. Files whose events all precede afterSeq are
+// skipped unread, so reading from a recent cursor costs the same however long the history is.
+function readChanges({ afterSeq = 0, afterTime, match = () => true, limit = Infinity } = {}) {
+  const out = [];
+  const files = changeFiles();
+  for (const [i, f] of files.entries()) {
+    if (afterTime && f.slice(8, 18) < afterTime.slice(0, 10)) continue;
+    if (afterSeq && files[i + 1] && firstSeqOf(files[i + 1]) <= afterSeq + 1) continue;
+    for (const line of fs.readFileSync(path.join(CHANGES_DIR, f), "utf8").split("\n")) {
+      if (!line) continue;
+      let e;
+      try { e = JSON.parse(line); } catch { continue; }
+      if (e.seq <= afterSeq || (afterTime && e.time <= afterTime) || !match(e)) continue;
+      out.push(e);
+      if (out.length >= limit) return out;
+    }
+  }
+  return out;
+}
+
+let changeState = null;
+function loadChangeState() {
+  if (changeState) return changeState;
+  changeState = fs.existsSync(CHANGE_STATE_FILE)
+    ? JSON.parse(fs.readFileSync(CHANGE_STATE_FILE, "utf8"))
+    : { seq: 0, polls: 0, databases: {} };
+  // Events written after the last state save still own their seq
+  const last = changeFiles().at(-1);
+  const lines = last ? fs.readFileSync(path.join(CHANGES_DIR, last), "utf8").trim().split("\n") : [];
+  try { changeState.seq = Math.max(changeState.seq, JSON.parse(lines.at(-1) || "{}").seq || 0); } catch { /* torn last line */ }
+  return changeState;
+}
+
+function recordChange(event) {
+  const state = loadChangeState();
+  const time = new Date().toISOString();
+  const file = changeFileFor(time.slice(0, 10));
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(CHANGES_DIR, { recursive: true });
+    sweepChanges();
+  }
+  const entry = { id: crypto.randomUUID(), seq: state.seq + 1, time, ...event };
+  fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+  state.seq = entry.seq;
+  return entry;
+}
+
+const watchedProperties = (properties = {}) => decodeProperties(
+  Object.fromEntries(Object.entries(properties).filter(([, p]) => !UNWATCHED_TYPES.includes(p.type))));
+
+// { name: { from, to } } for every property whose value differs
+function diffProperties(before = {}, after = {}) {
+  const changes = {};
+  for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const from = before[k] ?? null, to = after[k] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[k] = { from, to };
+  }
+  return changes;
+}
+
+async function pollDatabase(entry, fullScan) {
+  const state = loadChangeState();
+  const baseline = !state.databases[entry.id];
+  const snap = state.databases[entry.id] || { watermark: null, pages: {} };
+  const scan = baseline || fullScan || !snap.watermark;
+  const { pages } = await queryDatabasePages(notionHeaders(entry.alias), entry.id, {
+    sorts: [{ timestamp: "last_edited_time", direction: "ascending" }],
+    ...(!scan && { filter: { timestamp: "last_edited_time", last_edited_time: { on_or_after: watermarkMinute(snap.watermark) } } }),
   });
 
-  next();
-});
+  const events = [];
+  const about = (id, page) => ({ db: entry.alias, database_id: entry.id, page_id: id, title: page.title, url: page.url, last_edited_time: page.last_edited_time });
+  for (const p of pages) {
+    const page = {
+      title: decodeProperty(p.properties?.[titleKeyOf(entry.alias, p.properties)]) || "",
+      url: p.url,
+      last_edited_time: p.last_edited_time,
+      archived: false,
+      properties: watchedProperties(p.properties),
+    };
+    const prev = snap.pages[p.id];
+    const changes = prev ? diffProperties(prev.properties, page.properties) : {};
+    const changed = Object.keys(changes).length > 0;
+    if (!baseline) {
+      if (!prev) events.push({ type: "page.created", ...about(p.id, page), properties: page.properties });
+      else if (prev.archived) events.push({ type: "page.restored", ...about(p.id, page), ...(changed && { changes }) });
+      else if (changed) events.push({ type: "page.updated", ...about(p.id, page), changes });
+    }
+    snap.pages[p.id] = page;
+    if (!snap.watermark || p.last_edited_time > snap.watermark) snap.watermark = p.last_edited_time;
+  }
+  // A full scan returns every live page; snapshot pages it misses have been archived (or deleted)
+  if (scan && !baseline) {
+    const seen = new Set(pages.map((p) => p.id));
+    for (const [id, page] of Object.entries(snap.pages)) {
+      if (page.archived || seen.has(id)) continue;
+      page.archived = true;
+      events.push({ type: "page.archived", ...about(id, page) });
+    }
+  }
+  state.databases[entry.id] = snap;
+  const recorded = events.map(recordChange);
+  writeChangeFile(CHANGE_STATE_FILE, state);
+  return recorded;
+}
 
-// Files dir
-const filesDir = path.join(process.cwd(), "public", "files");
-fs.mkdirSync(filesDir, { recursive: true });
-app.use("/files", express.static(filesDir));
+// Poll every watched database once; concurrent calls share the poll in progress
+let pollInProgress = null;
+function pollChanges({ full = false } = {}) {
+  pollInProgress ??= (async () => {
+    const state = loadChangeState();
+    state.polls++;
+    const fullScan = full || state.polls % WATCH_FULL_SCAN_EVERY === 0;
+    const results = [];
+    for (const entry of DATABASES.filter((d) => d.id && d.watch)) {
+      try {
+        results.push({ db: entry.alias, events: (await pollDatabase(entry, fullScan)).length });
+      } catch (e) {
+        const { status, body } = describeError(e);
+        logError("watch_failed", { level: "warn", db: entry.alias, status, code: body.code, request_id: body.request_id, message: body.message });
+        results.push({ db: entry.alias, error: body });
+      }
+    }
+    deliverWebhooks();
+    return { full: fullScan, databases: results };
+  })().finally(() => { pollInProgress = null; });
+  return pollInProgress;
+}
 
-// ─────────────────────────── Config ───────────────────────────
-const PORT = process.env.PORT || 3000;
+function startWatcher() {
+  deliverWebhooks();
+  if (!WATCH_INTERVAL || !storage.configured()) return;
+  const tick = () => pollChanges()
+    .catch((e) => logError("watch_failed", { message: e.message, stack: e.stack }))
+    .finally(() => setTimeout(tick, WATCH_INTERVAL).unref());
+  setTimeout(tick, 0).unref();
+}
 
-const NOTION_KEY = process.env.NOTION_KEY || "";
-const DOCS_DB = process.env.NOTION_DATABASE_ID || process.env.DOCS_DATABASE_ID || "";
-const ROADMAP_DB = process.env.ROADMAP_DATABASE_ID || "";
-const TASKS_DB = process.env.TASK_TRACKER_DATABASE_ID || "";
-const SEARCH_API_KEY = process.env.SEARCH_API_KEY || "";
+// Webhooks: { id, url, secret, events, databases, key, created_time, cursor, delivered, failed, last_delivery }.
+// `cursor` is the seq of the last event handled, so delivery resumes where it stopped after a restart.
+let webhooks = null;
+const loadWebhooks = () => (webhooks ??= fs.existsSync(WEBHOOKS_FILE) ? JSON.parse(fs.readFileSync(WEBHOOKS_FILE, "utf8")) : []);
+const saveWebhooks = () => writeChangeFile(WEBHOOKS_FILE, loadWebhooks());
+const publicWebhook = ({ secret, ...hook }) => hook;
+const webhookWants = (hook, e) =>
+  (!hook.events?.length || hook.events.includes(e.type)) &&
+  (!hook.databases?.length || hook.databases.some((d) => findDatabase(d)?.id === e.database_id));
 
-const BASE_URL = process.env.BASE_URL || "";
-const VERSION = process.env.SOL_VERSION || "v3.2.0";
-const SERVER_TOKEN = process.env.SERVER_TOKEN || "";
-const AUTO_AUTH = String(process.env.AUTO_AUTH || "true").toLowerCase() === "true";
-const STRICT_MODE = String(process.env.STRICT_MODE || "true").toLowerCase() === "true";
+// X-Sol-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the webhook secret>
+const signWebhook = (secret, t, body) => crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex");
 
-// ─────────────────────────── Utils ───────────────────────────
-const normId = (s) => String(s || "").replace(/-/g, "").toLowerCase();
-const toDashedUuid = (s) => {
-  const raw = String(s || "").replace(/-/g, "");
-  return /^[0-9a-fA-F]{32}$/.test(raw)
-    ? `${raw.slice(0,8)}-${raw.slice(8,12)}-${raw.slice(16,16)}-${raw.slice(16,20)}-${raw.slice(20)}`
-    : String(s || "");
-};
-const safeName = (n) => String(n).replace(/[^\w\\-]+/g, "_").slice(0, 80);
-const filePathFor = (n) => path.join(filesDir, n);
-const makePublicURL = (req, name) => {
-  const base = BASE_URL || `${req.headers["x-forwarded-proto"] || req.protocol}://${req.get("host")}`;
-  return `${base}/files/${encodeURIComponent(name)}`;
-};
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+async function deliverEvent(hook, event) {
+  const body = JSON.stringify(event);
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+    const t = Math.floor(Date.now() / 1000);
+    try {
+      await axios.post(hook.url, body, {
+        timeout: 10000,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Sol-Event": event.type,
+          "X-Sol-Delivery": event.id,
+          "X-Sol-Signature": `t=${t},v1=${signWebhook(hook.secret, t, body)}`,
+        },
+      });
+      hook.delivered++;
+      hook.last_delivery = { event_id: event.id, status: "delivered", attempts: attempt, time: new Date().toISOString(), error: null };
+      return;
+    } catch (e) {
+      hook.last_delivery = {
+        event_id: event.id, status: "failed", attempts: attempt, time: new Date().toISOString(),
+        error: e.response ? `HTTP ${e.response.status}` : e.message,
+      };
+      if (attempt < WEBHOOK_ATTEMPTS) await sleep(WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1));
+    }
+  }
+  // Out of attempts: the event is skipped so one bad delivery doesn't hold up the rest
+  hook.failed++;
+  logError("webhook_failed", { webhook_id: hook.id, url: hook.url, event_id: event.id, attempts: WEBHOOK_ATTEMPTS, message: hook.last_delivery.error });
+}
 
-// ─────────────────────────── Auth Middleware ───────────────────────────
-function requireSolAuth(req, res, next) {
-  const path = (req.path || "").toLowerCase();
-  const tier1 = ["/health", "/whoami", "/find_pages", "/get_page", "/page_blocks", "/page_markdown",
-    "/notion_schema", "/notion_raw_props", "/notion_users", "/search_web", "/memory_notes"];
+// Each webhook gets its pending events one at a time, in seq order
+const webhooksDelivering = new Set();
+function deliverWebhooks() {
+  const { seq } = loadChangeState();
+  for (const hook of loadWebhooks()) {
+    // Caught-up hooks cost nothing on a tick
+    if (webhooksDelivering.has(hook.id) || hook.cursor >= seq) continue;
+    webhooksDelivering.add(hook.id);
+    (async () => {
+      let batch;
+      do {
+        batch = readChanges({ afterSeq: hook.cursor, limit: 100 });
+        for (const event of batch) {
+          if (!loadWebhooks().includes(hook)) return;
+          if (webhookWants(hook, event)) await deliverEvent(hook, event);
+          hook.cursor = event.seq;
+          saveWebhooks();
+        }
+      } while (batch.length);
+    })()
+      .catch((e) => logError("webhook_failed", { webhook_id: hook.id, message: e.message, stack: e.stack }))
+      .finally(() => webhooksDelivering.delete(hook.id));
+  }
+}
 
-  const tier2 = ["/upsert_page", "/append_task_content", "/generate_document", "/memory_note",
-    "/update_fields", "/batch_update_fields", "/replace_page_content", "/delete_page"];
+// ─────────────────────────── Memory Search ───────────────────────────
+// BM25 index over the docs database: titles, properties and block text fetched recursively. It lives in
+// memory and SEARCH_INDEX_FILE, so searches are answered locally; a sync lists the database and refetches
+// blocks only for pages whose last_edited_time moved, and a failed sync leaves the last index in use.
+const SEARCH_INDEX_VERSION = 1;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Term counts are weighted per field, so a title match outranks the same word in the body
+const SEARCH_FIELDS = { title: 3, properties: 1.5, body: 1 };
+const SEARCH_STOPWORDS = new Set("a an and are as at be by for from has have in is it its of on or that the this to was were will with".split(" "));
+const SEARCH_WORD = /[\p{L}\p{N}]+/gu;
+const SNIPPET_CHARS = 160;
 
-  if (AUTO_AUTH && (tier1.includes(path) || (!STRICT_MODE && tier2.includes(path)))) return next();
-  if (!SERVER_TOKEN) return next();
+const searchIndex = { loaded: false, dirty: false, docs: new Map(), postings: new Map(), totalLength: 0, refreshed_time: null, syncing: null };
 
-  const tok = req.headers["x-sol-token"] || req.headers["authorization"];
-  const bearer = typeof tok === "string" && tok.startsWith("Bearer ") ? tok.slice(7) : tok;
-  if (bearer && String(bearer) === String(SERVER_TOKEN)) return next();
+// Lowercase without accents, and a light plural strip so "runbooks" finds "runbook"
+function searchTerm(word) {
+  const w = word.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase();
+  return w.length > 3 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w;
+}
+const searchTerms = (text) => (String(text || "").match(SEARCH_WORD) || []).map(searchTerm).filter((t) => !SEARCH_STOPWORDS.has(t));
 
-  return res.status(401).json({ ok: false, error: "unauthorized" });
+function blocksPlainText(blocks = []) {
+  const lines = [];
+  for (const b of blocks) {
+    const body = b[b.type] || {};
+    const runs = [body.rich_text, body.caption, ...(body.cells || [])].filter(Boolean);
+    lines.push(runs.map((r) => r.map((t) => t.plain_text ?? t.text?.content ?? "").join("")).filter(Boolean).join(" "));
+    if (b.children) lines.push(blocksPlainText(b.children));
+  }
+  return lines.filter(Boolean).join("\n");
 }
 
-// ─────────────────────────── Notion Helpers ───────────────────────────
-const getDbId = (db) => {
-  db = String(db || "").toLowerCase();
-  if (["docs", "documents"].includes(db)) return DOCS_DB;
-  if (["roadmap", "road"].includes(db)) return ROADMAP_DB;
-  if (["tasks", "task", "tracker"].includes(db)) return TASKS_DB;
-  return DOCS_DB || TASKS_DB || ROADMAP_DB;
-};
-const notionHeaders = () => ({
-  "Authorization": `Bearer ${NOTION_KEY}`,
-  "Content-Type": "application/json",
-  "Notion-Version": "2022-06-28",
-});
+function searchDocument(page, blocks) {
+  const properties = decodeProperties(page.properties);
+  const titleKey = titleKeyOf(MEMORY_DB, page.properties);
+  const text = {
+    title: (titleKey && properties[titleKey]) || "",
+    properties: Object.entries(properties).filter(([k]) => k !== titleKey).map(([, v]) => propertyText(v)).filter(Boolean).join("\n"),
+    body: blocksPlainText(blocks),
+  };
+  const terms = {};
+  let length = 0;
+  for (const [field, weight] of Object.entries(SEARCH_FIELDS)) {
+    for (const t of searchTerms(text[field])) {
+      terms[t] = (terms[t] || 0) + weight;
+      length += weight;
+    }
+  }
+  return {
+    id: page.id,
+    url: page.url,
+    title: text.title || "Untitled",
+    topics: [].concat(properties[topicKeyOf(MEMORY_DB)] ?? []).map(String).filter(Boolean),
+    created_time: page.created_time,
+    last_edited_time: page.last_edited_time,
+    indexed_time: new Date().toISOString(),
+    text,
+    terms,
+    length,
+  };
+}
 
-// Retry wrapper
-async function doNotion(method, url, opts = {}) {
-  let attempt = 0, lastErr;
-  while (attempt < 5) {
-    try { return await axios({ method, url, ...opts }); }
-    catch (err) {
-      const status = err?.response?.status;
-      if (status === 409 || status === 429) {
-        await sleep(Math.min(2000, 250 * 2 ** attempt) + Math.random() * 100);
-        attempt++; lastErr = err; continue;
+function unindexDocument(id) {
+  const doc = searchIndex.docs.get(id);
+  if (!doc) return;
+  for (const t of Object.keys(doc.terms)) {
+    const ids = searchIndex.postings.get(t);
+    ids.delete(id);
+    if (!ids.size) searchIndex.postings.delete(t);
+  }
+  searchIndex.totalLength -= doc.length;
+  searchIndex.docs.delete(id);
+}
+
+function indexDocument(doc) {
+  unindexDocument(doc.id);
+  searchIndex.docs.set(doc.id, doc);
+  for (const t of Object.keys(doc.terms)) {
+    if (!searchIndex.postings.has(t)) searchIndex.postings.set(t, new Set());
+    searchIndex.postings.get(t).add(doc.id);
+  }
+  searchIndex.totalLength += doc.length;
+}
+
+// The saved index is only reused for the database it was built from
+function loadSearchIndex() {
+  if (searchIndex.loaded) return;
+  searchIndex.loaded = true;
+  try {
+    const saved = JSON.parse(fs.readFileSync(SEARCH_INDEX_FILE, "utf8"));
+    if (saved.version !== SEARCH_INDEX_VERSION || saved.database_id !== getDbId(MEMORY_DB)) return;
+    saved.docs.forEach(indexDocument);
+    searchIndex.refreshed_time = saved.refreshed_time;
+  } catch (e) {
+    if (e.code !== "ENOENT") logError("search_index_unreadable", { level: "warn", message: e.message });
+  }
+}
+
+function saveSearchIndex() {
+  fs.mkdirSync(path.dirname(SEARCH_INDEX_FILE), { recursive: true });
+  const saved = { version: SEARCH_INDEX_VERSION, database_id: getDbId(MEMORY_DB), refreshed_time: searchIndex.refreshed_time, docs: [...searchIndex.docs.values()] };
+  fs.writeFileSync(`${SEARCH_INDEX_FILE}.tmp`, JSON.stringify(saved));
+  fs.renameSync(`${SEARCH_INDEX_FILE}.tmp`, SEARCH_INDEX_FILE);
+}
+
+// One sync at a time; concurrent searches wait for the same one
+function syncSearchIndex() {
+  searchIndex.syncing ??= (async () => {
+    searchIndex.dirty = false;
+    const headers = notionHeaders(MEMORY_DB);
+    const { pages } = await queryDatabasePages(headers, getDbId(MEMORY_DB));
+    const live = new Set(pages.map((p) => p.id));
+    const removed = [...searchIndex.docs.keys()].filter((id) => !live.has(id));
+    removed.forEach(unindexDocument);
+    const changed = pages.filter((p) => {
+      const doc = searchIndex.docs.get(p.id);
+      return !doc || p.last_edited_time !== doc.last_edited_time || p.last_edited_time >= watermarkMinute(doc.indexed_time);
+    });
+    await mapWithConcurrency(changed, BATCH_CONCURRENCY, async (p) => indexDocument(searchDocument(p, await fetchBlockTree(headers, p.id))));
+    searchIndex.refreshed_time = new Date().toISOString();
+    saveSearchIndex();
+    return { fetched: changed.length, removed: removed.length };
+  })().finally(() => { searchIndex.syncing = null; });
+  return searchIndex.syncing;
+}
+
+// Sync when forced, after our own writes, or when the index is older than SEARCH_INDEX_REFRESH_SECONDS.
+// Without Notion the last index answers, marked stale; only a first build has to succeed.
+async function ensureSearchIndex(force) {
+  loadSearchIndex();
+  const age = searchIndex.refreshed_time ? Date.now() - Date.parse(searchIndex.refreshed_time) : Infinity;
+  if (!force && !searchIndex.dirty && age < SEARCH_INDEX_REFRESH) return { stale: false };
+  try {
+    return { stale: false, ...(await syncSearchIndex()) };
+  } catch (e) {
+    if (!searchIndex.refreshed_time) throw e;
+    const { status, body } = describeError(e);
+    logError("search_index_sync_failed", { level: "warn", status, code: body.code, request_id: body.request_id, message: body.message });
+    return { stale: true, error: body };
+  }
+}
+
+// Text around the densest run of matches, with matches in **bold**
+function searchSnippet(doc, terms) {
+  const wanted = new Set(terms);
+  for (const field of ["body", "properties", "title"]) {
+    const text = doc.text[field];
+    const hits = [...text.matchAll(SEARCH_WORD)].filter((m) => wanted.has(searchTerm(m[0]))).map((m) => [m.index, m.index + m[0].length]);
+    if (!hits.length) continue;
+    let best = 0, bestCount = 0;
+    hits.forEach(([from], i) => {
+      const count = hits.filter(([h], j) => j >= i && h < from + SNIPPET_CHARS).length;
+      if (count > bestCount) { best = i; bestCount = count; }
+    });
+    // Start on a word boundary a little before the first match
+    let start = Math.max(0, hits[best][0] - 30);
+    const space = text.indexOf(" ", start);
+    if (start > 0 && space >= 0 && space < hits[best][0]) start = space + 1;
+    const end = Math.min(text.length, start + SNIPPET_CHARS);
+    let out = "", at = start;
+    for (const [from, to] of hits.filter(([from, to]) => from >= start && to <= end)) {
+      out += `${text.slice(at, from)}**${text.slice(from, to)}**`;
+      at = to;
+    }
+    out += text.slice(at, end);
+    return `${start > 0 ? "…" : ""}${out.replace(/\s+/g, " ").trim()}${end < text.length ? "…" : ""}`;
+  }
+  return doc.text.body.slice(0, SNIPPET_CHARS).replace(/\s+/g, " ");
+}
+
+// BM25 over every note matching any query term. Facets count all matches; topic and dates then narrow the results.
+function searchMemory({ q, topic, from, to, limit = 10 }) {
+  const terms = [...new Set(searchTerms(q))];
+  const n = searchIndex.docs.size;
+  const avgLength = searchIndex.totalLength / (n || 1);
+  const hits = new Map();
+  for (const t of terms) {
+    const ids = searchIndex.postings.get(t);
+    if (!ids) continue;
+    const idf = Math.log(1 + (n - ids.size + 0.5) / (ids.size + 0.5));
+    for (const id of ids) {
+      const doc = searchIndex.docs.get(id);
+      const tf = doc.terms[t];
+      const hit = hits.get(id) || { doc, score: 0, matched: [] };
+      hit.score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+      hit.matched.push(t);
+      hits.set(id, hit);
+    }
+  }
+
+  const facet = (values) => {
+    const counts = new Map();
+    for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+    return [...counts].map(([value, count]) => ({ value, count }));
+  };
+  const matches = [...hits.values()];
+  const facets = {
+    topics: facet(matches.flatMap(({ doc }) => (doc.topics.length ? doc.topics : [UNCATEGORIZED])))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    months: facet(matches.map(({ doc }) => doc.created_time?.slice(0, 7)).filter(Boolean)).sort((a, b) => b.value.localeCompare(a.value)),
+  };
+
+  const wantedTopic = topic?.toLowerCase();
+  const results = matches
+    .filter(({ doc }) => !wantedTopic || doc.topics.some((t) => t.toLowerCase() === wantedTopic))
+    .filter(({ doc }) => (!from || doc.created_time >= from) && (!to || doc.created_time.slice(0, to.length) <= to))
+    .sort((a, b) => b.score - a.score || b.doc.last_edited_time.localeCompare(a.doc.last_edited_time));
+  return {
+    total: results.length,
+    results: results.slice(0, limit).map(({ doc, score, matched }) => ({
+      page_id: doc.id,
+      url: doc.url,
+      title: doc.title,
+      topics: doc.topics,
+      created_time: doc.created_time,
+      last_edited_time: doc.last_edited_time,
+      score: Math.round(score * 1000) / 1000,
+      matched_terms: matched,
+      snippet: searchSnippet(doc, matched),
+    })),
+    facets,
+  };
+}
+
+// ─────────────────────────── Templates ───────────────────────────
+// TEMPLATES_DIR/<name>.json: { description, db, variables, title, fields, content, match, allow_new_options },
+// where fields and content take the same plain values as /upsert_page. With source_page_id, an existing
+// Notion page supplies the title, properties and body (as Markdown) that the file does not set.
+//
+// Every string may use {{var}} (dotted paths, {{this}} and {{@index}} inside #each), {{#if var}}…{{else}}…{{/if}},
+// {{#unless var}}…{{/unless}} and {{#each list}}…{{/each}}; tags alone on a line take the line with them.
+// A field that is exactly one {{var}} keeps the value's type, so lists can fill multi-selects. Array entries
+// in fields or content may carry "$if": "var" to be kept only when it is set, or "$each": "list" to be
+// repeated per item. {{today}} and {{now}} are always defined.
+const TEMPLATE_NAME = /^[\w-]+$/;
+const TEMPLATE_TAG = /\{\{\s*(.*?)\s*\}\}/g;
+const TEMPLATE_SINGLE = /^\{\{\s*([\w.@]+)\s*\}\}$/;
+const TEMPLATE_SECTIONS = ["if", "unless", "each"];
+// Variable types a template may declare; date values must be ISO dates
+const TEMPLATE_TYPES = { string: "string", number: "number", integer: "integer", boolean: "boolean", date: "string", array: "array", object: "object" };
+const TEMPLATE_BUILTINS = ["today", "now"];
+
+const templateError = (name, message) => httpError(400, { error: "invalid_template", template: name, message });
+
+// Template text → [string | { kind: "var", name } | { kind, name, body, alt }]
+function parseTemplate(src, name) {
+  const root = { body: [] };
+  root.target = root.body;
+  const stack = [root];
+  let at = 0;
+  for (const m of src.matchAll(TEMPLATE_TAG)) {
+    const tag = m[1];
+    const section = tag.match(/^([#/])(\w+)\s*([\w.@]*)$/);
+    const chunkStart = at;
+    let text = src.slice(at, m.index);
+    at = m.index + m[0].length;
+    // Standalone section tags drop their line's indentation and newline
+    if (section || tag === "else") {
+      const lineStart = text.lastIndexOf("\n") + 1;
+      const atLineStart = lineStart > 0 || chunkStart === 0 || src[chunkStart - 1] === "\n";
+      const after = src.slice(at).match(/^[ \t]*(\r?\n|$)/);
+      if (after && atLineStart && /^[ \t]*$/.test(text.slice(lineStart))) {
+        text = text.slice(0, lineStart);
+        at += after[0].length;
       }
-      throw err;
+    }
+    const top = stack[stack.length - 1];
+    if (text) top.target.push(text);
+
+    if (tag === "else") {
+      if (top === root || top.target === top.alt) throw templateError(name, "{{else}} outside a section");
+      top.target = top.alt;
+    } else if (section?.[1] === "#") {
+      if (!TEMPLATE_SECTIONS.includes(section[2]) || !section[3]) throw templateError(name, `Unknown section {{${tag}}}`);
+      const node = { kind: section[2], name: section[3], body: [], alt: [] };
+      node.target = node.body;
+      top.target.push(node);
+      stack.push(node);
+    } else if (section) {
+      if (top.kind !== section[2]) throw templateError(name, `{{${tag}}} does not close ${top.kind ? `{{#${top.kind}}}` : "a section"}`);
+      stack.pop();
+    } else if (/^[\w.@]+$/.test(tag)) {
+      top.target.push({ kind: "var", name: tag });
+    } else {
+      throw templateError(name, `Unknown tag {{${tag}}}`);
     }
   }
-  throw lastErr || new Error("Unknown Notion error");
+  if (stack.length > 1) throw templateError(name, `{{#${stack[stack.length - 1].kind}}} is never closed`);
+  if (at < src.length) root.body.push(src.slice(at));
+  return root.body;
 }
 
-// Build blocks from content object
-function buildBlocksFromContent(content) {
-  const blocks = [];
-  if (!content) return blocks;
+// Scopes are a stack of { item, index }; names resolve against the innermost item that has them
+function lookupVariable(scope, name) {
+  const [head, ...rest] = name.split(".");
+  const inner = scope[scope.length - 1];
+  let value;
+  if (head === "this") value = inner.item;
+  else if (head === "@index") value = inner.index;
+  else value = [...scope].reverse().find(({ item }) => item && typeof item === "object" && head in item)?.item[head];
+  return rest.reduce((v, k) => (v == null ? undefined : v[k]), value);
+}
 
-  if (content.description) {
-    content.description.split(/\\n+/).forEach(p => {
-      if (p.trim()) blocks.push({ object: "block", type: "paragraph",
-        paragraph: { rich_text: [{ type: "text", text: { content: p } }] } });
+const isSet = (v) => !(v === undefined || v === null || v === false || v === "" || (Array.isArray(v) && !v.length));
+
+function formatVariable(v) {
+  if (v === undefined || v === null) return "";
+  if (Array.isArray(v)) return v.map(formatVariable).join(", ");
+  if (typeof v === "object") return "start" in v ? [v.start, v.end].filter(Boolean).join(" → ") : JSON.stringify(v);
+  return String(v);
+}
+
+function renderNodes(nodes, scope) {
+  return nodes.map((node) => {
+    if (typeof node === "string") return node;
+    const value = lookupVariable(scope, node.name);
+    if (node.kind === "var") return formatVariable(value);
+    if (node.kind === "each") {
+      const items = [].concat(value ?? []);
+      if (!items.length) return renderNodes(node.alt, scope);
+      return items.map((item, index) => renderNodes(node.body, [...scope, { item, index }])).join("");
+    }
+    return renderNodes((node.kind === "if") === isSet(value) ? node.body : node.alt, scope);
+  }).join("");
+}
+
+function renderTemplateValue(value, scope, name) {
+  if (typeof value === "string") {
+    const single = value.match(TEMPLATE_SINGLE);
+    return single ? lookupVariable(scope, single[1]) : renderNodes(parseTemplate(value, name), scope);
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((entry) => {
+      if (!entry || typeof entry !== "object" || !("$if" in entry || "$each" in entry)) return [renderTemplateValue(entry, scope, name)];
+      const { $if, $each, ...rest } = entry;
+      if ($if && !isSet(lookupVariable(scope, $if))) return [];
+      if (!$each) return [renderTemplateValue(rest, scope, name)];
+      return [].concat(lookupVariable(scope, $each) ?? []).map((item, index) => renderTemplateValue(rest, [...scope, { item, index }], name));
     });
   }
-  if (Array.isArray(content.blocks)) {
-    for (const b of content.blocks) {
-      const text = b.text || "";
-      const rich_text = [{ type: "text", text: { content: text } }];
-      if (["heading_1","heading_2","heading_3","paragraph","bulleted_list_item","numbered_list_item"].includes(b.type))
-        blocks.push({ object: "block", type: b.type, [b.type]: { rich_text } });
-      if (b.type === "callout")
-        blocks.push({ object: "block", type: "callout", callout: { icon: b.icon ? { type: "emoji", emoji: b.icon } : undefined, rich_text } });
-      if (b.type === "toggle")
-        blocks.push({ object: "block", type: "toggle", toggle: { rich_text } });
-      if (b.type === "code")
-        blocks.push({ object: "block", type: "code", code: { rich_text, language: b.language || "plain text" } });
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value)
+      .map(([k, v]) => [k, renderTemplateValue(v, scope, name)])
+      .filter(([, v]) => v !== undefined));
+  }
+  return value;
+}
+
+// Variables a template uses but does not declare: lists named by #each or $each are arrays, names tested by
+// #if, #unless or $if are optional, and the rest are required strings. Inside a repeated section bare names
+// may belong to the item, so only the lists named there count.
+function inferTemplateVariables(parts, name) {
+  const found = {};
+  const tested = new Set();
+  const add = (ref, type) => {
+    const head = ref.split(".")[0];
+    if (head === "this" || head.startsWith("@") || TEMPLATE_BUILTINS.includes(head)) return;
+    if (type === "boolean") tested.add(head);
+    if (!found[head] || found[head].type === "boolean") found[head] = { type };
+  };
+  const walkNodes = (nodes, inEach) => {
+    for (const node of nodes) {
+      if (typeof node === "string") continue;
+      if (node.kind === "each") add(node.name, "array");
+      else if (!inEach) add(node.name, node.kind === "var" ? "string" : "boolean");
+      if (node.body) {
+        walkNodes(node.body, inEach || node.kind === "each");
+        walkNodes(node.alt, inEach);
+      }
+    }
+  };
+  const walk = (value, inEach) => {
+    if (typeof value === "string") {
+      const single = value.match(TEMPLATE_SINGLE);
+      if (!single) walkNodes(parseTemplate(value, name), inEach);
+      else if (!inEach) add(single[1], "string");
+    } else if (Array.isArray(value)) {
+      for (const entry of value) {
+        if (entry?.$if && !inEach) add(entry.$if, "boolean");
+        if (entry?.$each) add(entry.$each, "array");
+        walk(entry, inEach || !!entry?.$each);
+      }
+    } else if (value && typeof value === "object") {
+      for (const [k, v] of Object.entries(value)) if (k !== "$if" && k !== "$each") walk(v, inEach);
     }
+  };
+  walk(parts, false);
+  for (const v of Object.keys(found)) found[v].required = !tested.has(v);
+  return found;
+}
+
+function templateFiles() {
+  try {
+    return fs.readdirSync(TEMPLATES_DIR).filter((f) => f.endsWith(".json")).sort();
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
   }
-  if (Array.isArray(content.subtasks)) {
-    for (const it of content.subtasks) {
-      blocks.push({ object: "block", type: "to_do", to_do: { rich_text: [{ type: "text", text: { content: it.text } }], checked: !!it.checked } });
+}
+
+function readTemplateFile(name) {
+  const file = path.join(TEMPLATES_DIR, `${name}.json`);
+  if (!TEMPLATE_NAME.test(String(name)) || !fs.existsSync(file)) {
+    const known = templateFiles().map((f) => f.slice(0, -5));
+    const suggestion = didYouMean(name, known);
+    throw httpError(404, {
+      error: "template_not_found",
+      template: name,
+      message: `No template named "${name}"`,
+      hint: suggestion ? `Did you mean "${suggestion}"?` : `Known templates: ${known.join(", ") || "none"}`,
+    });
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw templateError(name, `${name}.json is not valid JSON: ${e.message}`);
+  }
+}
+
+// The template's database (or the default one) without touching Notion, for auth checks. A missing or
+// unreadable template throws, so the request fails instead of being authorised against a guess.
+const templateDb = (name) => readTemplateFile(name).db || DEFAULT_DATABASE.alias;
+
+// Load a template, pulling in its source page, and merge declared variables over inferred ones.
+// Variables are required unless they have a default or say required: false.
+async function loadTemplate(name) {
+  const def = readTemplateFile(name);
+  const db = databaseEntry(def.db).alias;
+  let { title, fields = {}, content } = def;
+  if (def.source_page_id) {
+    const headers = notionHeaders(db);
+    const page = (await doNotion("get", `https://api.notion.com/v1/pages/${def.source_page_id}`, { headers })).data;
+    const values = decodeProperties(page.properties);
+    const copied = Object.entries(page.properties)
+      .filter(([k, p]) => !READ_ONLY_PROPERTY_TYPES.includes(p.type) && p.type !== "title" && isSet(values[k]))
+      .map(([k]) => [k, values[k]]);
+    const titleKey = Object.keys(page.properties).find((k) => page.properties[k].type === "title");
+    title ??= values[titleKey];
+    fields = { ...Object.fromEntries(copied), ...fields };
+    content = { markdown: blocksToMarkdown(await fetchBlockTree(headers, page.id)), ...content };
+  }
+  const parts = { title, fields, content, match: def.match };
+
+  const variables = inferTemplateVariables(parts, name);
+  for (const [k, spec] of Object.entries(def.variables || {})) {
+    const type = spec.type || variables[k]?.type || "string";
+    if (!TEMPLATE_TYPES[type]) throw templateError(name, `Variable ${k} has unknown type ${type}`);
+    variables[k] = { ...spec, type, required: spec.required ?? spec.default === undefined };
+  }
+  return { name, description: def.description || "", db, source_page_id: def.source_page_id, allow_new_options: !!def.allow_new_options, variables, parts };
+}
+
+function checkTemplateVariables(template, values) {
+  const schema = {
+    type: "object",
+    required: Object.keys(template.variables).filter((k) => template.variables[k].required),
+    properties: Object.fromEntries(Object.entries(template.variables).map(([k, v]) => [k, { type: TEMPLATE_TYPES[v.type] }])),
+  };
+  const details = schemaErrors(schema, values, "variables");
+  for (const [k, v] of Object.entries(template.variables)) {
+    if (v.type === "date" && typeof values[k] === "string" && !ISO_DATE.test(values[k])) details.push({ path: `variables.${k}`, message: "must be an ISO date" });
+  }
+  if (details.length) {
+    throw httpError(400, { error: "invalid_variables", template: template.name, message: `Template ${template.name} needs different variables`, details });
+  }
+}
+
+// Fill in a template; fields left empty are dropped so optional variables don't clear properties
+function renderTemplate(template, variables = {}) {
+  checkTemplateVariables(template, variables);
+  const now = new Date().toISOString();
+  const defaults = Object.fromEntries(Object.entries(template.variables).filter(([, v]) => v.default !== undefined).map(([k, v]) => [k, v.default]));
+  const scope = [{ item: { today: now.slice(0, 10), now, ...defaults, ...variables }, index: 0 }];
+  const { title, fields, content, match } = renderTemplateValue(template.parts, scope, template.name);
+  return {
+    title: title === undefined ? undefined : formatVariable(title),
+    fields: Object.fromEntries(Object.entries(fields || {}).filter(([, v]) => isSet(v) || v === false)),
+    content,
+    match,
+  };
+}
+
+// ─────────────────────────── API Schema ───────────────────────────
+// Routes are declared with api.get/api.post and a spec: operationId, optional params/query/body schemas
+// (JSON Schema; query values arrive as strings) and responses keyed by status, each a description or
+// { description, schema }. Requests are validated against the spec and /openapi.json is generated from it.
+const API_ROUTES = [];
+
+const describeTypes = (schema) => {
+  if (schema.enum) return schema.enum.join(", ");
+  if (schema.pattern) return `string matching ${schema.pattern}`;
+  return [].concat(schema.type || (schema.properties ? "object" : "any")).join(" or ");
+};
+
+function matchesType(type, v, coerce) {
+  switch (type) {
+    case "string": return typeof v === "string";
+    case "integer": return Number.isInteger(v) || (coerce && /^-?\d+$/.test(v));
+    case "number": return (typeof v === "number" && Number.isFinite(v)) || (coerce && v !== "" && Number.isFinite(Number(v)));
+    case "boolean": return typeof v === "boolean" || (coerce && /^(true|false|1|0)$/i.test(v));
+    case "object": return !!v && typeof v === "object" && !Array.isArray(v);
+    case "array": return Array.isArray(v);
+    case "null": return v === null;
+    default: return true;
+  }
+}
+
+// Check a value against the JSON Schema subset used by route specs; returns [{ path, message }]
+function schemaErrors(schema, value, at, { coerce = false } = {}) {
+  if (value === undefined) return [];
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((t) => matchesType(t, value, coerce))) return [{ path: at, message: `must be ${describeTypes(schema)}` }];
+
+  const errors = [];
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (alternatives) {
+    const passing = alternatives.filter((s) => !schemaErrors(s, value, at, { coerce }).length).length;
+    if (schema.oneOf ? passing !== 1 : !passing)
+      errors.push({ path: at, message: `must be one of: ${alternatives.map(describeTypes).join(", ")}` });
+  }
+  if (schema.enum && !schema.enum.some((e) => e === value || (coerce && String(e) === value)))
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(", ")}` });
+  const n = coerce && typeof value === "string" ? Number(value) : value;
+  if (typeof n === "number") {
+    if (schema.minimum !== undefined && n < schema.minimum) errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && n > schema.maximum) errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+  }
+  if (typeof value === "string" && schema.minLength && value.length < schema.minLength)
+    errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+  if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern).test(value))
+    errors.push({ path: at, message: `must match ${schema.pattern}` });
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems && value.length > schema.maxItems) errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) value.forEach((v, i) => errors.push(...schemaErrors(schema.items, v, `${at}[${i}]`, { coerce })));
+  } else if (value && typeof value === "object") {
+    // Empty strings count as missing, so page_id: "" fails here rather than at Notion
+    for (const k of schema.required || []) {
+      if (value[k] === undefined || value[k] === null || value[k] === "") errors.push({ path: `${at}.${k}`, message: "is required" });
+    }
+    for (const [k, v] of Object.entries(value)) {
+      const prop = schema.properties?.[k];
+      if (prop) errors.push(...schemaErrors(prop, v, `${at}.${k}`, { coerce }));
+      else if (schema.additionalProperties === false) errors.push({ path: `${at}.${k}`, message: "is not allowed" });
     }
   }
-  if (Array.isArray(content.files)) {
-    for (const f of content.files) {
-      const url = typeof f === "string" ? f : f.url || f.href || f.external?.url;
-      if (url) blocks.push({ object: "block", type: "file", file: { type: "external", external: { url } } });
+  return errors;
+}
+
+const validateRequest = (spec) => (req, res, next) => {
+  const details = [
+    ...(spec.params ? schemaErrors({ type: "object", ...spec.params }, req.params, "params", { coerce: true }) : []),
+    ...(spec.query ? schemaErrors({ type: "object", ...spec.query }, req.query, "query", { coerce: true }) : []),
+    ...(spec.body ? schemaErrors({ type: "object", ...spec.body }, req.body ?? {}, "body") : []),
+  ];
+  if (details.length) return sendError(req, res, httpError(400, { error: "validation_failed", details }));
+  next();
+};
+
+// Validation runs right after authentication, before the database checks, the other middleware and the handler
+function apiRoute(method, routePath, spec, ...handlers) {
+  const handler = handlers.pop();
+  const auth = handlers.find((h) => h.scope);
+  API_ROUTES.push({ method, path: routePath, spec, scope: auth?.scope });
+  const chain = auth
+    ? handlers.flatMap((h) => (h === auth ? [h.authenticate, validateRequest(spec), h.checkDatabases] : [h]))
+    : [...handlers, validateRequest(spec)];
+  app[method](routePath, ...chain, handler);
+}
+const api = {
+  get: (routePath, spec, ...handlers) => apiRoute("get", routePath, spec, ...handlers),
+  post: (routePath, spec, ...handlers) => apiRoute("post", routePath, spec, ...handlers),
+};
+
+// Schema fragments shared by several routes
+// A registry alias or a database id, dashed or not; routes without one use the default database
+const DB_ALIAS = {
+  type: "string",
+  anyOf: [{ enum: DATABASE_NAMES }, { pattern: "^[0-9a-fA-F]{8}-?([0-9a-fA-F]{4}-?){3}[0-9a-fA-F]{12}$" }],
+};
+// Page routes take a db only to pick the workspace (integration token) the page lives in
+const PAGE_DB = { ...DB_ALIAS, description: "Database whose workspace holds the page, when it is not the default one" };
+const SIMPLIFY = { type: "boolean", description: "Return properties as flat plain values" };
+const DRY_RUN = {
+  type: "boolean",
+  description: "Return the Notion requests this call would send, without sending writes (or set X-Sol-Dry-Run: 1)",
+};
+const ASYNC_PROPS = {
+  async: { type: "boolean", description: "Run as a job; poll status_url (GET /jobs/{id}) for the result" },
+  callback_url: { type: "string", description: "With async, receives the finished job as a POST" },
+};
+const PAGE_CONTENT = {
+  type: "object",
+  properties: {
+    description: { type: "string" },
+    markdown: {
+      type: "string",
+      description: "Markdown body converted to Notion blocks (headings, lists, to-dos, code, quotes, tables, images, inline formatting)",
+    },
+    files: { type: "array", items: { type: "string" } },
+    subtasks: { type: "array", items: { type: "object", properties: { text: { type: "string" }, checked: { type: "boolean" } } } },
+    blocks: { type: "array", items: { type: "object" } },
+  },
+};
+const FILTER = {
+  description: "Raw Notion filter JSON, or compact syntax such as: status = \"In progress\" AND due < today+7d AND tags has \"infra\"",
+  oneOf: [{ type: "object" }, { type: "string" }],
+};
+const SORT = {
+  description: "Raw Notion sorts, or a string such as \"Due desc, Name\"",
+  oneOf: [{ type: "array", items: { type: "object" } }, { type: "string" }],
+};
+const AUDITED = { audit_id: { type: ["string", "null"], description: "Pass to POST /undo to revert" } };
+// Upserts that update a page and append to it record two entries, each undone on its own
+const UPSERT_AUDITED = {
+  ...AUDITED,
+  audit_ids: { type: "array", items: { type: "string" }, description: "Every entry the call recorded: the update, then the append" },
+};
+// 200 response whose body is { ok: true, ...properties }
+const okResponse = (description, properties = {}) =>
+  ({ description, schema: { type: "object", properties: { ok: { type: "boolean" }, ...properties } } });
+const STRING = { type: "string" };
+const OBJECT = { type: "object" };
+const FIELD_ERRORS = { type: "array", items: OBJECT, description: "Fields that could not be converted, with hints" };
+const JOB_ACCEPTED = okResponse("Job started (async)", { job_id: STRING, status: STRING, status_url: STRING });
+const DOC_RESULT = { title: STRING, format: STRING, doc_url: { type: "string", description: "Public download URL" } };
+
+const ERROR_SCHEMA = { $ref: "#/components/schemas/Error" };
+const AUTH_RESPONSES = {
+  401: "Missing or invalid token",
+  403: "The key lacks the scope, or the database is not in its allow-list",
+  429: "Rate limited; retry after the Retry-After header",
+};
+
+function openApiDocument(baseUrl) {
+  const paths = {};
+  for (const { method, path: routePath, spec, scope } of API_ROUTES) {
+    const param = (where, required) => ([name, { description, ...schema }]) =>
+      ({ in: where, name, ...(required?.includes(name) && { required: true }), ...(description && { description }), schema });
+    const parameters = [
+      ...Object.entries(spec.params?.properties || {}).map(param("path", spec.params?.required)),
+      ...Object.entries(spec.query?.properties || {}).map(param("query", spec.query?.required)),
+    ];
+    const responses = {};
+    for (const [status, r] of Object.entries({
+      ...spec.responses,
+      ...((spec.query || spec.body || spec.params) && !spec.responses[400] && { 400: "Invalid request" }),
+      ...(scope && AUTH_RESPONSES),
+    })) {
+      const { description, schema } = typeof r === "string" ? { description: r } : r;
+      const body = schema || (status >= 400 ? (status === "400" ? { $ref: "#/components/schemas/ValidationError" } : ERROR_SCHEMA) : null);
+      responses[status] = { description, ...(body && { content: { "application/json": { schema: body } } }) };
     }
+    const oaPath = routePath.replace(/:(\w+)/g, "{$1}");
+    paths[oaPath] = {
+      ...paths[oaPath],
+      [method]: {
+        operationId: spec.operationId,
+        ...(spec.description && { description: spec.description }),
+        // An empty requirement marks routes anonymous callers may use as well
+        ...(scope && {
+          security: [{ solToken: [] }, { bearerAuth: [] }, ...(ANONYMOUS_KEY.scopes.includes(scope) ? [{}] : [])],
+          "x-sol-scope": scope,
+        }),
+        ...(parameters.length && { parameters }),
+        ...(spec.body && { requestBody: { required: true, content: { "application/json": { schema: { type: "object", ...spec.body } } } } }),
+        responses,
+      },
+    };
   }
-  return blocks;
+  return {
+    openapi: "3.1.1",
+    info: { title: "Sol v3 Agent", version: VERSION.replace(/^v/, "") },
+    servers: [{ url: baseUrl }],
+    paths,
+    components: {
+      securitySchemes: {
+        solToken: { type: "apiKey", in: "header", name: "X-Sol-Token" },
+        bearerAuth: { type: "http", scheme: "bearer" },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          properties: {
+            ok: { type: "boolean", const: false },
+            error: { type: "string" },
+            code: { type: "string", description: "Stable error code, e.g. object_not_found, validation_error, rate_limited" },
+            message: { type: "string" },
+            hint: { type: "string", description: "What to check or change before retrying" },
+            request_id: { type: "string", description: "Notion's request id, when the error came from Notion" },
+          },
+          required: ["ok", "error"],
+        },
+        ValidationError: {
+          type: "object",
+          properties: {
+            ok: { type: "boolean", const: false },
+            error: { type: "string", description: "validation_failed, or a route-specific code" },
+            details: {
+              type: "array",
+              items: { type: "object", properties: { path: { type: "string" }, message: { type: "string" } } },
+            },
+          },
+          required: ["ok", "error"],
+        },
+      },
+    },
+  };
 }
-const appendBlocks = (headers, pageId, blocks) =>
-  doNotion("patch", `https://api.notion.com/v1/blocks/${pageId}/children`, { headers, data: { children: blocks } });
 
 // Health check
-app.get("/health", (req, res) => {
+api.get("/health", {
+  operationId: "health",
+  responses: {
+    200: okResponse("Service health", {
+      version: STRING, notion: STRING, storage: STRING, notion_databases: OBJECT, search: STRING, auth: STRING,
+      anonymous_scopes: { type: "array", items: STRING },
+      cache: { type: "object", description: "Per cache (schemas, users, pages): ttl_seconds, entries, hits, misses, hit_rate" },
+    }),
+  },
+}, (req, res) => {
   const base = BASE_URL || `${req.protocol}://${req.get("host")}`;
+  const searchProvider = defaultSearchProvider();
   res.json({
     ok: true,
     service: "sol-v3-agent",
     version: VERSION,
     base_url: base,
-    notion: NOTION_KEY ? "configured" : "not_configured",
-    notion_databases: {
-      docs: !!DOCS_DB,
-      roadmap: !!ROADMAP_DB,
-      tasks: !!TASKS_DB,
-    },
-    search: SEARCH_API_KEY ? "configured" : "not_configured",
-    auth: SERVER_TOKEN ? "protected" : "open",
+    notion: storage.configured() ? "configured" : "not_configured",
+    storage: storage.name,
+    notion_databases: Object.fromEntries(DATABASES.map((d) => [d.alias, !!d.id])),
+    search: searchProvider?.available() ? searchProvider.name : "not_configured",
+    auth: API_KEYS.length ? "protected" : "open",
+    anonymous_scopes: ANONYMOUS_KEY.scopes,
+    cache: Object.fromEntries(Object.entries(NOTION_CACHES).map(([name, c]) => [name, c.stats()])),
   });
 });
 
+// Cache flush
+api.post("/cache/flush", {
+  operationId: "flush_cache",
+  description: "Drop cached Notion schemas, user lists and pages so the next reads go to Notion",
+  body: { properties: { cache: { type: "string", enum: Object.keys(NOTION_CACHES), description: "Flush only this cache" } } },
+  responses: { 200: okResponse("Entries dropped per cache", { flushed: OBJECT }) },
+}, requireSolAuth("admin"), (req, res) => {
+  const names = req.body?.cache ? [req.body.cache] : Object.keys(NOTION_CACHES);
+  res.json({ ok: true, flushed: Object.fromEntries(names.map((n) => [n, NOTION_CACHES[n].flush()])) });
+});
+
 // Whoami
-app.get("/whoami", (req, res) => {
-  res.json({ ok: true, ip: req.ip, headers: req.headers });
+api.get("/whoami", {
+  operationId: "whoami",
+  responses: { 200: okResponse("Identity info", { ip: STRING, key: OBJECT, headers: OBJECT }) },
+}, (req, res) => {
+  const key = identifyKey(presentedToken(req));
+  res.json({
+    ok: true,
+    ip: req.ip,
+    key: key ? { name: key.name, scopes: key.scopes, databases: key.databases } : { name: ANONYMOUS_KEY.name, scopes: ANONYMOUS_KEY.scopes },
+    headers: req.headers,
+  });
 });
 
 // Find pages (single merged version with filters + pagination)
-app.post("/find_pages", requireSolAuth, async (req, res) => {
+const FIND_PAGES_MAX = 5000;
+
+api.post("/find_pages", {
+  operationId: "find_pages",
+  body: {
+    properties: {
+      db: DB_ALIAS,
+      page_size: { type: "integer" },
+      start_cursor: { type: "string" },
+      filter: FILTER,
+      sort: SORT,
+      simplify: SIMPLIFY,
+      fetch_all: { type: "boolean", description: "Follow next_cursor until max_results pages are collected" },
+      max_results: { type: "integer", maximum: 5000, description: "Cap for fetch_all (default 1000)" },
+      fields: {
+        description: "Return these properties as flattened plain values instead of the raw properties blob",
+        oneOf: [{ type: "array", items: { type: "string" } }, { type: "string" }],
+      },
+    },
+  },
+  responses: {
+    200: okResponse("Query pages", {
+      database_id: STRING,
+      filter: { ...OBJECT, description: "The compiled filter, when a compact filter string was given" },
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { id: STRING, title: STRING, properties: OBJECT, fields: OBJECT, created_time: STRING, last_edited_time: STRING },
+        },
+      },
+      has_more: { type: "boolean" },
+      next_cursor: { type: ["string", "null"] },
+    }),
+    400: "Invalid compact filter; position and token point at the problem",
+  },
+}, requireSolAuth("read", { db: requestDb }), async (req, res) => {
   try {
     const dbId = getDbId(req.body?.db);
-    if (!NOTION_KEY || !dbId) {
+    if (!storage.configured() || !dbId) {
       return res.json({ ok: true, simulating: true, db: req.body?.db, database_id: dbId });
     }
 
-    const headers = notionHeaders();
-    const { page_size = 25, start_cursor, filter = {}, sort } = req.body || {};
+    const headers = notionHeaders(req.body?.db);
+    const { page_size = 25, start_cursor, filter = {}, sort, fetch_all, max_results, fields, simplify } = req.body || {};
+
+    // The compact filter/sort syntax and field projection need the schema
+    let schema = null;
+    if (typeof filter === "string" || typeof sort === "string" || fields) {
+      const schemaResp = await doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers });
+      schema = schemaResp.data?.properties || {};
+    }
 
-    const queryPayload = { page_size: Math.min(100, page_size) };
+    let projection = null, queryPayload;
+    try {
+      if (fields) {
+        const wanted = Array.isArray(fields) ? fields : String(fields).split(",").map((x) => x.trim()).filter(Boolean);
+        projection = wanted.map((name, i) => resolveQueryProperty(schema, { value: name, text: name, pos: i }));
+      }
+      queryPayload = await buildQueryPayload(schema, headers, { filter, sort });
+    } catch (err) {
+      if (err.code !== "invalid_filter") throw err;
+      return sendError(req, res, httpError(400, { error: "invalid_filter", message: err.message, position: err.position, token: err.token }));
+    }
     if (start_cursor) queryPayload.start_cursor = start_cursor;
-    if (filter && Object.keys(filter).length) queryPayload.filter = filter;
-    if (sort) queryPayload.sorts = sort;
 
-    const resp = await doNotion("post", `https://api.notion.com/v1/databases/${dbId}/query`, {
-      headers,
-      data: queryPayload,
-    });
+    // fetch_all follows next_cursor until the cap is reached
+    const cap = fetch_all ? Math.min(FIND_PAGES_MAX, Number(max_results) || 1000) : Math.min(100, page_size);
+    const { pages, has_more, next_cursor } = await queryDatabasePages(headers, dbId, queryPayload, cap);
 
     const results =
-      resp.data?.results.map((p) => ({
+      pages.map((p) => ({
         id: p.id,
-        title: Object.values(p.properties)
-          .find((x) => x.type === "title")
-          ?.title?.map((t) => t.plain_text)
-          .join(""),
-        properties: p.properties,
+        title: decodeProperty(p.properties[titleKeyOf(req.body?.db, p.properties)]),
+        ...(projection
+          ? { fields: Object.fromEntries(projection.map((k) => [k, decodeProperty(p.properties[k])])) }
+          : { properties: simplify ? decodeProperties(p.properties) : p.properties }),
         last_edited_time: p.last_edited_time,
         created_time: p.created_time,
-      })) || [];
+      }));
 
     res.json({
       ok: true,
       db: req.body?.db,
       database_id: dbId,
+      ...(typeof filter === "string" && { filter: queryPayload.filter || null }),
       results,
-      has_more: resp.data?.has_more,
-      next_cursor: resp.data?.next_cursor,
+      has_more,
+      next_cursor,
     });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Get page
-app.get("/get_page", requireSolAuth, async (req, res) => {
+api.get("/get_page", {
+  operationId: "get_page",
+  query: { required: ["page_id"], properties: { page_id: { type: "string" }, db: PAGE_DB, simplify: SIMPLIFY } },
+  responses: { 200: okResponse("Page properties", { page_id: STRING, properties: OBJECT }) },
+}, requireSolAuth("read"), async (req, res) => {
   try {
     const pageId = req.query.page_id;
-    const headers = notionHeaders();
+    const headers = notionHeaders(req.query.db);
     const resp = await doNotion("get", `https://api.notion.com/v1/pages/${pageId}`, { headers });
-    res.json({ ok: true, page_id: pageId, properties: resp.data?.properties });
+    const simplify = String(req.query.simplify || "").toLowerCase() === "true";
+    const properties = simplify ? decodeProperties(resp.data?.properties) : resp.data?.properties;
+    res.json({ ok: true, page_id: pageId, properties });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Page blocks
-app.get("/page_blocks", requireSolAuth, async (req, res) => {
+api.get("/page_blocks", {
+  operationId: "page_blocks",
+  query: { required: ["page_id"], properties: { page_id: { type: "string" }, db: PAGE_DB } },
+  responses: { 200: okResponse("Block children", { page_id: STRING, blocks: { type: "array", items: OBJECT } }) },
+}, requireSolAuth("read"), async (req, res) => {
   try {
     const pageId = req.query.page_id;
-    const headers = notionHeaders();
+    const headers = notionHeaders(req.query.db);
     const resp = await doNotion("get", `https://api.notion.com/v1/blocks/${pageId}/children`, { headers });
     res.json({ ok: true, page_id: pageId, blocks: resp.data?.results });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Page markdown
-app.get("/page_markdown", requireSolAuth, async (req, res) => {
+api.get("/page_markdown", {
+  operationId: "page_markdown",
+  query: {
+    required: ["page_id"],
+    properties: {
+      page_id: { type: "string" },
+      db: PAGE_DB,
+      front_matter: { type: "boolean", description: "Prepend the page properties as YAML front matter" },
+      max_depth: { type: "integer", minimum: 1, description: "Limit how many levels of nested blocks are rendered" },
+    },
+  },
+  responses: { 200: okResponse("Markdown content", { page_id: STRING, markdown: STRING }) },
+}, requireSolAuth("read"), async (req, res) => {
   try {
     const pageId = req.query.page_id;
-    const headers = notionHeaders();
-    const children = await doNotion("get", `https://api.notion.com/v1/blocks/${pageId}/children`, { headers });
-    const lines = [];
-    for (const b of children.data?.results || []) {
-      const text = (b[b.type]?.rich_text || []).map((x) => x.plain_text).join("");
-      if (b.type === "heading_1") lines.push(`# ${text}`);
-      else if (b.type === "heading_2") lines.push(`## ${text}`);
-      else if (b.type === "heading_3") lines.push(`### ${text}`);
-      else if (b.type === "bulleted_list_item") lines.push(`- ${text}`);
-      else if (b.type === "numbered_list_item") lines.push(`1. ${text}`);
-      else if (b.type === "to_do") lines.push(`- [${b.to_do?.checked ? "x" : " "}] ${text}`);
-      else if (b.type === "paragraph") lines.push(text);
+    const headers = notionHeaders(req.query.db);
+    const maxDepth = req.query.max_depth ? Math.max(1, Number(req.query.max_depth)) : Infinity;
+    const blocks = await fetchBlockTree(headers, pageId, maxDepth);
+
+    let markdown = blocksToMarkdown(blocks);
+    if (String(req.query.front_matter || "").toLowerCase() === "true") {
+      const page = await doNotion("get", `https://api.notion.com/v1/pages/${pageId}`, { headers });
+      markdown = toFrontMatter(decodeProperties(page.data?.properties)) + markdown;
     }
-    res.json({ ok: true, page_id: pageId, markdown: lines.join("\n") });
+    res.json({ ok: true, page_id: pageId, markdown });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Append content
-app.post("/append_task_content", requireSolAuth, async (req, res) => {
+async function appendPageContent(actor, headers, { page_id, content }) {
+  const blocks = buildBlocksFromContent(content);
+  let entry;
+  if (blocks.length) {
+    const created = await appendBlocks(headers, page_id, blocks);
+    entry = recordAudit(actor, { action: "append", page_id, appended: created.map((b) => b.id) });
+  }
+  return { ok: true, page_id, appended: blocks.length, audit_id: entry?.id };
+}
+
+api.post("/append_task_content", {
+  operationId: "append_task_content",
+  body: {
+    required: ["page_id"],
+    properties: { ...ASYNC_PROPS, dry_run: DRY_RUN, page_id: { type: "string" }, db: PAGE_DB, content: PAGE_CONTENT },
+  },
+  responses: {
+    200: okResponse("Appended content", { page_id: STRING, appended: { type: "integer" }, ...AUDITED }),
+    202: JOB_ACCEPTED,
+  },
+}, requireSolAuth("write"), dryRunnable, async (req, res) => {
   try {
-    const { page_id, content } = req.body;
-    const headers = notionHeaders();
-    const blocks = buildBlocksFromContent(content);
-    if (blocks.length) await appendBlocks(headers, page_id, blocks);
-    res.json({ ok: true, page_id, appended: blocks.length });
+    const { page_id, db, content } = req.body;
+    if (queueIfAsync(req, res, "append_task_content", { page_id, db, content })) return;
+    res.json(await appendPageContent(actorOf(req), notionHeaders(db), { page_id, content }));
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Replace page content
-app.post("/replace_page_content", requireSolAuth, async (req, res) => {
+async function replacePageContent(actor, headers, { page_id, content }) {
+  // The whole tree is kept so /undo can put it back
+  const current = await fetchBlockTree(headers, page_id);
+  const entry = recordAudit(actor, { action: "replace", page_id, snapshot: { blocks: current } });
+  await deleteBlocks(headers, current.map((b) => b.id));
+  const blocks = buildBlocksFromContent(content);
+  if (blocks.length) await appendBlocks(headers, page_id, blocks);
+  return { ok: true, page_id, replaced: blocks.length, audit_id: entry.id };
+}
+
+api.post("/replace_page_content", {
+  operationId: "replace_page_content",
+  body: {
+    required: ["page_id"],
+    properties: { ...ASYNC_PROPS, dry_run: DRY_RUN, page_id: { type: "string" }, db: PAGE_DB, content: PAGE_CONTENT },
+  },
+  responses: {
+    200: okResponse("Replaced content", { page_id: STRING, replaced: { type: "integer" }, ...AUDITED }),
+    202: JOB_ACCEPTED,
+  },
+}, requireSolAuth("write"), dryRunnable, async (req, res) => {
+  try {
+    const { page_id, db, content } = req.body;
+    if (queueIfAsync(req, res, "replace_page_content", { page_id, db, content })) return;
+    res.json(await replacePageContent(actorOf(req), notionHeaders(db), { page_id, content }));
+  } catch (e) {
+    sendError(req, res, e);
+  }
+});
+
+// Upsert page
+api.post("/upsert_page", {
+  operationId: "upsert_page",
+  body: {
+    properties: {
+      dry_run: DRY_RUN,
+      db: DB_ALIAS,
+      page_id: { type: "string" },
+      title: { type: "string" },
+      fields: {
+        type: "object",
+        additionalProperties: true,
+        description: "Plain values keyed by property name; converted using the database schema (people by name or email, dates as ISO strings or {start, end, time_zone})",
+      },
+      allow_new_options: {
+        type: "boolean",
+        description: "Create unknown select/multi-select options instead of rejecting them",
+      },
+      match: {
+        description: "Natural key used instead of page_id: updates the single matching page or creates one. Either {property, equals}, an array of those, or a {property: value} map.",
+        anyOf: [
+          {
+            type: "object",
+            properties: { property: { type: "string" }, equals: {} },
+            required: ["property", "equals"],
+          },
+          {
+            type: "array",
+            items: {
+              type: "object",
+              properties: { property: { type: "string" }, equals: {} },
+              required: ["property", "equals"],
+            },
+          },
+          { type: "object", additionalProperties: true },
+        ],
+      },
+      content: PAGE_CONTENT,
+    },
+  },
+  responses: {
+    200: okResponse("Upserted page; mode is update, create, matched or created", {
+      page_id: STRING, mode: STRING, errors: FIELD_ERRORS, ...UPSERT_AUDITED,
+    }),
+    400: "Invalid match",
+    409: "Several pages match; candidates are listed",
+  },
+}, requireSolAuth("write", { db: requestDb }), dryRunnable, async (req, res) => {
   try {
-    const { page_id, content } = req.body;
-    const headers = notionHeaders();
-    const children = await doNotion("get", `https://api.notion.com/v1/blocks/${page_id}/children`, { headers });
-    for (const b of children.data?.results || []) {
-      await doNotion("delete", `https://api.notion.com/v1/blocks/${b.id}`, { headers });
+    const { db, page_id, title, fields, properties, content, allow_new_options, match, ...rest } = req.body || {};
+    // Accept fields, properties, or top-level keys
+    res.json(await upsertPage(req, { db, page_id, title, fields: fields || properties || rest, content, allow_new_options, match }));
+  } catch (e) {
+    sendError(req, res, e);
+  }
+});
+
+// Create or update a database page from plain field values. Shared by /upsert_page and /create_from_template.
+async function upsertPage(req, { db, page_id, title, fields = {}, content, allow_new_options, match }) {
+  const dbId = getDbId(db);
+  const headers = notionHeaders(db);
+
+  const schemaResp = await doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers });
+  const schema = schemaResp.data?.properties || {};
+  const titleKey = titleKeyOf(db, schema);
+
+  const f = { ...(title && titleKey && { [titleKey]: title }), ...fields };
+
+  // Resolve the target page by natural key so repeated calls update instead of duplicating
+  let targetId = page_id;
+  let mode = page_id ? "update" : "create";
+  if (!page_id && match) {
+    const conditions = matchConditions(match);
+    const { filter, errors } = buildMatchFilter(schema, conditions);
+    if (errors.length) throw httpError(400, { error: "invalid_match", errors });
+
+    const found = await doNotion("post", `https://api.notion.com/v1/databases/${dbId}/query`, {
+      headers,
+      data: { filter, page_size: 10 },
+    });
+    const candidates = found.data?.results || [];
+    if (candidates.length > 1) {
+      throw httpError(409, {
+        error: "match_conflict",
+        message: `${candidates.length}${found.data?.has_more ? "+" : ""} pages match; pass page_id or a narrower match`,
+        candidates: candidates.map((p) => ({
+          id: p.id,
+          title: titleKey ? decodeProperty(p.properties?.[titleKey]) : undefined,
+          url: p.url,
+          last_edited_time: p.last_edited_time,
+        })),
+      });
     }
+    targetId = candidates[0]?.id;
+    mode = targetId ? "matched" : "created";
+    // A created page must carry its key so the next call finds it
+    if (!targetId) for (const c of conditions) if (!(c.property in f)) f[c.property] = c.equals;
+  }
+
+  const built = await buildProperties(schema, headers, f, { allowNewOptions: !!allow_new_options });
+  const data = { parent: { database_id: dbId }, properties: built.properties };
+
+  let pageId, entry;
+  if (targetId) {
+    ({ entry } = await auditedPropertyUpdate(req, headers, targetId, data.properties));
+    pageId = targetId;
+  } else {
+    const resp = await doNotion("post", `https://api.notion.com/v1/pages`, { headers, data });
+    pageId = resp.data.id;
+    entry = recordAudit(req, { action: "create", page_id: pageId });
+  }
+
+  const entries = [entry];
+  if (content) {
     const blocks = buildBlocksFromContent(content);
-    if (blocks.length) await appendBlocks(headers, page_id, blocks);
-    res.json({ ok: true, page_id, replaced: blocks.length });
+    if (blocks.length) {
+      const created = await appendBlocks(headers, pageId, blocks);
+      // Appending to an existing page is undone separately from its property update
+      if (targetId) entries.push(recordAudit(req, { action: "append", page_id: pageId, appended: created.map((b) => b.id) }));
+    }
+  }
+
+  const auditIds = entries.filter(Boolean).map((e) => e.id);
+  return {
+    ok: true, page_id: pageId, mode, errors: built.errors, audit_id: entry?.id, ...(auditIds.length > 1 && { audit_ids: auditIds }),
+  };
+}
+
+// Templates
+const TEMPLATE_VARIABLE = {
+  type: "object",
+  properties: {
+    type: { type: "string", enum: Object.keys(TEMPLATE_TYPES) },
+    required: { type: "boolean" },
+    default: {},
+    description: STRING,
+  },
+};
+
+api.get("/templates", {
+  operationId: "templates",
+  responses: {
+    200: okResponse("Templates with their variables; templates that fail to load carry an error instead", {
+      templates: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: STRING,
+            description: STRING,
+            db: STRING,
+            source_page_id: STRING,
+            variables: { type: "object", additionalProperties: TEMPLATE_VARIABLE },
+            error: OBJECT,
+          },
+        },
+      },
+    }),
+  },
+}, requireSolAuth("read"), async (req, res) => {
+  try {
+    const allowed = req.solKey.databases && allowedDbIds(req.solKey);
+    // Allow-listed keys only see templates of their databases; a broken template has none they can be shown
+    const visible = (name) => {
+      try {
+        return allowed.has(dbIdOf(templateDb(name)));
+      } catch {
+        return false;
+      }
+    };
+    const names = templateFiles().map((f) => f.slice(0, -5)).filter((name) => !allowed || visible(name));
+    const templates = [];
+    for (const name of names) {
+      try {
+        const { parts, allow_new_options, ...template } = await loadTemplate(name);
+        templates.push(template);
+      } catch (e) {
+        templates.push({ name, error: describeError(e).body });
+      }
+    }
+    res.json({ ok: true, templates });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
-// Upsert page
-app.post("/upsert_page", requireSolAuth, async (req, res) => {
+api.post("/create_from_template", {
+  operationId: "create_from_template",
+  description: "Fill in a template's variables and create the page through the same path as /upsert_page",
+  body: {
+    required: ["template"],
+    properties: {
+      dry_run: DRY_RUN,
+      template: { type: "string", description: "Template name, as listed by GET /templates" },
+      variables: { type: "object", additionalProperties: true },
+      db: { ...DB_ALIAS, description: "Create the page here instead of in the template's database" },
+    },
+  },
+  responses: {
+    200: okResponse("Page created, or updated when the template's match finds one", {
+      template: STRING, page_id: STRING, mode: STRING, errors: FIELD_ERRORS, ...UPSERT_AUDITED,
+    }),
+    400: "Missing or invalid variables (invalid_variables, with details)",
+    404: "Unknown template",
+  },
+}, requireSolAuth("write", { db: (req) => req.body?.db ?? templateDb(req.body?.template) }), dryRunnable, async (req, res) => {
   try {
-    const { db, page_id, title, fields, properties, content, ...rest } = req.body || {};
-    const dbId = getDbId(db);
-    const headers = notionHeaders();
-
-    const data = { parent: { database_id: dbId }, properties: {} };
+    const { template: name, variables, db } = req.body;
+    const template = await loadTemplate(name);
+    const { title, fields, content, match } = renderTemplate(template, variables);
+    const result = await upsertPage(req, { db: db || template.db, title, fields, content, match, allow_new_options: template.allow_new_options });
+    res.json({ ...result, template: template.name });
+  } catch (e) {
+    sendError(req, res, e);
+  }
+});
 
-    if (title) {
-      const schemaResp = await doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers });
-      const schema = schemaResp.data?.properties || {};
-      const titleKey = Object.keys(schema).find((k) => schema[k].type === "title");
-      if (titleKey) data.properties[titleKey] = { title: [{ text: { content: title } }] };
-    }
+// Helper to build Notion property values from plain values using the database schema.
+// Returns { value } on success or { value: null, error } describing why the field was rejected.
+const READ_ONLY_PROPERTY_TYPES = ["formula", "rollup", "created_time", "created_by", "last_edited_time",
+  "last_edited_by", "unique_id", "verification", "button"];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-    // Accept fields, properties, or top-level keys
-    const f = fields || properties || rest || {};
-    for (const [k, v] of Object.entries(f)) {
-      data.properties[k] = { rich_text: [{ text: { content: String(v) } }] };
-    }
+const listOf = (value) => (Array.isArray(value) ? value : String(value ?? "").split(",").map((v) => v.trim()).filter(Boolean));
+const toBool = (value) =>
+  typeof value === "string" ? ["true", "yes", "y", "1", "on", "checked", "x"].includes(value.trim().toLowerCase()) : Boolean(value);
 
-    let resp;
-    if (page_id) {
-      resp = await doNotion("patch", `https://api.notion.com/v1/pages/${page_id}`, { headers, data: { properties: data.properties } });
-    } else {
-      resp = await doNotion("post", `https://api.notion.com/v1/pages`, { headers, data });
-    }
+// List every workspace user, following next_cursor
+async function listNotionUsers(headers) {
+  const users = [];
+  let cursor;
+  do {
+    const resp = await doNotion("get", `https://api.notion.com/v1/users`, {
+      headers,
+      params: { page_size: 100, ...(cursor && { start_cursor: cursor }) },
+    });
+    users.push(...(resp.data?.results || []));
+    cursor = resp.data?.has_more ? resp.data.next_cursor : null;
+  } while (cursor);
+  return users;
+}
 
-    if (content) {
-      const blocks = buildBlocksFromContent(content);
-      if (blocks.length) await appendBlocks(headers, resp.data.id, blocks);
-    }
+function buildOption(p, key, name, ctx = {}) {
+  const options = p[p.type]?.options;
+  const wanted = String(name).trim();
+  if (!options?.length) return { name: wanted };
+  const match = options.find((o) => o.name === wanted) || options.find((o) => o.name.toLowerCase() === wanted.toLowerCase());
+  if (match) return { name: match.name };
+  // Notion creates missing select options on write; status options can only be changed in the UI
+  if (ctx.allowNewOptions && p.type !== "status") return { name: wanted };
+  const names = options.map((o) => o.name);
+  return {
+    error: {
+      field: key, code: "invalid_option", value: wanted,
+      message: `"${wanted}" is not an option of ${key}`,
+      did_you_mean: didYouMean(wanted, names), options: names,
+    },
+  };
+}
 
-    res.json({ ok: true, page_id: resp.data.id, mode: page_id ? "update" : "create" });
-  } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+function parseDateValue(value) {
+  let date;
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    date = { start: value.start, end: value.end ?? null, ...(value.time_zone && { time_zone: value.time_zone }) };
+  } else if (Array.isArray(value)) {
+    date = { start: value[0], end: value[1] ?? null };
+  } else {
+    // "2024-05-01" or a range written as "2024-05-01/2024-05-03"
+    const [start, end] = String(value).split(/\s*(?:\/|→|\.\.)\s*/);
+    date = { start, end: end || null };
   }
-});
+  if (!ISO_DATE.test(String(date.start || "")) || (date.end && !ISO_DATE.test(String(date.end)))) return null;
+  return date;
+}
 
-// Helper to build Notion property values for update_fields
-async function buildPropertyValue(props, headers, key, value) {
+async function buildPropertyValue(props, headers, key, value, ctx = {}) {
   const p = props[key];
-  if (!p) return { value: null };
+  const fail = (code, message, extra) => ({ value: null, error: { field: key, code, message, ...extra } });
+  if (!p) return fail("unknown_property", `${key} is not a property of this database`, { did_you_mean: didYouMean(key, Object.keys(props)) });
+  if (READ_ONLY_PROPERTY_TYPES.includes(p.type)) return fail("read_only_property", `${key} is a ${p.type} property and cannot be written`);
 
   switch (p.type) {
     case "title":
-      return { value: { title: [{ text: { content: String(value) } }] } };
+      return { value: { title: richText(value ?? "") } };
     case "rich_text":
-      return { value: { rich_text: [{ text: { content: String(value) } }] } };
-    case "number":
-      return { value: { number: Number(value) } };
+      return { value: { rich_text: richText(value ?? "") } };
+    case "number": {
+      if (value === null || value === "") return { value: { number: null } };
+      const n = Number(value);
+      return Number.isFinite(n) ? { value: { number: n } } : fail("invalid_number", `${key} expects a number`);
+    }
     case "checkbox":
-      return { value: { checkbox: Boolean(value) } };
-    case "date":
-      return { value: { date: { start: String(value) } } };
+      return { value: { checkbox: toBool(value) } };
+    case "date": {
+      if (value === null || value === "") return { value: { date: null } };
+      const date = parseDateValue(value);
+      return date ? { value: { date } } : fail("invalid_date", `${key} expects an ISO 8601 date or {start, end, time_zone}`);
+    }
     case "select":
-      return { value: { select: { name: String(value) } } };
-    case "multi_select":
-      return { value: { multi_select: Array.isArray(value) ? value.map((v) => ({ name: String(v) })) : [{ name: String(value) }] } };
-    case "status":
-      return { value: { status: { name: String(value) } } };
+    case "status": {
+      if (value === null || value === "") return { value: { [p.type]: null } };
+      const opt = buildOption(p, key, value, ctx);
+      return opt.error ? { value: null, error: opt.error } : { value: { [p.type]: opt } };
+    }
+    case "multi_select": {
+      const opts = listOf(value).map((v) => buildOption(p, key, v, ctx));
+      const bad = opts.find((o) => o.error);
+      return bad ? { value: null, error: bad.error } : { value: { multi_select: opts } };
+    }
     case "relation":
-      return { value: { relation: Array.isArray(value) ? value.map((id) => ({ id })) : [{ id: String(value) }] } };
+      return { value: { relation: listOf(value).map((id) => ({ id: toDashedUuid(id) })) } };
+    case "people": {
+      const wanted = listOf(value);
+      const people = [];
+      for (const w of wanted) {
+        if (/^[0-9a-f]{32}$/i.test(normId(w))) { people.push({ id: toDashedUuid(w) }); continue; }
+        ctx.users = ctx.users || await listNotionUsers(headers);
+        const needle = String(w).toLowerCase();
+        const user = ctx.users.find((u) => u.person?.email?.toLowerCase() === needle) ||
+          ctx.users.find((u) => u.name?.toLowerCase() === needle);
+        if (!user) {
+          const names = ctx.users.flatMap((u) => [u.name, u.person?.email]).filter(Boolean);
+          return fail("unknown_user", `No workspace user matches "${w}"`, { value: w, did_you_mean: didYouMean(w, names) });
+        }
+        people.push({ id: user.id });
+      }
+      return { value: { people } };
+    }
+    case "url": {
+      if (value === null || value === "") return { value: { url: null } };
+      return /^https?:\/\/\S+$/i.test(String(value)) ? { value: { url: String(value) } } : fail("invalid_url", `${key} expects an http(s) URL`);
+    }
+    case "email": {
+      if (value === null || value === "") return { value: { email: null } };
+      return EMAIL.test(String(value)) ? { value: { email: String(value) } } : fail("invalid_email", `${key} expects an email address`);
+    }
+    case "phone_number":
+      return { value: { phone_number: value === null || value === "" ? null : String(value) } };
+    case "files": {
+      const files = (Array.isArray(value) ? value : [value]).filter(Boolean).map((f) => {
+        const url = typeof f === "string" ? f : f.url || f.external?.url;
+        const name = (typeof f === "object" && f.name) || decodeURIComponent(String(url).split("?")[0].split("/").pop() || "file");
+        return { name: name.slice(0, 100), type: "external", external: { url } };
+      });
+      const bad = files.find((f) => !/^https?:\/\//i.test(String(f.external.url)));
+      return bad ? fail("invalid_file", `${key} expects file URLs`) : { value: { files } };
+    }
     default:
-      return { value: null };
+      return fail("unsupported_property", `${key} has unsupported type ${p.type}`);
+  }
+}
+
+// Build a properties payload from plain fields; rejected fields are collected rather than dropped
+async function buildProperties(props, headers, fields = {}, ctx = {}) {
+  const properties = {};
+  const errors = [];
+  for (const [k, v] of Object.entries(fields)) {
+    const built = await buildPropertyValue(props, headers, k, v, ctx);
+    if (built.value) properties[k] = built.value;
+    else if (built.error) errors.push(built.error);
   }
+  return { properties, errors };
+}
+
+// Normalise `match` into [{ property, equals }]; accepts one condition, an array, or { Name: value } shorthand
+const matchConditions = (match) => {
+  if (Array.isArray(match)) return match.flatMap(matchConditions);
+  if (match && typeof match === "object" && "property" in match) return [{ property: match.property, equals: match.equals }];
+  return Object.entries(match || {}).map(([property, equals]) => ({ property, equals }));
+};
+
+// Build a database query filter that finds pages by natural key
+function buildMatchFilter(props, conditions) {
+  const filters = [];
+  const errors = [];
+  for (const { property, equals } of conditions) {
+    const p = props[property];
+    if (!p) {
+      errors.push({ field: property, code: "unknown_property", message: `${property} is not a property of this database`,
+        did_you_mean: didYouMean(property, Object.keys(props)) });
+      continue;
+    }
+    switch (p.type) {
+      case "title":
+      case "rich_text":
+      case "url":
+      case "email":
+      case "phone_number":
+      case "select":
+      case "status":
+        filters.push({ property, [p.type]: { equals: String(equals) } });
+        break;
+      case "number":
+        filters.push({ property, number: { equals: Number(equals) } });
+        break;
+      case "checkbox":
+        filters.push({ property, checkbox: { equals: toBool(equals) } });
+        break;
+      case "date":
+        filters.push({ property, date: { equals: String(equals?.start ?? equals) } });
+        break;
+      case "multi_select":
+        filters.push({ property, multi_select: { contains: String(equals) } });
+        break;
+      case "relation":
+      case "people":
+        filters.push({ property, [p.type]: { contains: toDashedUuid(equals) } });
+        break;
+      case "unique_id":
+        filters.push({ property, unique_id: { equals: Number(String(equals).replace(/^.*-/, "")) } });
+        break;
+      default:
+        errors.push({ field: property, code: "unsupported_match", message: `Cannot match on ${p.type} property ${property}` });
+    }
+  }
+  if (!filters.length && !errors.length) errors.push({ code: "empty_match", message: "match needs at least one property" });
+  return { filter: filters.length > 1 ? { and: filters } : filters[0], errors };
 }
 
 // Update fields
-app.post("/update_fields", requireSolAuth, async (req, res) => {
+api.post("/update_fields", {
+  operationId: "update_fields",
+  body: {
+    required: ["page_id"],
+    properties: {
+      dry_run: DRY_RUN,
+      db: DB_ALIAS,
+      page_id: { type: "string" },
+      fields: { type: "object", additionalProperties: true },
+    },
+  },
+  responses: {
+    200: okResponse("Updated fields", { page_id: STRING, updated: { type: "array", items: STRING }, errors: FIELD_ERRORS, ...AUDITED }),
+  },
+}, requireSolAuth("write", { db: requestDb }), dryRunnable, async (req, res) => {
   try {
     const { db, page_id, fields, properties, ...rest } = req.body;
     const dbId = getDbId(db);
-    const headers = notionHeaders();
+    const headers = notionHeaders(db);
 
     const schemaResp = await doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers });
     const props = schemaResp.data?.properties || {};
 
     const updates = fields || properties || rest || {};
-    const propertiesPayload = {};
+    const { properties: propertiesPayload, errors } = await buildProperties(props, headers, updates);
 
-    for (const [k, v] of Object.entries(updates)) {
-      const built = await buildPropertyValue(props, headers, k, v);
-      if (built.value) propertiesPayload[k] = built.value;
+    let entry;
+    if (Object.keys(propertiesPayload).length) {
+      ({ entry } = await auditedPropertyUpdate(req, headers, page_id, propertiesPayload));
     }
 
-    const resp = await doNotion("patch", `https://api.notion.com/v1/pages/${page_id}`, {
-      headers,
-      data: { properties: propertiesPayload },
-    });
-
-    res.json({ ok: true, page_id, updated: Object.keys(propertiesPayload) });
+    res.json({ ok: true, page_id, updated: Object.keys(propertiesPayload), errors, audit_id: entry?.id });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Batch update fields
-app.post("/batch_update_fields", requireSolAuth, async (req, res) => {
-  try {
-    const { db, updates } = req.body;
-    const dbId = getDbId(db);
-    const headers = notionHeaders();
+// Batch items may name their own db; the batch db is the default for the rest
+const batchDbs = (req) => {
+  const items = Array.isArray(req.body?.updates) ? req.body.updates : [];
+  const own = items.map((u) => u?.db).filter(Boolean);
+  return req.body?.db || own.length < items.length || !items.length ? [requestDb(req), ...own] : own;
+};
 
-    const schemaResp = await doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers });
-    const props = schemaResp.data?.properties || {};
+async function runBatchUpdate(actor, headers, { db, updates, stop_on_error }, onProgress = () => {}) {
+  // Items in another workspace use its token, and its own user list for people fields
+  const workspaces = new Map();
+  const workspaceFor = (alias) => {
+    const h = alias ? notionHeaders(alias) : headers;
+    if (!workspaces.has(h.Authorization)) workspaces.set(h.Authorization, { headers: h, ctx: {} });
+    return workspaces.get(h.Authorization);
+  };
+  const schemas = new Map();
+  const schemaFor = (alias) => {
+    const dbId = getDbId(alias);
+    if (!schemas.has(dbId)) {
+      schemas.set(dbId, doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers: workspaceFor(alias).headers })
+        .then((r) => r.data?.properties || {}));
+    }
+    return schemas.get(dbId);
+  };
+  let stopped = false;
 
-    const results = [];
+  const results = await mapWithConcurrency(updates, BATCH_CONCURRENCY, async (u, index) => {
+    const { page_id, db: itemDb, fields, properties, ...rest } = u || {};
+    const base = { index, page_id, db: itemDb || db || null };
+    try {
+      if (stopped) return { ...base, status: "skipped", reason: "stopped_on_error" };
+      if (!page_id) return { ...base, status: "failed", code: "missing_page_id", message: "page_id is required" };
 
-    for (const u of updates) {
-      const pageId = u.page_id;
-      const { fields, properties, ...rest } = u;
+      const schema = await schemaFor(itemDb || db);
+      const workspace = workspaceFor(itemDb || db);
       const f = fields || properties || rest || {};
-
-      const propertiesPayload = {};
-      for (const [k, v] of Object.entries(f)) {
-        const built = await buildPropertyValue(props, headers, k, v);
-        if (built.value) propertiesPayload[k] = built.value;
-      }
-
-      if (Object.keys(propertiesPayload).length) {
-        await doNotion("patch", `https://api.notion.com/v1/pages/${pageId}`, {
-          headers,
-          data: { properties: propertiesPayload },
-        });
-        results.push({ page_id: pageId, updated: Object.keys(propertiesPayload) });
+      const { properties: propertiesPayload, errors } = await buildProperties(schema, workspace.headers, f, workspace.ctx);
+      if (!Object.keys(propertiesPayload).length) {
+        return { ...base, status: "skipped", reason: errors.length ? "invalid_fields" : "no_fields", updated: [], errors };
       }
+      const { entry } = await auditedPropertyUpdate(actor, workspace.headers, page_id, propertiesPayload);
+      return { ...base, status: "updated", updated: Object.keys(propertiesPayload), errors, audit_id: entry.id };
+    } catch (e) {
+      if (stop_on_error) stopped = true;
+      const { status, body } = describeError(e);
+      return {
+        ...base,
+        status: "failed",
+        code: body.code,
+        http_status: status,
+        message: body.message,
+        hint: body.hint,
+        request_id: body.request_id,
+      };
+    } finally {
+      onProgress();
     }
+  });
 
-    res.json({ ok: true, results });
+  const summary = { updated: 0, skipped: 0, failed: 0 };
+  for (const r of results) summary[r.status]++;
+  return { ok: summary.failed === 0, summary, results };
+}
+
+api.post("/batch_update_fields", {
+  operationId: "batch_update_fields",
+  body: {
+    required: ["updates"],
+    properties: {
+      dry_run: DRY_RUN,
+      db: { ...DB_ALIAS, description: "Default database for items without their own db" },
+      updates: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            page_id: { type: "string" },
+            db: DB_ALIAS,
+            fields: { type: "object", additionalProperties: true },
+          },
+          required: ["page_id"],
+        },
+      },
+      stop_on_error: { type: "boolean", description: "Skip items not yet started once one fails" },
+      ...ASYNC_PROPS,
+    },
+  },
+  responses: {
+    200: okResponse("Per-item results with status updated, skipped or failed, plus a summary; ok is false if any failed", {
+      summary: { type: "object", properties: { updated: { type: "integer" }, skipped: { type: "integer" }, failed: { type: "integer" } } },
+      results: { type: "array", items: OBJECT },
+    }),
+    202: JOB_ACCEPTED,
+    400: "Missing updates",
+  },
+}, requireSolAuth("write", { db: batchDbs }), dryRunnable, async (req, res) => {
+  try {
+    const { db, updates, stop_on_error } = req.body || {};
+    if (!Array.isArray(updates) || !updates.length) return sendError(req, res, httpError(400, { error: "missing_updates" }));
+    // Large batches can run as a job and be polled at /jobs/:id
+    if (queueIfAsync(req, res, "batch_update_fields", { db, updates, stop_on_error }, updates.length)) return;
+
+    res.json(await runBatchUpdate(actorOf(req), notionHeaders(db), { db, updates, stop_on_error }));
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Memory note (write)
-app.post("/memory_note", requireSolAuth, async (req, res) => {
-  try {
-    const { title, topic, content } = req.body || {};
-    const dbId = getDbId("docs");
-    const headers = notionHeaders();
-
-    const schemaResp = await doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers });
-    const schema = schemaResp.data?.properties || {};
-    const titleKey = Object.keys(schema).find((k) => schema[k].type === "title");
+async function createMemoryNote(headers, { title, topic, fields, content }) {
+  const dbId = getDbId(MEMORY_DB);
+  const schemaResp = await doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers });
+  const schema = schemaResp.data?.properties || {};
+  const titleKey = titleKeyOf(MEMORY_DB, schema);
+  const topicKey = topicKeyOf(MEMORY_DB);
 
-    const data = {
-      parent: { database_id: dbId },
-      properties: {},
-    };
+  const f = { ...fields };
+  if (titleKey) f[titleKey] = title || topic || f[titleKey] || "Memory Note";
+  if (topic && schema[topicKey]) f[topicKey] = topic;
+  // Topics are open-ended, so new select options are created rather than rejected
+  const built = await buildProperties(schema, headers, f, { allowNewOptions: true });
 
-    if (titleKey) data.properties[titleKey] = { title: [{ text: { content: title || topic || "Memory Note" } }] };
-    if (topic && schema["Topic"])
-      data.properties["Topic"] = { rich_text: [{ text: { content: topic } }] };
+  const data = {
+    parent: { database_id: dbId },
+    properties: built.properties,
+  };
 
-    const resp = await doNotion("post", `https://api.notion.com/v1/pages`, { headers, data });
+  const resp = await doNotion("post", `https://api.notion.com/v1/pages`, { headers, data });
 
-    if (content) {
-      const blocks = buildBlocksFromContent(content);
-      if (blocks.length) await appendBlocks(headers, resp.data.id, blocks);
-    }
+  if (content) {
+    const blocks = buildBlocksFromContent(content);
+    if (blocks.length) await appendBlocks(headers, resp.data.id, blocks);
+  }
+  return { page: resp.data, errors: built.errors };
+}
 
-    res.json({ ok: true, page_id: resp.data.id });
+api.post("/memory_note", {
+  operationId: "memory_note",
+  body: {
+    properties: {
+      dry_run: DRY_RUN,
+      title: { type: "string" },
+      topic: { type: "string" },
+      fields: { type: "object", additionalProperties: true },
+      content: PAGE_CONTENT,
+    },
+  },
+  responses: { 200: okResponse("Memory note created", { page_id: STRING, errors: FIELD_ERRORS, ...AUDITED }) },
+}, requireSolAuth("write", { db: MEMORY_DB }), dryRunnable, async (req, res) => {
+  try {
+    const { title, topic, fields, content } = req.body || {};
+    const headers = notionHeaders(MEMORY_DB);
+    const { page, errors } = await createMemoryNote(headers, { title, topic, fields, content });
+    const entry = recordAudit(req, { action: "create", page_id: page.id });
+    res.json({ ok: true, page_id: page.id, errors, audit_id: entry.id });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Memory notes (read by topic)
-app.get("/memory_notes", requireSolAuth, async (req, res) => {
+api.get("/memory_notes", {
+  operationId: "memory_notes",
+  query: { properties: { topic: { type: "string" }, simplify: SIMPLIFY } },
+  responses: { 200: okResponse("List memory notes", { results: { type: "array", items: OBJECT } }) },
+}, requireSolAuth("read", { db: MEMORY_DB }), async (req, res) => {
   try {
-    const dbId = getDbId("docs");
-    const headers = notionHeaders();
+    const dbId = getDbId(MEMORY_DB);
+    const headers = notionHeaders(MEMORY_DB);
     const topic = req.query.topic;
 
-    const filter = topic ? { filter: { property: "Topic", rich_text: { contains: topic } } } : {};
+    const filter = topic ? { filter: { property: topicKeyOf(MEMORY_DB), rich_text: { contains: topic } } } : {};
     const resp = await doNotion("post", `https://api.notion.com/v1/databases/${dbId}/query`, { headers, data: filter });
 
-    res.json({ ok: true, results: resp.data?.results || [] });
+    let results = resp.data?.results || [];
+    if (String(req.query.simplify || "").toLowerCase() === "true") {
+      results = results.map((n) => ({
+        id: n.id,
+        url: n.url,
+        created_time: n.created_time,
+        last_edited_time: n.last_edited_time,
+        properties: decodeProperties(n.properties),
+      }));
+    }
+    res.json({ ok: true, results });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
-// Memory pack export
-app.get("/memory_pack_export", requireSolAuth, async (req, res) => {
+// Memory search (ranked full text)
+api.get("/memory_search", {
+  operationId: "memory_search",
+  description: "BM25-ranked search over memory note titles, properties and content, answered from a local index",
+  query: {
+    required: ["q"],
+    properties: {
+      q: { type: "string" },
+      topic: { type: "string", description: "Only notes with this topic" },
+      from: { type: "string", description: "Only notes created on or after this date (YYYY-MM-DD)" },
+      to: { type: "string", description: "Only notes created on or before this date (YYYY-MM-DD)" },
+      limit: { type: "integer", minimum: 1, maximum: 50, default: 10 },
+      refresh: { type: "boolean", description: "Sync the index with Notion before searching" },
+    },
+  },
+  responses: {
+    200: okResponse("Matching notes, best first, with snippets and topic/month facets", {
+      total: { type: "integer" },
+      results: { type: "array", items: OBJECT },
+      facets: OBJECT,
+      index: { type: "object", description: "documents, refreshed_time, and stale when Notion could not be reached" },
+    }),
+  },
+}, requireSolAuth("read", { db: MEMORY_DB }), async (req, res) => {
   try {
-    const dbId = getDbId("docs");
-    const headers = notionHeaders();
-    const { topic, format = "docx" } = req.query;
+    const { q, topic, from, to, limit = 10, refresh } = req.query;
+    for (const [name, value] of [["from", from], ["to", to]]) {
+      if (value && !ISO_DATE.test(value)) {
+        return sendError(req, res, httpError(400, { error: "invalid_date", param: name, message: `${name} must be an ISO date` }));
+      }
+    }
+    const sync = await ensureSearchIndex(String(refresh).toLowerCase() === "true");
+    res.json({
+      ok: true,
+      query: q,
+      ...searchMemory({ q, topic, from, to, limit: Number(limit) }),
+      index: { documents: searchIndex.docs.size, refreshed_time: searchIndex.refreshed_time, stale: sync.stale },
+    });
+  } catch (e) {
+    sendError(req, res, e);
+  }
+});
 
-    // Query notes
-    const filter = topic ? { filter: { property: "Topic", rich_text: { contains: topic } } } : {};
-    const resp = await doNotion("post", `https://api.notion.com/v1/databases/${dbId}/query`, { headers, data: filter });
-    const notes = resp.data?.results || [];
-
-    // Extract plain text
-    const items = notes.map((n) => {
-      const title = Object.values(n.properties)
-        .find((x) => x.type === "title")
-        ?.title?.map((t) => t.plain_text)
-        .join("") || "Untitled";
-      return `## ${title}`;
+// Memory pack export
+const MEMORY_PACK_FORMATS = ["docx", "pdf", "md", "json", "zip"];
+const UNCATEGORIZED = "Uncategorized";
+
+// Topic filter that matches however the topic property is typed in the docs database
+function topicFilter(schema, topic) {
+  const property = topicKeyOf(MEMORY_DB);
+  const type = schema?.[property]?.type;
+  if (type === "select" || type === "status") return { property, [type]: { equals: topic } };
+  if (type === "multi_select") return { property, multi_select: { contains: topic } };
+  return { property, rich_text: { contains: topic } };
+}
+
+// Note headings are demoted below the topic (#) and note (##) levels of the pack
+function demoteHeading(b) {
+  if (!/^heading_[12]$/.test(b.type)) return b;
+  const { [b.type]: body, ...rest } = b;
+  return { ...rest, type: "heading_3", heading_3: body };
+}
+
+async function loadMemoryNotes(headers, dbId, schema, topic) {
+  const payload = topic ? { filter: topicFilter(schema, topic), sorts: [{ timestamp: "created_time", direction: "ascending" }] }
+    : { sorts: [{ timestamp: "created_time", direction: "ascending" }] };
+  const { pages } = await queryDatabasePages(headers, dbId, payload);
+
+  const notes = [];
+  for (const page of pages) {
+    const properties = decodeProperties(page.properties);
+    const titleKey = titleKeyOf(MEMORY_DB, page.properties);
+    const topics = [].concat(properties[topicKeyOf(MEMORY_DB)] ?? []).map(String).filter(Boolean);
+    notes.push({
+      id: page.id,
+      url: page.url,
+      title: (titleKey && properties[titleKey]) || "Untitled",
+      topic: topics[0] || UNCATEGORIZED,
+      created_time: page.created_time,
+      last_edited_time: page.last_edited_time,
+      properties,
+      blocks: await fetchBlockTree(headers, page.id),
     });
+  }
+  return notes;
+}
 
-    if (!items.length) return res.json({ ok: true, count: 0, message: "No memory notes found" });
+// [{ topic, notes }] sorted by topic, with uncategorized notes last
+function groupByTopic(notes) {
+  const groups = new Map();
+  for (const n of notes) {
+    if (!groups.has(n.topic)) groups.set(n.topic, []);
+    groups.get(n.topic).push(n);
+  }
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === UNCATEGORIZED) - (b === UNCATEGORIZED) || a.localeCompare(b))
+    .map(([topic, list]) => ({ topic, notes: list }));
+}
 
-    const safe = safeName(topic ? `memory_pack_${topic}` : "memory_pack_all");
-    const filePath = filePathFor(`${safe}.${format}`);
-    const url = makePublicURL(req, `${safe}.${format}`);
+const noteMeta = (n) => `Topic: ${n.topic} · Created: ${n.created_time?.slice(0, 10)} · Updated: ${n.last_edited_time?.slice(0, 10)}`;
 
-    if (format === "docx") {
-      const doc = new Document({
-        sections: [
-          {
-            children: items.map((t) => new Paragraph({ children: [new TextRun(t)] })),
-          },
-        ],
-      });
-      const buffer = await Packer.toBuffer(doc);
-      fs.writeFileSync(filePath, buffer);
-    } else if (format === "md") {
-      fs.writeFileSync(filePath, items.join("\n\n"));
-    } else {
-      return res.status(400).json({ ok: false, error: "unsupported_format" });
+function memoryPackBlocks(groups) {
+  const blocks = [];
+  for (const group of groups) {
+    blocks.push(mdBlock("heading_1", { rich_text: richText(group.topic) }));
+    for (const n of group.notes) {
+      blocks.push(mdBlock("heading_2", { rich_text: richText(n.title) }));
+      blocks.push(mdBlock("paragraph", { rich_text: textRuns(noteMeta(n), { italic: true }) }));
+      blocks.push(...n.blocks.map(demoteHeading));
+    }
+  }
+  return blocks;
+}
+
+// One Markdown file per note, in a folder per topic, with an index linking them
+async function writeMemoryPackZip(filePath, title, groups) {
+  const zip = new JSZip();
+  const index = [`# ${title}`, ""];
+  for (const group of groups) {
+    const dir = safeName(group.topic);
+    index.push(`## ${group.topic}`, "");
+    const used = new Set();
+    for (const n of group.notes) {
+      let name = safeName(n.title) || "Untitled";
+      if (used.has(name)) name = `${name}_${n.id.replace(/-/g, "").slice(0, 8)}`;
+      used.add(name);
+      const front = toFrontMatter({ title: n.title, topic: n.topic, created_time: n.created_time, last_edited_time: n.last_edited_time, url: n.url });
+      zip.file(`${dir}/${name}.md`, `${front}# ${n.title}\n\n${blocksToMarkdown(n.blocks)}\n`);
+      index.push(`- [${n.title}](${encodeURI(`${dir}/${name}.md`)})`);
     }
+    index.push("");
+  }
+  zip.file("index.md", index.join("\n"));
+  fs.writeFileSync(filePath, await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" }));
+}
+
+async function exportMemoryPack(actor, headers, { topic, format = "docx" }) {
+  if (!MEMORY_PACK_FORMATS.includes(format)) throw httpError(400, { error: "unsupported_format" });
+  const dbId = getDbId(MEMORY_DB);
+
+  // Query every matching note, with its full content
+  const schemaResp = await doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers });
+  const notes = await loadMemoryNotes(headers, dbId, schemaResp.data?.properties || {}, topic);
+
+  if (!notes.length) return { ok: true, count: 0, message: "No memory notes found" };
+
+  const groups = groupByTopic(notes);
+  const title = topic ? `Memory Pack: ${topic}` : "Memory Pack";
+  const safe = safeName(topic ? `memory_pack_${topic}` : "memory_pack_all");
+  const filePath = filePathFor(`${safe}.${format}`);
+  const url = makePublicURL(actor.base_url, `${safe}.${format}`);
+
+  if (format === "json") {
+    const pack = {
+      title,
+      generated_at: new Date().toISOString(),
+      count: notes.length,
+      topics: groups.map((g) => ({
+        topic: g.topic,
+        notes: g.notes.map(({ blocks, ...n }) => ({ ...n, markdown: blocksToMarkdown(blocks) })),
+      })),
+    };
+    fs.writeFileSync(filePath, JSON.stringify(pack, null, 2));
+  } else if (format === "zip") {
+    await writeMemoryPackZip(filePath, title, groups);
+  } else {
+    const blocks = memoryPackBlocks(groups);
+    const markdown = blocksToMarkdown(blocks);
+    if (format !== "md") await embedImages(blocks);
+    await renderDocument(format, filePath, { title, markdown, blocks, options: { title_page: true, toc: true } });
+  }
 
-    res.json({ ok: true, count: items.length, format, doc_url: url });
+  return {
+    ok: true,
+    count: notes.length,
+    topics: groups.map((g) => ({ topic: g.topic, count: g.notes.length })),
+    format,
+    doc_url: url,
+  };
+}
+
+api.get("/memory_pack_export", {
+  operationId: "memory_pack_export",
+  query: {
+    properties: {
+      topic: { type: "string" },
+      format: {
+        type: "string",
+        enum: MEMORY_PACK_FORMATS,
+        default: "docx",
+        description: "zip holds one Markdown file per note, grouped in a folder per topic, plus index.md",
+      },
+      ...ASYNC_PROPS,
+    },
+  },
+  responses: {
+    200: okResponse("Exported memory pack with full note content, grouped by topic", {
+      count: { type: "integer" }, topics: { type: "array", items: OBJECT }, format: STRING, doc_url: STRING,
+    }),
+    202: JOB_ACCEPTED,
+    400: "Unsupported format",
+  },
+}, requireSolAuth("export", { db: MEMORY_DB }), async (req, res) => {
+  try {
+    const { topic, format = "docx" } = req.query;
+    if (!MEMORY_PACK_FORMATS.includes(format)) return sendError(req, res, httpError(400, { error: "unsupported_format" }));
+    if (queueIfAsync(req, res, "memory_pack_export", { topic, format })) return;
+    res.json(await exportMemoryPack(actorOf(req), notionHeaders(MEMORY_DB), { topic, format }));
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Memory delete
-app.post("/memory_delete", requireSolAuth, async (req, res) => {
+api.post("/memory_delete", {
+  operationId: "memory_delete",
+  body: { required: ["page_id"], properties: { dry_run: DRY_RUN, page_id: { type: "string" } } },
+  responses: {
+    200: okResponse("Memory deleted", { page_id: STRING, deleted: { type: "boolean" }, ...AUDITED }),
+    404: "Not a page of the memory database",
+  },
+}, requireSolAuth("delete", { db: MEMORY_DB }), dryRunnable, async (req, res) => {
   try {
     const { page_id } = req.body;
-    if (!page_id) return res.status(400).json({ ok: false, error: "missing_page_id" });
+    if (!page_id) return sendError(req, res, httpError(400, { error: "missing_page_id" }));
 
-    const headers = notionHeaders();
-    await doNotion("patch", `https://api.notion.com/v1/pages/${page_id}`, {
-      headers,
-      data: { archived: true }
-    });
+    const headers = notionHeaders(MEMORY_DB);
+    // Only memory notes: other pages are deleted through /delete_page
+    const page = await doNotion("get", `https://api.notion.com/v1/pages/${page_id}`, { headers });
+    if (normId(page.data?.parent?.database_id) !== normId(getDbId(MEMORY_DB))) {
+      throw httpError(404, { error: "memory_not_found", message: `${page_id} is not a memory note`, page_id });
+    }
+    const entry = await auditedArchive(req, headers, page_id);
 
-    res.json({ ok: true, page_id, deleted: true });
+    res.json({ ok: true, page_id, deleted: true, audit_id: entry.id });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Generate document
-app.post("/generate_document", requireSolAuth, async (req, res) => {
-  try {
-    const { title, content, format } = req.body || {};
-    if (!title || !content || !format) return res.status(400).json({ ok: false, error: "missing_inputs" });
-
-    const safe = safeName(title);
-    const filePath = filePathFor(`${safe}.${format}`);
-    const url = makePublicURL(req, `${safe}.${format}`);
-
-    if (format === "pdf") {
-      const doc = new PDFDocument();
-      doc.pipe(fs.createWriteStream(filePath));
-      doc.text(content);
-      doc.end();
-    } else if (format === "pptx") {
-      const pptx = new PPTXGenJS();
-      const slide = pptx.addSlide();
-      slide.addText(content, { x: 1, y: 1, fontSize: 18, color: "363636" });
-      await pptx.writeFile(filePath);
-    } else if (format === "docx") {
-      const doc = new Document({
-        sections: [{ children: [new Paragraph({ children: [new TextRun(content)] })] }],
-      });
-      const buffer = await Packer.toBuffer(doc);
-      fs.writeFileSync(filePath, buffer);
-    } else if (format === "md") {
-      fs.writeFileSync(filePath, content);
-    } else {
-      return res.status(400).json({ ok: false, error: "unsupported_format" });
+async function generateDocument(actor, { title, content, outline, format, options = {} }) {
+  // Content is Markdown; a structured outline (or object content) is converted to Markdown first
+  const markdown = typeof content === "string" ? content : outlineToMarkdown(outline || content);
+  const blocks = documentBlocks(markdown);
+
+  const safe = safeName(title);
+  const filePath = filePathFor(`${safe}.${format}`);
+  const url = makePublicURL(actor.base_url, `${safe}.${format}`);
+
+  await renderDocument(format, filePath, { title, markdown, blocks, options });
+
+  return { ok: true, title, format, doc_url: url };
+}
+
+api.post("/generate_document", {
+  operationId: "generate_document",
+  body: {
+    required: ["title", "format"],
+    properties: {
+      ...ASYNC_PROPS,
+      title: { type: "string" },
+      content: {
+        type: ["string", "object"],
+        description: "Markdown (an outline object is also accepted). In PPTX each ## section becomes a slide; a line containing only \\pagebreak starts a new page or slide.",
+      },
+      outline: {
+        type: "object",
+        description: "Structured alternative to content",
+        properties: {
+          sections: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                title: { type: "string" },
+                body: { type: "string" },
+                bullets: { type: "array", items: { type: "string" } },
+                sections: { type: "array", items: { type: "object" } },
+              },
+            },
+          },
+        },
+      },
+      format: { type: "string", enum: DOCUMENT_FORMATS },
+      options: {
+        type: "object",
+        properties: {
+          title_page: { type: "boolean", description: "Defaults to true for pptx, false otherwise" },
+          subtitle: { type: "string" },
+          author: { type: "string" },
+          toc: { type: "boolean" },
+          header: { type: "string" },
+          footer: { type: "string" },
+          page_numbers: { type: "boolean" },
+        },
+      },
+    },
+  },
+  responses: { 200: okResponse("Generated document", DOC_RESULT), 202: JOB_ACCEPTED },
+}, requireSolAuth("export"), async (req, res) => {
+  try {
+    const { title, content, outline, format, options = {} } = req.body || {};
+    if (!title || !(content || outline) || !format) return sendError(req, res, httpError(400, { error: "missing_inputs" }));
+    if (!DOCUMENT_FORMATS.includes(format)) return sendError(req, res, httpError(400, { error: "unsupported_format" }));
+
+    const params = { title, content, outline, format, options };
+    if (queueIfAsync(req, res, "generate_document", params)) return;
+    res.json(await generateDocument(actorOf(req), params));
+  } catch (e) {
+    sendError(req, res, e);
+  }
+});
+
+// Generate a document from existing Notion pages
+const GENERATE_PAGES_MAX = 100;
+
+// Decoded property value → one line of text for a metadata table
+function propertyText(v) {
+  if (v == null || v === "") return "";
+  if (Array.isArray(v)) return v.map((x) => (x && typeof x === "object" ? x.name || x.url || JSON.stringify(x) : String(x))).join(", ");
+  if (typeof v === "object") {
+    if ("start" in v) return v.end ? `${v.start} → ${v.end}` : String(v.start ?? "");
+    return Object.entries(v).map(([k, x]) => `${k}: ${propertyText(x)}`).join("; ");
+  }
+  if (typeof v === "boolean") return v ? "Yes" : "No";
+  return String(v);
+}
+
+function propertyTableBlock(properties, include) {
+  const rows = Object.entries(properties || {})
+    .filter(([k, p]) => p.type !== "title" && (!Array.isArray(include) || include.includes(k)))
+    .map(([k, p]) => [k, propertyText(decodeProperty(p))]);
+  if (!rows.length) return null;
+  const row = (cells) => mdBlock("table_row", { cells: cells.map((c) => richText(c)) });
+  return mdBlock("table", { table_width: 2, has_column_header: true, has_row_header: false },
+    [row(["Property", "Value"]), ...rows.map(row)]);
+}
+
+async function generatePagesDocument(actor, headers, params) {
+  const { page_ids, page_id, db, filter, sort, max_pages = 25, title, format, options = {}, include_properties } = params;
+  const cap = Math.min(GENERATE_PAGES_MAX, Math.max(1, Number(max_pages) || 25));
+
+  // Pages come from explicit ids, or from a database query
+  let pages;
+  const ids = [].concat(page_ids || page_id || []);
+  if (ids.length) {
+    pages = [];
+    for (const id of ids.slice(0, cap)) {
+      const resp = await doNotion("get", `https://api.notion.com/v1/pages/${id}`, { headers });
+      pages.push(resp.data);
     }
+  } else {
+    const dbId = getDbId(db);
+    if (!dbId) throw httpError(400, { error: "unknown_db", db });
+    let payload;
+    try {
+      let schema = null;
+      if (typeof filter === "string" || typeof sort === "string") {
+        const schemaResp = await doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers });
+        schema = schemaResp.data?.properties || {};
+      }
+      payload = await buildQueryPayload(schema, headers, { filter, sort });
+    } catch (err) {
+      if (err.code !== "invalid_filter") throw err;
+      throw httpError(400, { error: "invalid_filter", message: err.message, position: err.position, token: err.token });
+    }
+    ({ pages } = await queryDatabasePages(headers, dbId, payload, cap));
+  }
+  if (!pages.length) throw httpError(404, { error: "no_pages" });
+
+  const pageTitle = (p) => plainText(Object.values(p.properties || {}).find((x) => x.type === "title")?.title) || "Untitled";
+  const blocks = [];
+  for (const [i, page] of pages.entries()) {
+    if (pages.length > 1) {
+      if (i > 0) blocks.push({ type: "page_break" });
+      blocks.push(mdBlock("heading_1", { rich_text: richText(pageTitle(page)) }));
+    }
+    if (include_properties) {
+      const table = propertyTableBlock(page.properties, include_properties);
+      if (table) blocks.push(table);
+    }
+    blocks.push(...(await fetchBlockTree(headers, page.id)));
+  }
+
+  const docTitle = title || (pages.length === 1 ? pageTitle(pages[0]) : "Notion Export");
+  const markdown = blocksToMarkdown(blocks);
+  if (format !== "md") await embedImages(blocks);
+
+  const safe = safeName(docTitle);
+  const filePath = filePathFor(`${safe}.${format}`);
+  const url = makePublicURL(actor.base_url, `${safe}.${format}`);
+
+  await renderDocument(format, filePath, { title: docTitle, markdown, blocks, options });
+
+  return {
+    ok: true,
+    title: docTitle,
+    format,
+    pages: pages.map((p) => ({ id: p.id, title: pageTitle(p), url: p.url })),
+    doc_url: url,
+  };
+}
+
+api.post("/generate_from_pages", {
+  operationId: "generate_from_pages",
+  body: {
+    required: ["format"],
+    properties: {
+      ...ASYNC_PROPS,
+      page_ids: { type: "array", items: { type: "string" } },
+      page_id: { type: "string" },
+      db: { ...DB_ALIAS, description: "Query this database instead of giving page ids" },
+      filter: {
+        oneOf: [{ type: "string" }, { type: "object" }],
+        description: "Compact filter string or raw Notion filter, as in find_pages",
+      },
+      sort: { oneOf: [{ type: "string" }, { type: "array", items: { type: "object" } }] },
+      max_pages: { type: "integer", default: 25, maximum: 100 },
+      title: { type: "string", description: "Defaults to the page title, or \"Notion Export\" for several pages" },
+      format: { type: "string", enum: DOCUMENT_FORMATS },
+      include_properties: {
+        oneOf: [{ type: "boolean" }, { type: "array", items: { type: "string" } }],
+        description: "Add a property table under each page; an array limits it to those properties",
+      },
+      options: { type: "object", description: "Same options as generate_document" },
+    },
+  },
+  responses: {
+    200: okResponse("Generated document", { ...DOC_RESULT, pages: { type: "array", items: OBJECT } }),
+    202: JOB_ACCEPTED,
+    400: "Missing inputs, unsupported format or invalid filter",
+    404: "No pages matched",
+  },
+}, requireSolAuth("export", { db: (req) => (req.body?.page_ids || req.body?.page_id ? null : req.body?.db) }), async (req, res) => {
+  try {
+    const { page_ids, page_id, db, filter, sort, max_pages, title, format, options, include_properties } = req.body || {};
+    if (!format || !(page_ids || page_id || db)) return sendError(req, res, httpError(400, { error: "missing_inputs" }));
+    if (!DOCUMENT_FORMATS.includes(format)) return sendError(req, res, httpError(400, { error: "unsupported_format" }));
 
-    res.json({ ok: true, title, format, doc_url: url });
+    const params = { page_ids, page_id, db, filter, sort, max_pages, title, format, options, include_properties };
+    if (queueIfAsync(req, res, "generate_from_pages", params)) return;
+    res.json(await generatePagesDocument(actorOf(req), notionHeaders(db), params));
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Delete page
-app.post("/delete_page", requireSolAuth, async (req, res) => {
+api.post("/delete_page", {
+  operationId: "delete_page",
+  body: { required: ["page_id"], properties: { dry_run: DRY_RUN, page_id: { type: "string" }, db: PAGE_DB } },
+  responses: { 200: okResponse("Deleted page", { page_id: STRING, deleted: { type: "boolean" }, ...AUDITED }) },
+}, requireSolAuth("delete"), dryRunnable, async (req, res) => {
   try {
     const { page_id } = req.body;
-    const headers = notionHeaders();
-    if (!page_id) return res.status(400).json({ ok: false, error: "missing_page_id" });
+    const headers = notionHeaders(req.body.db);
+    if (!page_id) return sendError(req, res, httpError(400, { error: "missing_page_id" }));
 
-    await doNotion("patch", `https://api.notion.com/v1/pages/${page_id}`, {
-      headers,
-      data: { archived: true },
+    const entry = await auditedArchive(req, headers, page_id);
+
+    res.json({ ok: true, page_id, deleted: true, audit_id: entry.id });
+  } catch (e) {
+    sendError(req, res, e);
+  }
+});
+
+// Audit log
+const AUDIT_LIST_MAX = 500;
+
+api.get("/audit", {
+  operationId: "list_audit",
+  description: "Recent mutating operations, newest first. Keys without the admin scope only see their own entries.",
+  query: {
+    properties: {
+      key: { type: "string" },
+      route: { type: "string" },
+      page_id: { type: "string" },
+      action: { type: "string", enum: ["create", "update", "append", "replace", "archive", "undo"] },
+      since: { type: "string", format: "date-time" },
+      limit: { type: "integer", default: 50, maximum: 500 },
+      include_snapshot: { type: "boolean" },
+    },
+  },
+  responses: { 200: okResponse("Audit entries", { entries: { type: "array", items: OBJECT } }) },
+}, requireSolAuth("read"), async (req, res) => {
+  try {
+    const { key, route, page_id, action, since, include_snapshot } = req.query;
+    const limit = Math.min(AUDIT_LIST_MAX, Math.max(1, Number(req.query.limit) || 50));
+    // Only admin keys see other keys' entries
+    const ownKey = hasScope(req, "admin") ? key : req.solKey.name;
+    const entries = readAudit((e) =>
+      (!ownKey || e.key === ownKey) &&
+      (!route || e.route === route || e.route === `/${route}`) &&
+      (!page_id || normId(e.page_id) === normId(page_id)) &&
+      (!action || e.action === action) &&
+      (!since || e.time >= since), limit);
+    const withSnapshot = String(include_snapshot || "").toLowerCase() === "true";
+    res.json({ ok: true, entries: withSnapshot ? entries : entries.map(({ snapshot, ...e }) => ({ ...e, has_snapshot: !!snapshot })) });
+  } catch (e) {
+    sendError(req, res, e);
+  }
+});
+
+// Undo a recorded operation
+api.post("/undo", {
+  operationId: "undo",
+  description: "Revert an audited operation: restore replaced content or properties, unarchive a deleted page, archive a created page, or remove appended blocks.",
+  body: { required: ["audit_id"], properties: { audit_id: { type: "string" }, db: PAGE_DB } },
+  responses: {
+    200: okResponse("Operation reverted", { audit_id: STRING, action: STRING, page_id: STRING, undo_id: STRING }),
+    400: "Entry cannot be undone",
+    404: "No such audit entry",
+    409: "Already undone",
+  },
+}, requireSolAuth("write"), async (req, res) => {
+  try {
+    const { audit_id } = req.body || {};
+    if (!audit_id) return sendError(req, res, httpError(400, { error: "missing_audit_id" }));
+
+    const [entry] = readAudit((e) => e.id === audit_id, 1);
+    if (!entry || (entry.key !== req.solKey.name && !hasScope(req, "admin"))) {
+      return sendError(req, res, httpError(404, { error: "audit_entry_not_found", audit_id }));
+    }
+    if (entry.undone_by) return sendError(req, res, httpError(409, { error: "already_undone", audit_id, undone_by: entry.undone_by }));
+    // Restoring an archived page needs the same scope as archiving it
+    if (entry.action === "archive" && !hasScope(req, "delete")) {
+      return sendError(req, res, httpError(403, { error: "forbidden", scope: "delete" }));
+    }
+
+    const headers = notionHeaders(req.body.db);
+    let result;
+    try {
+      result = await undoAuditEntry(req, headers, entry);
+    } catch (err) {
+      if (err.code !== "not_undoable") throw err;
+      return sendError(req, res, httpError(400, { error: "not_undoable", message: err.message }));
+    }
+    res.json({ ok: true, audit_id, action: entry.action, page_id: entry.page_id, ...result });
+  } catch (e) {
+    sendError(req, res, e);
+  }
+});
+
+// Job status
+api.get("/jobs/:id", {
+  operationId: "get_job",
+  description: "Status, progress, attempts and result (or error) of a job started with async: true",
+  params: { required: ["id"], properties: { id: { type: "string" } } },
+  responses: { 200: okResponse("Job status, progress and result", { job: OBJECT }), 404: "No such job" },
+}, requireSolAuth("read"), (req, res) => {
+  const job = jobs.get(req.params.id);
+  // Jobs are visible to the key that started them (and admin keys)
+  if (!job || (job.key !== req.solKey.name && !hasScope(req, "admin"))) {
+    return sendError(req, res, httpError(404, { error: "job_not_found", job_id: req.params.id }));
+  }
+  res.json({ ok: true, job: publicJob(job) });
+});
+
+// Change feed
+const CHANGE_EVENT = {
+  type: "object",
+  properties: {
+    id: STRING,
+    seq: { type: "integer", description: "Increases by one per event; pass as since to read on from here" },
+    time: STRING,
+    type: { type: "string", enum: CHANGE_TYPES },
+    db: STRING,
+    database_id: STRING,
+    page_id: STRING,
+    title: STRING,
+    url: STRING,
+    last_edited_time: STRING,
+    changes: { type: "object", description: "page.updated: { property: { from, to } } with plain values" },
+    properties: { type: "object", description: "page.created: the page's plain property values" },
+  },
+};
+
+api.get("/changes", {
+  operationId: "list_changes",
+  description: "Page events from the watched databases, oldest first. Keys with a database allow-list see only those databases.",
+  query: {
+    properties: {
+      since: { type: "string", description: "Event seq (returned as cursor) or ISO time; only later events are returned" },
+      db: DB_ALIAS,
+      type: { type: "string", enum: CHANGE_TYPES },
+      limit: { type: "integer", minimum: 1, maximum: 1000, default: 100 },
+    },
+  },
+  responses: {
+    200: okResponse("Events after since", {
+      events: { type: "array", items: CHANGE_EVENT },
+      cursor: { type: "integer", description: "Seq of the last event returned; pass as since for the next page" },
+      has_more: { type: "boolean" },
+    }),
+    400: "Invalid since",
+  },
+}, requireSolAuth("read", { db: (req) => req.query.db ?? null }), (req, res) => {
+  try {
+    const { since = "", db, type } = req.query;
+    const limit = Number(req.query.limit) || 100;
+    const afterSeq = /^\d+$/.test(since) ? Number(since) : 0;
+    const afterTime = since && !afterSeq && since !== "0" ? new Date(since) : null;
+    if (afterTime && isNaN(afterTime)) {
+      return sendError(req, res, httpError(400, { error: "invalid_since", message: "since must be an event seq or an ISO time" }));
+    }
+    const dbId = db && getDbId(db);
+    const allowed = req.solKey.databases && allowedDbIds(req.solKey);
+    const events = readChanges({
+      afterSeq,
+      afterTime: afterTime?.toISOString(),
+      limit: limit + 1,
+      match: (e) => (!dbId || e.database_id === dbId) && (!type || e.type === type) && (!allowed || allowed.has(normId(e.database_id))),
     });
+    const page = events.slice(0, limit);
+    res.json({ ok: true, events: page, cursor: page.at(-1)?.seq ?? afterSeq, has_more: events.length > limit });
+  } catch (e) {
+    sendError(req, res, e);
+  }
+});
+
+api.post("/changes/poll", {
+  operationId: "poll_changes",
+  description: "Poll the watched databases now instead of waiting for the watcher",
+  body: { properties: { full: { type: "boolean", description: "List every page, which also notices archived pages" } } },
+  responses: { 200: okResponse("Events recorded per database", { full: { type: "boolean" }, databases: { type: "array", items: OBJECT } }) },
+}, requireSolAuth("admin"), async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await pollChanges({ full: req.body?.full === true })) });
+  } catch (e) {
+    sendError(req, res, e);
+  }
+});
+
+// Webhooks
+const WEBHOOK = {
+  type: "object",
+  properties: {
+    id: STRING,
+    url: STRING,
+    events: { type: "array", items: STRING },
+    databases: { type: "array", items: STRING },
+    created_time: STRING,
+    cursor: { type: "integer" },
+    delivered: { type: "integer" },
+    failed: { type: "integer" },
+    last_delivery: { type: ["object", "null"] },
+  },
+};
+
+api.post("/webhooks", {
+  operationId: "create_webhook",
+  description: "Register a URL that receives each change event as a POST signed with X-Sol-Signature: t=<unix>,v1=<HMAC-SHA256 of \"<t>.<body>\">. Only events after registration are sent.",
+  body: {
+    required: ["url"],
+    properties: {
+      url: { type: "string" },
+      events: { type: "array", items: { type: "string", enum: CHANGE_TYPES }, description: "Only these event types (default all)" },
+      databases: { type: "array", items: DB_ALIAS, description: "Only these databases (default all watched)" },
+      secret: { type: "string", minLength: 16, description: "Signing secret; generated when omitted" },
+    },
+  },
+  responses: { 200: okResponse("Registered; the secret is only shown here", { webhook: WEBHOOK, secret: STRING }) },
+}, requireSolAuth("admin"), (req, res) => {
+  try {
+    const { url, events = [], databases = [], secret } = req.body;
+    if (!/^https?:\/\//i.test(url)) return sendError(req, res, httpError(400, { error: "invalid_url" }));
+    const hook = {
+      id: crypto.randomUUID(),
+      url,
+      secret: secret || crypto.randomBytes(32).toString("hex"),
+      events,
+      databases,
+      key: req.solKey.name,
+      created_time: new Date().toISOString(),
+      cursor: loadChangeState().seq,
+      delivered: 0,
+      failed: 0,
+      last_delivery: null,
+    };
+    loadWebhooks().push(hook);
+    saveWebhooks();
+    res.json({ ok: true, webhook: publicWebhook(hook), secret: hook.secret });
+  } catch (e) {
+    sendError(req, res, e);
+  }
+});
+
+api.get("/webhooks", {
+  operationId: "list_webhooks",
+  responses: { 200: okResponse("Registered webhooks, without their secrets", { webhooks: { type: "array", items: WEBHOOK } }) },
+}, requireSolAuth("admin"), (req, res) => {
+  res.json({ ok: true, webhooks: loadWebhooks().map(publicWebhook) });
+});
+
+api.post("/webhooks/delete", {
+  operationId: "delete_webhook",
+  body: { required: ["webhook_id"], properties: { webhook_id: { type: "string" } } },
+  responses: { 200: okResponse("Webhook removed", { webhook_id: STRING }), 404: "No such webhook" },
+}, requireSolAuth("admin"), (req, res) => {
+  try {
+    const { webhook_id } = req.body;
+    const i = loadWebhooks().findIndex((h) => h.id === webhook_id);
+    if (i < 0) return sendError(req, res, httpError(404, { error: "webhook_not_found", webhook_id }));
+    webhooks.splice(i, 1);
+    saveWebhooks();
+    res.json({ ok: true, webhook_id });
+  } catch (e) {
+    sendError(req, res, e);
+  }
+});
+
+// Databases
+// A database's schema from the schema cache; refresh fetches it again
+async function databaseSchema(entry, refresh) {
+  const headers = notionHeaders(entry.alias);
+  if (refresh) NOTION_CACHES.schemas.delete(cacheKey(entry.id, headers));
+  const resp = await doNotion("get", `https://api.notion.com/v1/databases/${entry.id}`, { headers });
+  return {
+    title: plainText(resp.data?.title),
+    properties: resp.data?.properties || {},
+    fetched_time: NOTION_CACHES.schemas.peek(cacheKey(entry.id, headers))?.time ?? new Date().toISOString(),
+  };
+}
 
-    res.json({ ok: true, page_id, deleted: true });
+api.get("/databases", {
+  operationId: "list_databases",
+  description: "Configured database aliases and their schemas (from the schema cache). Keys with a database allow-list see only those databases.",
+  query: { properties: { refresh: { type: "boolean", description: "Fetch every schema again instead of using the cached one" } } },
+  responses: {
+    200: okResponse("Configured databases", {
+      databases: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            alias: STRING,
+            aliases: { type: "array", items: STRING },
+            database_id: { type: ["string", "null"] },
+            default: { type: "boolean" },
+            own_token: { type: "boolean", description: "Uses its own integration token rather than NOTION_KEY" },
+            watch: { type: "boolean", description: "Polled for the change feed" },
+            memory: { type: "boolean", description: "Holds the memory notes" },
+            title_property: { type: ["string", "null"] },
+            topic_property: STRING,
+            title: { type: ["string", "null"] },
+            schema: { type: ["object", "null"] },
+            schema_fetched_time: { type: ["string", "null"] },
+            error: { ...ERROR_SCHEMA, description: "Why the schema could not be fetched" },
+          },
+        },
+      },
+    }),
+  },
+}, requireSolAuth("read"), async (req, res) => {
+  try {
+    const refresh = String(req.query.refresh || "").toLowerCase() === "true";
+    const allowed = req.solKey.databases && allowedDbIds(req.solKey);
+    const visible = DATABASES.filter((d) => !allowed || allowed.has(normId(d.id)));
+    // One unreachable workspace doesn't fail the listing
+    const databases = await Promise.all(visible.map(async (d) => {
+      let schema = null, error;
+      if (d.id && storage.configured()) {
+        try { schema = await databaseSchema(d, refresh); } catch (e) { error = describeError(e).body; }
+      }
+      return {
+        alias: d.alias,
+        aliases: d.aliases,
+        database_id: d.id || null,
+        default: d === DEFAULT_DATABASE,
+        own_token: d.own_token,
+        watch: d.watch,
+        memory: d.alias === MEMORY_DB,
+        title_property: d.title_property || (schema && titleKeyOf(d.alias, schema.properties)) || null,
+        topic_property: d.topic_property,
+        title: schema?.title ?? null,
+        schema: schema?.properties ?? null,
+        schema_fetched_time: schema?.fetched_time ?? null,
+        ...(error && { error }),
+      };
+    }));
+    res.json({ ok: true, databases });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Notion schema
-app.get("/notion_schema", requireSolAuth, async (req, res) => {
+api.get("/notion_schema", {
+  operationId: "get_notion_schema",
+  query: { properties: { db: DB_ALIAS } },
+  responses: { 200: okResponse("Database schema", { db: STRING, schema: OBJECT }) },
+}, requireSolAuth("read", { db: requestDb }), async (req, res) => {
   try {
     const dbId = getDbId(req.query.db);
-    const headers = notionHeaders();
+    const headers = notionHeaders(req.query.db);
     const resp = await doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers });
-    res.json({ ok: true, db: req.query.db, schema: resp.data?.properties });
+    res.json({ ok: true, db: req.query.db || DEFAULT_DATABASE.alias, schema: resp.data?.properties });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Notion raw props
-app.get("/notion_raw_props", requireSolAuth, async (req, res) => {
+api.get("/notion_raw_props", {
+  operationId: "get_notion_raw_props",
+  query: { properties: { db: DB_ALIAS } },
+  responses: { 200: okResponse("Raw Notion property definitions", { raw: OBJECT }) },
+}, requireSolAuth("read", { db: requestDb }), async (req, res) => {
   try {
     const dbId = getDbId(req.query.db);
-    const headers = notionHeaders();
+    const headers = notionHeaders(req.query.db);
     const resp = await doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers });
     res.json({ ok: true, raw: resp.data?.properties });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Notion users
-app.get("/notion_users", requireSolAuth, async (req, res) => {
+api.get("/notion_users", {
+  operationId: "list_notion_users",
+  query: { properties: { db: { ...DB_ALIAS, description: "List the users of this database's workspace" } } },
+  responses: { 200: okResponse("List users", { users: { type: "array", items: OBJECT } }) },
+}, requireSolAuth("read"), async (req, res) => {
   try {
-    const headers = notionHeaders();
-    const resp = await doNotion("get", `https://api.notion.com/v1/users`, { headers });
-    res.json({ ok: true, users: resp.data?.results || [] });
+    const headers = notionHeaders(req.query.db);
+    const users = await listNotionUsers(headers);
+    res.json({ ok: true, users });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Notion test create
-app.post("/notion_test_create", requireSolAuth, async (req, res) => {
+api.post("/notion_test_create", {
+  operationId: "notion_test_create",
+  body: { properties: { db: DB_ALIAS, title: { type: "string" } } },
+  responses: { 200: okResponse("Test create", { db: STRING, page_id: STRING, title: STRING, ...AUDITED }) },
+}, requireSolAuth("write", { db: requestDb }), async (req, res) => {
   try {
     const { db, title } = req.body || {};
     const dbId = getDbId(db);
-    const headers = notionHeaders();
+    const headers = notionHeaders(db);
     const schemaResp = await doNotion("get", `https://api.notion.com/v1/databases/${dbId}`, { headers });
     const schema = schemaResp.data?.properties || {};
     const titleKey = Object.keys(schema).find((k) => schema[k].type === "title");
@@ -687,32 +6387,128 @@ app.post("/notion_test_create", requireSolAuth, async (req, res) => {
     if (titleKey) data.properties[titleKey] = { title: [{ text: { content: title || "Sol v3 Health Check" } }] };
 
     const resp = await doNotion("post", `https://api.notion.com/v1/pages`, { headers, data });
-    res.json({ ok: true, db, page_id: resp.data.id, title: title || "Sol v3 Health Check" });
+    const entry = recordAudit(req, { action: "create", page_id: resp.data.id });
+    res.json({ ok: true, db, page_id: resp.data.id, title: title || "Sol v3 Health Check", audit_id: entry.id });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
 // Search web
-app.post("/search_web", async (req, res) => {
+api.post("/search_web", {
+  operationId: "search_web",
+  body: {
+    required: ["query"],
+    properties: {
+      query: { type: "string" },
+      recency_days: { type: "integer", description: "Only results published in the last N days" },
+      max_results: { type: "integer", default: 10, maximum: 20 },
+      provider: {
+        type: "string",
+        enum: ["brave", "offline"],
+        description: "Defaults to SEARCH_PROVIDER, or the first configured provider",
+      },
+      save_to: {
+        oneOf: [
+          { type: "boolean" },
+          { type: "string", description: "Topic of the memory note" },
+          {
+            type: "object",
+            properties: {
+              title: { type: "string" },
+              topic: { type: "string" },
+              count: { type: "integer", default: 5 },
+            },
+          },
+        ],
+        description: "Write the top results into a memory note",
+      },
+    },
+  },
+  responses: {
+    200: okResponse("Search results", {
+      provider: STRING,
+      query: STRING,
+      cached: { type: "boolean" },
+      results: {
+        type: "array",
+        items: { type: "object", properties: { title: STRING, url: STRING, snippet: STRING, published_at: STRING, source: STRING } },
+      },
+      saved: { ...OBJECT, description: "The memory note written for save_to" },
+    }),
+    400: "Missing query or unknown provider",
+    502: "Search provider failed",
+  },
+}, requireSolAuth("read", { db: (req) => (req.body?.save_to ? MEMORY_DB : null) }), async (req, res) => {
   try {
-    const { query, recency_days } = req.body || {};
-    if (!SEARCH_API_KEY) return res.json({ ok: true, simulating: true, results: [] });
-    // Here you’d implement a real search API if you connect one
-    res.json({ ok: true, simulating: true, query, recency_days, results: [] });
+    const { query, recency_days, max_results = 10, provider: providerName, save_to } = req.body || {};
+    if (!query || !String(query).trim()) return sendError(req, res, httpError(400, { error: "missing_query" }));
+    if (save_to && !hasScope(req, "write")) return sendError(req, res, httpError(403, { error: "forbidden", scope: "write" }));
+
+    let provider = defaultSearchProvider();
+    if (providerName) {
+      provider = SEARCH_PROVIDERS[String(providerName).toLowerCase()];
+      if (!provider) {
+        return sendError(req, res, httpError(400, {
+          error: "unknown_provider",
+          provider: providerName,
+          did_you_mean: didYouMean(String(providerName), Object.keys(SEARCH_PROVIDERS)),
+        }));
+      }
+    }
+    if (!provider?.available()) return res.json({ ok: true, simulating: true, query, recency_days, results: [] });
+
+    const count = Math.min(SEARCH_MAX_RESULTS, Math.max(1, Number(max_results) || 10));
+    const days = recency_days ? Math.max(1, Number(recency_days)) : null;
+    let found;
+    try {
+      found = await searchWeb(provider, { query: String(query), count, recency_days: days });
+    } catch (err) {
+      logError("search_provider_failed", { level: "warn", provider: provider.name, status: err.response?.status, message: err.message });
+      return sendError(req, res, httpError(502, { error: "search_failed", provider: provider.name, message: err.message }));
+    }
+
+    // save_to: true | "<topic>" | { title, topic, count } writes the top results into a memory note
+    let saved;
+    if (save_to && found.results.length) {
+      const opts = typeof save_to === "object" ? save_to : typeof save_to === "string" ? { topic: save_to } : {};
+      const top = found.results.slice(0, Math.max(1, Number(opts.count) || 5));
+      const { page, errors } = await createMemoryNote(notionHeaders(MEMORY_DB), {
+        title: opts.title || `Research: ${query}`,
+        topic: opts.topic || "Research",
+        content: { markdown: searchResultsMarkdown(String(query), top) },
+      });
+      const entry = recordAudit(req, { action: "create", page_id: page.id });
+      saved = { page_id: page.id, url: page.url, count: top.length, errors, audit_id: entry.id };
+    }
+
+    res.json({
+      ok: true,
+      provider: provider.name,
+      query,
+      recency_days: days,
+      cached: found.cached,
+      results: found.results,
+      ...(saved && { saved }),
+    });
   } catch (e) {
-  console.error(`[ERROR] ${req.method} ${req.url}`, e.response?.data || e);
-  res.status(500).json({ ok: false, error: e.message });
+    sendError(req, res, e);
   }
 });
 
-// Serve OpenAPI schema directly
+// Generated from the api.get/api.post declarations, so it always matches what the server validates
 app.get("/openapi.json", (req, res) => {
-  res.sendFile(path.join(process.cwd(), "openapi.json"));
+  res.json(openApiDocument(publicBaseURL(req)));
 });
 
 // ─────────────────────────── Boot ───────────────────────────
-app.listen(PORT, () => {
-  console.log(`🚀 Sol v3 agent v${VERSION} running at http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Listens only when run directly (`node server.js`); tests import the app and mount it themselves
+export { app, resumeJobs, startWatcher };
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Sol v3 agent v${VERSION} running at http://localhost:${PORT}`);
+    resumeJobs();
+    startWatcher();
+  });
+}
\ No newline at end of file
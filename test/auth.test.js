@@ -0,0 +1,110 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./support/harness.js";
+import { DB_IDS } from "./support/notion-stub.js";
+
+let ctx;
+before(async () => { ctx = await startApp(); });
+after(() => ctx.close());
+
+describe("auth tiers", () => {
+  test("once keys exist, requests without a token are rejected", async () => {
+    const read = await ctx.get("/notion_users");
+    assert.equal(read.status, 401);
+    assert.deepEqual(read.body, { ok: false, error: "unauthorized", code: "unauthorized", scope: "read" });
+    assert.equal((await ctx.post("/search_web", { query: "x" })).status, 401);
+    const write = await ctx.post("/memory_note", { title: "x" });
+    assert.equal(write.status, 401);
+    assert.deepEqual(write.body, { ok: false, error: "unauthorized", code: "unauthorized", scope: "write" });
+  });
+
+  test("an unknown token is rejected even on read routes", async () => {
+    const { status, body } = await ctx.get("/notion_users", { headers: { authorization: "Bearer nope" } });
+    assert.equal(status, 401);
+    assert.equal(body.error, "unauthorized");
+  });
+
+  test("tokens are accepted as x-sol-token or Bearer", async () => {
+    const { body } = await ctx.get("/whoami", { headers: { authorization: "Bearer admin-token" } });
+    assert.equal(body.key.name, "admin");
+  });
+
+  test("a key without the route's scope gets 403", async () => {
+    const write = await ctx.post("/memory_note", { title: "x" }, { token: "reader" });
+    assert.equal(write.status, 403);
+    assert.deepEqual(write.body, { ok: false, error: "forbidden", code: "forbidden", scope: "write" });
+
+    const exp = await ctx.post("/generate_document", { title: "x", content: "x", format: "md" }, { token: "writer" });
+    assert.equal(exp.status, 403);
+    assert.equal(exp.body.scope, "export");
+
+    const del = await ctx.post("/delete_page", { page_id: DB_IDS.tasks }, { token: "exporter" });
+    assert.equal(del.status, 403);
+  });
+
+  test("database allow-lists cover aliases and page parents", async () => {
+    const task = ctx.stub.addPage(DB_IDS.tasks, { Name: "Allowed" });
+    const doc = ctx.stub.addPage(DB_IDS.docs, { Name: "Not allowed" });
+
+    assert.equal((await ctx.post("/find_pages", { db: "tasks" }, { token: "tasksOnly" })).status, 200);
+    const wrongDb = await ctx.post("/find_pages", { db: "docs" }, { token: "tasksOnly" });
+    assert.equal(wrongDb.status, 403);
+    assert.equal(wrongDb.body.error, "db_not_allowed");
+
+    assert.equal((await ctx.get(`/get_page?page_id=${task.id}`, { token: "tasksOnly" })).status, 200);
+    const wrongPage = await ctx.get(`/get_page?page_id=${doc.id}`, { token: "tasksOnly" });
+    assert.equal(wrongPage.status, 403);
+    assert.equal(wrongPage.body.page_id, doc.id);
+  });
+
+  test("allow-lists follow block ids to their page", async () => {
+    const task = ctx.stub.addPage(DB_IDS.tasks, { Name: "Nested" }, [
+      { type: "toggle", toggle: { rich_text: [{ text: { content: "Outer" } }], children: [{ type: "paragraph", paragraph: { rich_text: [] } }] } },
+    ]);
+    const doc = ctx.stub.addPage(DB_IDS.docs, { Name: "Hidden" }, [{ type: "paragraph", paragraph: { rich_text: [] } }]);
+    const inner = ctx.stub.blocksOf(ctx.stub.blocksOf(task.id)[0].id)[0];
+
+    assert.equal((await ctx.get(`/page_blocks?page_id=${inner.id}`, { token: "tasksOnly" })).status, 200);
+    const hidden = await ctx.get(`/page_blocks?page_id=${ctx.stub.blocksOf(doc.id)[0].id}`, { token: "tasksOnly" });
+    assert.equal(hidden.status, 403);
+    assert.equal(hidden.body.error, "db_not_allowed");
+  });
+
+  test("malformed requests are rejected before any page is looked up", async () => {
+    const doc = ctx.stub.addPage(DB_IDS.docs, { Name: "Batch" });
+    ctx.stub.reset();
+    const updates = Array.from({ length: 20 }, () => ({ page_id: doc.id, fields: "nope" }));
+    const { status, body } = await ctx.post("/batch_update_fields", { db: "tasks", updates }, { token: "tasksOnly" });
+    assert.equal(status, 400);
+    assert.equal(body.error, "validation_failed");
+    assert.deepEqual(ctx.stub.requests, []);
+  });
+
+  test("audit entries and undo are limited to the key that made them", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Owned" });
+    const update = await ctx.post("/update_fields", { db: "tasks", page_id: page.id, fields: { Estimate: 4 } }, { token: "admin" });
+
+    const mine = await ctx.get(`/audit?page_id=${page.id}`, { token: "writer" });
+    assert.equal(mine.body.entries.length, 0);
+    const all = await ctx.get(`/audit?page_id=${page.id}`, { token: "admin" });
+    assert.equal(all.body.entries.length, 1);
+
+    const undo = await ctx.post("/undo", { audit_id: update.body.audit_id }, { token: "writer" });
+    assert.equal(undo.status, 404);
+  });
+
+  test("per-key rate limits answer 429 with Retry-After", async () => {
+    const first = await ctx.get("/notion_users", { token: "limited" });
+    assert.equal(first.headers.get("ratelimit-limit"), "2");
+    assert.equal(first.headers.get("ratelimit-remaining"), "1");
+    await ctx.get("/notion_users", { token: "limited" });
+
+    const limited = await ctx.get("/notion_users", { token: "limited" });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, "rate_limited");
+    assert.equal(limited.body.code, "rate_limited");
+    assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+    // Other keys have their own buckets
+    assert.equal((await ctx.get("/notion_users", { token: "reader" })).status, 200);
+  });
+});
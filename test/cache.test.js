@@ -0,0 +1,70 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./support/harness.js";
+import { DB_IDS } from "./support/notion-stub.js";
+
+let ctx;
+before(async () => { ctx = await startApp(); });
+after(() => ctx.close());
+beforeEach(async () => {
+  await ctx.post("/cache/flush", {}, { token: "admin" });
+  ctx.stub.reset();
+});
+
+const count = (method, path) => ctx.stub.requests.filter((r) => r.method === method && r.path === path).length;
+const schemaReads = (db) => count("GET", `/v1/databases/${DB_IDS[db]}`);
+
+describe("Notion caches", () => {
+  test("schemas are fetched once for repeated writes", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Cached" });
+    for (const estimate of [1, 2, 3]) {
+      await ctx.post("/update_fields", { db: "tasks", page_id: page.id, fields: { Estimate: estimate } }, { token: "writer" });
+    }
+    await ctx.post("/upsert_page", { db: "tasks", title: "Also cached" }, { token: "writer" });
+    assert.equal(schemaReads("tasks"), 1);
+  });
+
+  test("page reads are cached until one of our writes changes the page", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Read twice", Estimate: 1 });
+    const read = async () => (await ctx.get(`/get_page?page_id=${page.id}&simplify=true`, { token: "reader" })).body.properties.Estimate;
+    assert.equal(await read(), 1);
+    assert.equal(await read(), 1);
+    assert.equal(count("GET", `/v1/pages/${page.id}`), 1);
+
+    await ctx.post("/update_fields", { db: "tasks", page_id: page.id, fields: { Estimate: 5 } }, { token: "writer" });
+    const before = count("GET", `/v1/pages/${page.id}`);
+    assert.equal(await read(), 5);
+    assert.equal(count("GET", `/v1/pages/${page.id}`), before + 1);
+  });
+
+  test("audit snapshots are read past the cache", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Edited elsewhere", Estimate: 1 });
+    await ctx.get(`/get_page?page_id=${page.id}`, { token: "reader" });
+    // Changed in Notion while the server still holds the old copy
+    ctx.stub.pages.get(page.id).properties.Estimate.number = 3;
+
+    const update = await ctx.post("/update_fields", { db: "tasks", page_id: page.id, fields: { Estimate: 5 } }, { token: "writer" });
+    await ctx.post("/undo", { audit_id: update.body.audit_id }, { token: "writer" });
+    assert.equal(ctx.stub.pages.get(page.id).properties.Estimate.number, 3);
+  });
+
+  test("writes that add select options refresh the schema", async () => {
+    await ctx.post("/upsert_page", { db: "tasks", title: "Known", fields: { Priority: "High" } }, { token: "writer" });
+    await ctx.post("/upsert_page", { db: "tasks", title: "New option", fields: { Priority: "Urgent" }, allow_new_options: true }, { token: "writer" });
+    assert.equal(schemaReads("tasks"), 1);
+    await ctx.post("/upsert_page", { db: "tasks", title: "After" }, { token: "writer" });
+    assert.equal(schemaReads("tasks"), 2);
+  });
+
+  test("/health reports hit rates and /cache/flush empties the caches", async () => {
+    await ctx.get("/notion_users", { token: "reader" });
+    await ctx.get("/notion_users", { token: "reader" });
+    const { body } = await ctx.get("/health");
+    assert.deepEqual(body.cache.users, { ttl_seconds: 600, entries: 1, hits: 1, misses: 1, hit_rate: 0.5 });
+
+    const flushed = await ctx.post("/cache/flush", {}, { token: "admin" });
+    assert.deepEqual(flushed.body.flushed, { schemas: 0, users: 1, pages: 0 });
+    await ctx.get("/notion_users", { token: "reader" });
+    assert.equal(count("GET", "/v1/users"), 2);
+  });
+});
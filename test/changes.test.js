@@ -0,0 +1,147 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { once } from "events";
+import { startApp } from "./support/harness.js";
+import { DB_IDS } from "./support/notion-stub.js";
+
+// Receives webhook deliveries; the first `failures` answers are 500s
+const receiver = { deliveries: [], failures: 0 };
+let ctx, hookServer, hookUrl;
+before(async () => {
+  ctx = await startApp({ env: { WEBHOOK_BACKOFF_MS: "10", WEBHOOK_ATTEMPTS: "3" } });
+  // Yesterday's log already holds events 1 and 2
+  const dir = path.join(ctx.dir, "data", "changes");
+  fs.mkdirSync(dir, { recursive: true });
+  const yesterday = new Date(Date.now() - 86400000).toISOString();
+  fs.writeFileSync(path.join(dir, `changes-${yesterday.slice(0, 10)}.jsonl`), [1, 2].map((seq) => JSON.stringify({
+    id: crypto.randomUUID(), seq, time: yesterday, type: "page.created", db: "roadmap", database_id: DB_IDS.roadmap, page_id: crypto.randomUUID(),
+  }) + "\n").join(""));
+  const app = express();
+  app.use(express.text({ type: "*/*" }));
+  app.post("/hook", (req, res) => {
+    if (receiver.failures > 0) {
+      receiver.failures--;
+      return res.sendStatus(500);
+    }
+    receiver.deliveries.push({ headers: req.headers, body: req.body });
+    res.sendStatus(204);
+  });
+  hookServer = app.listen(0, "127.0.0.1");
+  await once(hookServer, "listening");
+  hookUrl = `http://127.0.0.1:${hookServer.address().port}/hook`;
+});
+after(async () => {
+  await new Promise((resolve) => hookServer.close(resolve));
+  await ctx.close();
+});
+
+// Names of the files the server reads while fn runs
+async function captureReads(fn) {
+  const original = fs.readFileSync;
+  const files = [];
+  fs.readFileSync = (file, ...rest) => {
+    files.push(path.basename(String(file)));
+    return original(file, ...rest);
+  };
+  try {
+    await fn();
+    return files;
+  } finally {
+    fs.readFileSync = original;
+  }
+}
+
+const poll = async (full = false) => (await ctx.post("/changes/poll", { full }, { token: "admin" })).body;
+const changes = async (query = "", token = "reader") => (await ctx.get(`/changes${query}`, { token })).body;
+
+async function waitForDeliveries(n) {
+  for (let i = 0; i < 100; i++) {
+    if (receiver.deliveries.length >= n) return receiver.deliveries;
+    await new Promise((r) => setTimeout(r, 20));
+  }
+  throw new Error(`expected ${n} deliveries, got ${receiver.deliveries.length}`);
+}
+
+describe("change feed", () => {
+  test("polls emit created, updated and archived events", async () => {
+    const existing = ctx.stub.addPage(DB_IDS.tasks, { Name: "Existing", Status: "Not started" });
+    // The first poll only takes the snapshot
+    assert.ok((await poll()).databases.every((d) => d.events === 0));
+
+    const created = ctx.stub.addPage(DB_IDS.tasks, { Name: "New task" });
+    await ctx.post("/update_fields", { db: "tasks", page_id: existing.id, fields: { Status: "Done", Estimate: 3 } }, { token: "writer" });
+    await poll();
+    await ctx.post("/delete_page", { page_id: created.id }, { token: "writer" });
+    // Archived pages only show up missing from a full scan
+    assert.equal((await poll()).databases.find((d) => d.db === "tasks").events, 0);
+    await poll(true);
+
+    const { events, cursor } = await changes("?since=2");
+    // The stub ignores sorts, so events from one poll may come in either order
+    assert.deepEqual(events.map((e) => e.seq), [3, 4, 5]);
+    assert.deepEqual([events[2].type, events[2].title], ["page.archived", "New task"]);
+    assert.deepEqual(events.slice(0, 2).map((e) => [e.type, e.title]).sort(), [["page.created", "New task"], ["page.updated", "Existing"]]);
+    const updated = events.find((e) => e.type === "page.updated");
+    assert.deepEqual(updated.changes, { Status: { from: "Not started", to: "Done" }, Estimate: { from: null, to: 3 } });
+    assert.equal(updated.db, "tasks");
+    assert.deepEqual((await changes(`?since=${cursor}`)).events, []);
+    assert.deepEqual((await changes("?since=0&type=page.archived")).events.map((e) => e.page_id), [created.id]);
+    assert.equal((await changes("?since=0&limit=1")).has_more, true);
+  });
+
+  test("since accepts a time and rejects anything else", async () => {
+    assert.equal((await changes(`?since=${new Date(Date.now() + 60000).toISOString()}`)).events.length, 0);
+    assert.ok((await changes("?since=2000-01-01T00:00:00Z")).events.length >= 3);
+    assert.equal((await ctx.get("/changes?since=yesterday", { token: "reader" })).body.error, "invalid_since");
+  });
+
+  test("keys with a database allow-list only see their databases", async () => {
+    ctx.stub.addPage(DB_IDS.docs, { Name: "Doc" });
+    await poll();
+    assert.ok((await changes("?since=0", "admin")).events.some((e) => e.db === "docs"));
+    assert.ok((await changes("?since=0", "tasksOnly")).events.every((e) => e.db === "tasks"));
+  });
+
+  test("webhooks get signed events and retried deliveries", async () => {
+    const secret = "whsec-0123456789abcdef";
+    const { body } = await ctx.post("/webhooks", { url: hookUrl, secret, events: ["page.created"], databases: ["tasks"] }, { token: "admin" });
+    assert.equal(body.secret, secret);
+    assert.equal((await ctx.post("/webhooks", { url: hookUrl }, { token: "writer" })).status, 403);
+
+    receiver.failures = 1;
+    ctx.stub.addPage(DB_IDS.docs, { Name: "Filtered out" });
+    ctx.stub.addPage(DB_IDS.tasks, { Name: "Hooked" });
+    let delivery;
+    const reads = await captureReads(async () => {
+      await poll();
+      [delivery] = await waitForDeliveries(1);
+    });
+    // Delivery starts at the hook's cursor, in today's log
+    const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+    assert.ok(!reads.includes(`changes-${yesterday}.jsonl`));
+
+    const event = JSON.parse(delivery.body);
+    assert.equal(event.title, "Hooked");
+    assert.equal(delivery.headers["x-sol-event"], "page.created");
+    const { t, v1 } = Object.fromEntries(delivery.headers["x-sol-signature"].split(",").map((kv) => kv.split("=")));
+    assert.equal(v1, crypto.createHmac("sha256", secret).update(`${t}.${delivery.body}`).digest("hex"));
+
+    const { body: list } = await ctx.get("/webhooks", { token: "admin" });
+    const [hook] = list.webhooks;
+    assert.equal(hook.secret, undefined);
+    assert.equal(hook.delivered, 1);
+    assert.equal(hook.last_delivery.attempts, 2);
+
+    // Once caught up, polls that find nothing new leave the log unread
+    await new Promise((r) => setTimeout(r, 100));
+    const idle = await captureReads(() => poll());
+    assert.deepEqual(idle.filter((f) => f.startsWith("changes-")), []);
+
+    await ctx.post("/webhooks/delete", { webhook_id: hook.id }, { token: "admin" });
+    assert.equal((await ctx.get("/webhooks", { token: "admin" })).body.webhooks.length, 0);
+  });
+});
@@ -0,0 +1,101 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./support/harness.js";
+import { DB_IDS } from "./support/notion-stub.js";
+
+// Three databases in three workspaces: notes (the memory database, not aliased docs) on NOTION_KEY, ops with its own token, plans with a token from the environment
+let ctx;
+before(async () => {
+  ctx = await startApp({
+    env: { PLANS_NOTION_KEY: "secret_plans" },
+    notionTokens: ["secret_test", "secret_ops", "secret_plans"],
+    databases: [
+      { alias: "notes", id: DB_IDS.docs, topic_property: "Tags", memory: true },
+      { alias: "ops", aliases: ["tasks"], id: DB_IDS.tasks, token: "secret_ops", default: true },
+      { alias: "plans", id: DB_IDS.roadmap, token_env: "PLANS_NOTION_KEY" },
+    ],
+  });
+});
+after(() => ctx.close());
+beforeEach(() => ctx.stub.reset());
+
+const tokensSent = () => [...new Set(ctx.stub.requests.map((r) => r.headers.authorization))];
+
+describe("database registry", () => {
+  test("each alias is queried with its own workspace token", async () => {
+    for (const [db, token] of [["ops", "secret_ops"], ["tasks", "secret_ops"], ["plans", "secret_plans"], ["notes", "secret_test"]]) {
+      ctx.stub.reset();
+      const { status } = await ctx.post("/find_pages", { db }, { token: "reader" });
+      assert.equal(status, 200);
+      assert.deepEqual(tokensSent(), [`Bearer ${token}`]);
+    }
+  });
+
+  test("page routes use the default database's workspace unless given a db", async () => {
+    const page = ctx.stub.addPage(DB_IDS.roadmap, { Name: "Launch" });
+    await ctx.get(`/get_page?page_id=${page.id}`, { token: "reader" });
+    assert.deepEqual(tokensSent(), ["Bearer secret_ops"]);
+
+    ctx.stub.reset();
+    await ctx.post("/append_task_content", { page_id: page.id, db: "plans", content: { markdown: "x" } }, { token: "writer" });
+    assert.deepEqual(tokensSent(), ["Bearer secret_plans"]);
+  });
+
+  test("db defaults to the default database and also takes database ids", async () => {
+    assert.equal((await ctx.post("/find_pages", {}, { token: "reader" })).status, 200);
+    assert.deepEqual(tokensSent(), ["Bearer secret_ops"]);
+
+    ctx.stub.reset();
+    const schema = await ctx.get(`/notion_schema?db=${DB_IDS.roadmap.replace(/-/g, "")}`, { token: "reader" });
+    assert.equal(schema.status, 200);
+    assert.ok(schema.body.schema.Status);
+    assert.deepEqual(tokensSent(), ["Bearer secret_plans"]);
+
+    const unknown = await ctx.post("/find_pages", { db: "00000000-0000-4000-8000-000000000000" }, { token: "reader" });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, "unknown_db");
+  });
+
+  test("unknown aliases are rejected instead of falling back to another database", async () => {
+    const { status, body } = await ctx.post("/find_pages", { db: "roadmap" }, { token: "reader" });
+    assert.equal(status, 400);
+    assert.equal(body.details[0].path, "body.db");
+    assert.equal(ctx.stub.requests.length, 0);
+  });
+
+  test("memory routes use the database marked memory and its topic property", async () => {
+    const { body } = await ctx.post("/memory_note", { title: "Pager rota", topic: "oncall" }, { token: "writer" });
+    const page = ctx.stub.pages.get(body.page_id);
+    assert.equal(page.parent.database_id, DB_IDS.docs);
+    assert.deepEqual(page.properties.Tags.multi_select.map((o) => o.name), ["oncall"]);
+    assert.deepEqual(tokensSent(), ["Bearer secret_test"]);
+
+    const notes = await ctx.get("/memory_notes?topic=oncall", { token: "reader" });
+    assert.equal(notes.status, 200);
+    const search = await ctx.get("/memory_search?q=pager", { token: "reader" });
+    assert.deepEqual(search.body.results.map((r) => r.title), ["Pager rota"]);
+  });
+
+  test("GET /databases lists aliases and schemas without their tokens", async () => {
+    const { body } = await ctx.get("/databases", { token: "reader" });
+    assert.deepEqual(body.databases.map((d) => [d.alias, d.own_token, d.default]), [
+      ["notes", false, false],
+      ["ops", true, true],
+      ["plans", true, false],
+    ]);
+    assert.equal(body.databases[1].schema.Estimate.type, "number");
+    assert.equal(body.databases[0].topic_property, "Tags");
+    assert.deepEqual(body.databases.map((d) => d.memory), [true, false, false]);
+    assert.doesNotMatch(JSON.stringify(body), /secret_/);
+
+    // Schemas are cached until refresh=true
+    ctx.stub.reset();
+    await ctx.get("/databases", { token: "reader" });
+    assert.equal(ctx.stub.requests.length, 0);
+    await ctx.get("/databases?refresh=true", { token: "reader" });
+    assert.equal(ctx.stub.requests.length, 3);
+
+    const limited = await ctx.get("/databases", { token: "tasksOnly" });
+    assert.deepEqual(limited.body.databases.map((d) => d.alias), ["ops"]);
+  });
+});
@@ -0,0 +1,176 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import JSZip from "jszip";
+import { startApp } from "./support/harness.js";
+import { DB_IDS } from "./support/notion-stub.js";
+
+// 1×1 PNG served from the app's own /files so image embedding needs no network
+const PIXEL = Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==", "base64");
+
+const MARKDOWN = [
+  "# Quarterly plan",
+  "",
+  "Intro with **bold** and a [link](https://example.com).",
+  "",
+  "## Goals",
+  "",
+  "- Ship the agent",
+  "  - with tests",
+  "1. First",
+  "",
+  "| Owner | Due |",
+  "| --- | --- |",
+  "| Ada | Q3 |",
+  "",
+  "```js",
+  "const x = 1;",
+  "```",
+].join("\n");
+
+let ctx;
+before(async () => {
+  // The test server is on loopback, which image downloads otherwise refuse
+  ctx = await startApp({ env: { OUTBOUND_ALLOW_HOSTS: "127.0.0.1" } });
+  fs.writeFileSync(path.join(ctx.dir, "public", "files", "pixel.png"), PIXEL);
+});
+after(() => ctx.close());
+
+async function generate(format, extra = {}) {
+  const { status, body } = await ctx.post("/generate_document", { title: `Plan ${format}`, content: MARKDOWN, format, ...extra }, { token: "exporter" });
+  assert.equal(status, 200, JSON.stringify(body));
+  return ctx.download(body.doc_url);
+}
+
+const zipText = async (buffer, name) => (await JSZip.loadAsync(buffer)).file(name).async("string");
+
+describe("document generation", () => {
+  test("pdf", async () => {
+    const file = await generate("pdf");
+    assert.equal(file.buffer.subarray(0, 5).toString(), "%PDF-");
+    assert.match(file.buffer.toString("latin1"), /\/Type \/Page\b/);
+  });
+
+  test("pdf with a table of contents and no title page still shows the title", async () => {
+    const file = await generate("pdf", { options: { toc: true } });
+    const pdf = file.buffer.toString("latin1");
+    const streams = [...pdf.matchAll(/stream\r?\n([\s\S]*?)endstream/g)]
+      .map((m) => { try { return zlib.inflateSync(Buffer.from(m[1], "latin1")).toString("latin1"); } catch { return ""; } });
+    // The title is the only text set at 24pt
+    assert.ok(streams.some((c) => / 24 Tf/.test(c)));
+  });
+
+  test("docx keeps headings, lists and tables", async () => {
+    const file = await generate("docx");
+    const xml = await zipText(file.buffer, "word/document.xml");
+    assert.match(xml, /Quarterly plan/);
+    assert.match(xml, /w:pStyle w:val="Heading2"/);
+    assert.match(xml, /<w:tbl>/);
+    assert.match(xml, /with tests/);
+  });
+
+  test("pptx has a title slide and content slides", async () => {
+    const file = await generate("pptx");
+    const zip = await JSZip.loadAsync(file.buffer);
+    const slides = Object.keys(zip.files).filter((n) => /^ppt\/slides\/slide\d+\.xml$/.test(n));
+    assert.ok(slides.length >= 2);
+    const all = (await Promise.all(slides.map((n) => zip.file(n).async("string")))).join("");
+    assert.match(all, /Goals/);
+    assert.match(all, /Ship the agent/);
+  });
+
+  test("html escapes text and renders structure", async () => {
+    const { body } = await ctx.post("/generate_document", { title: "<Unsafe>", content: "# A & B\n\n- <script>x</script>", format: "html" }, { token: "exporter" });
+    const html = (await ctx.download(body.doc_url)).buffer.toString();
+    assert.match(html, /<h1[^>]*>A &amp; B<\/h1>/);
+    assert.match(html, /&lt;script&gt;/);
+    assert.doesNotMatch(html, /<script>x/);
+  });
+
+  test("html links only http, https and mailto targets", async () => {
+    const link = (content, url) => ({ type: "text", text: { content, link: { url } }, href: url });
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Links" }, [{
+      type: "paragraph",
+      paragraph: { rich_text: [link("run", "javascript:alert(1)"), link("site", "https://example.com"), link("mail", "mailto:ada@example.com")] },
+    }]);
+    const { body } = await ctx.post("/generate_from_pages", { page_ids: [page.id], format: "html" }, { token: "exporter" });
+    const html = (await ctx.download(body.doc_url)).buffer.toString();
+    assert.doesNotMatch(html, /javascript:/);
+    assert.match(html, /<a href="https:\/\/example.com">site<\/a>/);
+    assert.match(html, /<a href="mailto:ada@example.com">mail<\/a>/);
+  });
+
+  test("md round-trips the source", async () => {
+    const file = await generate("md");
+    assert.match(file.buffer.toString(), /## Goals/);
+    assert.match(file.buffer.toString(), /\| Ada \| Q3 \|/);
+  });
+
+  test("images in Notion pages are downloaded and embedded", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Pictured" }, [
+      { type: "image", image: { type: "external", external: { url: `${ctx.base}/files/pixel.png` } } },
+    ]);
+    const { body } = await ctx.post("/generate_from_pages", { page_ids: [page.id], format: "docx" }, { token: "exporter" });
+    const zip = await JSZip.loadAsync((await ctx.download(body.doc_url)).buffer);
+    assert.ok(Object.keys(zip.files).some((n) => n.startsWith("word/media/")));
+  });
+
+  test("images on private addresses are not downloaded", async () => {
+    const port = new URL(ctx.base).port;
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Internal" }, [
+      { type: "image", image: { type: "external", external: { url: `http://localhost:${port}/files/pixel.png` } } },
+    ]);
+    const { body } = await ctx.post("/generate_from_pages", { page_ids: [page.id], format: "docx" }, { token: "exporter" });
+    const zip = await JSZip.loadAsync((await ctx.download(body.doc_url)).buffer);
+    assert.ok(!Object.keys(zip.files).some((n) => n.startsWith("word/media/")));
+  });
+
+  test("images in caller Markdown are linked, not fetched", async () => {
+    const content = `# Pic\n\n![pixel](${ctx.base}/files/pixel.png)`;
+    const { body } = await ctx.post("/generate_document", { title: "Linked image", content, format: "docx" }, { token: "exporter" });
+    const zip = await JSZip.loadAsync((await ctx.download(body.doc_url)).buffer);
+    assert.ok(!Object.keys(zip.files).some((n) => n.startsWith("word/media/")));
+    assert.match(await zip.file("word/document.xml").async("string"), /Image: pixel/);
+  });
+
+  test("outlines are accepted instead of Markdown", async () => {
+    const { body } = await ctx.post("/generate_document", {
+      title: "Outline", format: "md", outline: { sections: [{ title: "Scope", bullets: ["one", "two"] }] },
+    }, { token: "exporter" });
+    const text = (await ctx.download(body.doc_url)).buffer.toString();
+    assert.match(text, /## Scope/);
+    assert.match(text, /one/);
+  });
+
+  test("unsupported formats and missing inputs are 400s", async () => {
+    const rtf = await ctx.post("/generate_document", { title: "x", content: "x", format: "rtf" }, { token: "exporter" });
+    assert.equal(rtf.body.error, "validation_failed");
+    assert.equal(rtf.body.details[0].path, "body.format");
+    assert.equal((await ctx.post("/generate_document", { title: "x", format: "pdf" }, { token: "exporter" })).body.error, "missing_inputs");
+  });
+
+  test("pages render with their properties and nested blocks", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Release", Status: "Done", Estimate: 3 }, [
+      { type: "toggle", toggle: { rich_text: [{ type: "text", text: { content: "Details" } }], children: [
+        { type: "paragraph", paragraph: { rich_text: [{ type: "text", text: { content: "Inside the toggle" } }] } },
+      ] } },
+    ]);
+    const { body } = await ctx.post("/generate_from_pages", { page_ids: [page.id], format: "docx", include_properties: true }, { token: "exporter" });
+    const xml = await zipText((await ctx.download(body.doc_url)).buffer, "word/document.xml");
+    assert.match(xml, /Release/);
+    assert.match(xml, /Estimate/);
+    assert.match(xml, /Inside the toggle/);
+  });
+
+  test("memory packs export as a zip of Markdown notes", async () => {
+    ctx.stub.addPage(DB_IDS.docs, { Name: "Runbook", Topic: "ops" }, [
+      { type: "paragraph", paragraph: { rich_text: [{ type: "text", text: { content: "Restart the worker" } }] } },
+    ]);
+    const { body } = await ctx.get("/memory_pack_export?topic=ops&format=zip", { token: "exporter" });
+    const zip = await JSZip.loadAsync((await ctx.download(body.doc_url)).buffer);
+    const texts = await Promise.all(Object.values(zip.files).filter((f) => !f.dir).map((f) => f.async("string")));
+    assert.ok(texts.some((t) => t.includes("Restart the worker")));
+  });
+});
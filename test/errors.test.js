@@ -0,0 +1,79 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./support/harness.js";
+import { DB_IDS } from "./support/notion-stub.js";
+
+let ctx;
+before(async () => { ctx = await startApp(); });
+after(() => ctx.close());
+beforeEach(() => ctx.stub.reset());
+
+// Collect the JSON lines the server logs while fn runs
+async function captureLogs(fn) {
+  const original = console.error;
+  const lines = [];
+  console.error = (line) => lines.push(JSON.parse(line));
+  try {
+    return { result: await fn(), logs: lines };
+  } finally {
+    console.error = original;
+  }
+}
+
+describe("error model", () => {
+  for (const [notionStatus, code, status] of [
+    [404, "object_not_found", 404],
+    [400, "validation_error", 400],
+    [401, "unauthorized", 401],
+    [403, "restricted_resource", 403],
+  ]) {
+    test(`Notion ${code} answers ${status}`, async () => {
+      const page = ctx.stub.addPage(DB_IDS.tasks, { Name: code });
+      ctx.stub.fail("GET", `/v1/pages/${page.id}`, notionStatus, { code });
+      const { status: got, body } = await ctx.get(`/get_page?page_id=${page.id}`, { token: "reader" });
+      assert.equal(got, status);
+      assert.equal(body.ok, false);
+      assert.equal(body.code, code);
+      assert.equal(body.error, code);
+      assert.match(body.request_id, /^[0-9a-f-]{36}$/);
+      assert.ok(body.hint);
+    });
+  }
+
+  test("conflicts that outlast the retries answer 409", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Busy" });
+    ctx.stub.fail("PATCH", `/v1/pages/${page.id}`, 409, { times: 5, code: "conflict_error" });
+    const { status, body } = await ctx.post("/update_fields", { db: "tasks", page_id: page.id, fields: { Estimate: 1 } }, { token: "writer" });
+    assert.equal(status, 409);
+    assert.equal(body.code, "conflict_error");
+  });
+
+  test("failures are logged as one JSON object per line", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Logged" });
+    ctx.stub.fail("GET", `/v1/pages/${page.id}`, 404, { code: "object_not_found" });
+    const { result, logs } = await captureLogs(() => ctx.get(`/get_page?page_id=${page.id}`, { token: "reader" }));
+    const entry = logs.find((l) => l.event === "request_failed");
+    assert.equal(entry.level, "warn");
+    assert.equal(entry.status, 404);
+    assert.equal(entry.code, "object_not_found");
+    assert.equal(entry.key, "reader");
+    assert.equal(entry.request_id, result.body.request_id);
+    assert.ok(Date.parse(entry.time));
+  });
+
+  test("batch items and jobs carry the same codes", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Locked" });
+    ctx.stub.fail("PATCH", `/v1/pages/${page.id}`, 403, { code: "restricted_resource" });
+    const batch = await ctx.post("/batch_update_fields", { db: "tasks", updates: [{ page_id: page.id, fields: { Estimate: 1 } }] }, { token: "writer" });
+    assert.equal(batch.body.results[0].code, "restricted_resource");
+    assert.equal(batch.body.results[0].http_status, 403);
+    assert.ok(batch.body.results[0].request_id);
+
+    ctx.stub.fail("PATCH", `/v1/blocks/${page.id}/children`, 403, { code: "restricted_resource" });
+    const { body } = await ctx.post("/append_task_content", { page_id: page.id, content: { markdown: "x" }, async: true }, { token: "writer" });
+    const job = await ctx.waitForJob(body.job_id, "writer");
+    assert.equal(job.status, "failed");
+    assert.equal(job.error.code, "restricted_resource");
+    assert.equal(job.error.http_status, 403);
+  });
+});
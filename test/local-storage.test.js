@@ -0,0 +1,64 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startApp } from "./support/harness.js";
+
+// The local backend answers every Notion call itself, so the stub must see nothing
+let ctx;
+before(async () => {
+  ctx = await startApp({
+    env: { SOL_STORAGE: "local", NOTION_KEY: "", NOTION_DATABASE_ID: "", ROADMAP_DATABASE_ID: "", TASK_TRACKER_DATABASE_ID: "" },
+  });
+  for (const [name, status, priority, due] of [
+    ["Write docs", "Done", "Low", "2020-01-10"],
+    ["Fix login", "In progress", "High", "2020-01-05"],
+    ["Plan Q4", "Not started", "High", null],
+  ]) {
+    await ctx.post("/upsert_page", { db: "tasks", title: name, fields: { Status: status, Priority: priority, ...(due && { Due: due }) } }, { token: "writer" });
+  }
+});
+after(() => ctx.close());
+
+const find = (body) => ctx.post("/find_pages", { db: "tasks", ...body }, { token: "reader" });
+const titles = (res) => res.body.results.map((r) => r.title);
+
+describe("local storage backend", () => {
+  test("filters, sorts and paginates like Notion", async () => {
+    assert.deepEqual(titles(await find({ filter: "Priority = High", sort: "Name" })), ["Fix login", "Plan Q4"]);
+    assert.deepEqual(titles(await find({ filter: "Due < 2020-01-08 or Status = Done", sort: "Due desc" })), ["Write docs", "Fix login"]);
+    // Empty values sort last in either direction
+    assert.deepEqual(titles(await find({ sort: "Due" })), ["Fix login", "Write docs", "Plan Q4"]);
+
+    const first = await find({ sort: "Name", page_size: 2 });
+    assert.equal(first.body.has_more, true);
+    const rest = await find({ sort: "Name", page_size: 2, start_cursor: first.body.next_cursor });
+    assert.deepEqual([...titles(first), ...titles(rest)], ["Fix login", "Plan Q4", "Write docs"]);
+  });
+
+  test("archived pages drop out of queries and come back on undo", async () => {
+    const [page] = (await find({ filter: "Name = 'Plan Q4'" })).body.results;
+    const del = await ctx.post("/delete_page", { page_id: page.id }, { token: "writer" });
+    assert.deepEqual(titles(await find({ sort: "Name" })), ["Fix login", "Write docs"]);
+    await ctx.post("/undo", { audit_id: del.body.audit_id }, { token: "writer" });
+    assert.equal(titles(await find({ sort: "Name" })).length, 3);
+  });
+
+  test("unknown status options and pages are rejected with Notion's errors", async () => {
+    const [page] = (await find({ filter: "Name = 'Fix login'" })).body.results;
+    const bad = await ctx.post("/update_fields", { db: "tasks", page_id: page.id, fields: { Status: "Blocked" } }, { token: "writer" });
+    assert.equal(bad.body.errors[0].code, "invalid_option");
+    const missing = await ctx.get("/get_page?page_id=00000000000000000000000000000000", { token: "reader" });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, "object_not_found");
+  });
+
+  test("content persists to the store file", async () => {
+    const [page] = (await find({ filter: "Name = 'Write docs'" })).body.results;
+    await ctx.post("/append_task_content", { page_id: page.id, content: { markdown: "- one\n  - nested" } }, { token: "writer" });
+    assert.equal((await ctx.get(`/page_markdown?page_id=${page.id}`, { token: "reader" })).body.markdown, "- one\n  - nested");
+    const store = JSON.parse(fs.readFileSync(path.join(ctx.dir, "data", "local_store.json"), "utf8"));
+    assert.equal(Object.keys(store.pages).length, 3);
+    assert.equal(ctx.stub.requests.length, 0);
+  });
+});
@@ -0,0 +1,91 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { paragraph, startApp } from "./support/harness.js";
+import { DB_IDS } from "./support/notion-stub.js";
+
+let ctx;
+const pages = {};
+before(async () => {
+  ctx = await startApp();
+  for (const [title, topic, created, blocks] of [
+    ["Deploy runbook", "ops", "2026-08-03", [
+      paragraph("Restart the worker after every deploy."),
+      { type: "toggle", toggle: { rich_text: [{ type: "text", text: { content: "If it fails" } }], children: [
+        paragraph("Rollback: revert the release tag and restart the worker."),
+      ] } },
+    ]],
+    ["Worker sizing", "ops", "2026-09-10", [paragraph("The pool runs four workers.")]],
+    ["Release checklist", "releases", "2026-09-21", [paragraph("Tag the release, then announce it.")]],
+    ["Lunch spots", null, "2026-10-02", [paragraph("Tacos on Tuesdays.")]],
+  ]) {
+    const page = ctx.stub.addPage(DB_IDS.docs, { Name: title, ...(topic && { Topic: topic }) }, blocks);
+    // Edited long ago, so a sync only refetches what changes during the test
+    page.created_time = page.last_edited_time = `${created}T09:00:00.000Z`;
+    pages[title] = page;
+  }
+});
+after(() => ctx.close());
+
+const search = async (query) => (await ctx.get(`/memory_search?${new URLSearchParams(query)}`, { token: "reader" })).body;
+const titles = (body) => body.results.map((r) => r.title);
+
+describe("memory search", () => {
+  test("ranks notes by title, properties and nested block text", async () => {
+    const body = await search({ q: "restart workers" });
+    assert.deepEqual(titles(body), ["Deploy runbook", "Worker sizing"]);
+    assert.match(body.results[0].snippet, /\*\*Restart\*\* the \*\*worker\*\*/);
+    assert.deepEqual(body.results[0].matched_terms.sort(), ["restart", "worker"]);
+    assert.equal(body.index.documents, 4);
+
+    // A title match outweighs the same word in a body
+    assert.deepEqual(titles(await search({ q: "worker" })), ["Worker sizing", "Deploy runbook"]);
+    assert.deepEqual(titles(await search({ q: "rollback" })), ["Deploy runbook"]);
+    // Property values are searchable too
+    assert.deepEqual(titles(await search({ q: "ops" })).sort(), ["Deploy runbook", "Worker sizing"]);
+  });
+
+  test("facets count every match and filters narrow the results", async () => {
+    const body = await search({ q: "release worker" });
+    assert.equal(body.total, 3);
+    assert.deepEqual(body.facets.topics, [{ value: "ops", count: 2 }, { value: "releases", count: 1 }]);
+    assert.deepEqual(body.facets.months, [{ value: "2026-09", count: 2 }, { value: "2026-08", count: 1 }]);
+
+    assert.deepEqual(titles(await search({ q: "release worker", topic: "Releases" })), ["Release checklist"]);
+    assert.equal((await search({ q: "release worker", from: "2026-09-01" })).total, 2);
+    assert.deepEqual(titles(await search({ q: "release worker", to: "2026-08-31" })), ["Deploy runbook"]);
+    assert.equal((await search({ q: "release", to: "last week" })).error, "invalid_date");
+    assert.equal((await ctx.get("/memory_search", { token: "reader" })).body.details[0].path, "query.q");
+  });
+
+  test("searches without writes in between stay local", async () => {
+    ctx.stub.reset();
+    await search({ q: "tacos" });
+    await search({ q: "tacos" });
+    assert.deepEqual(ctx.stub.requests, []);
+  });
+
+  test("syncs only pages edited since they were indexed", async () => {
+    const lunch = pages["Lunch spots"];
+    await ctx.post("/append_task_content", { page_id: lunch.id, content: { markdown: "Ramen on Fridays." } }, { token: "writer" });
+    await ctx.post("/delete_page", { page_id: pages["Worker sizing"].id }, { token: "writer" });
+    ctx.stub.reset();
+
+    assert.deepEqual(titles(await search({ q: "ramen" })), ["Lunch spots"]);
+    const fetched = ctx.stub.requests.filter((r) => r.method === "GET" && r.path.startsWith("/v1/blocks/"));
+    assert.deepEqual(fetched.map((r) => r.path), [`/v1/blocks/${lunch.id}/children`]);
+    assert.equal((await search({ q: "sizing" })).total, 0);
+  });
+
+  test("answers from the saved index when Notion is unreachable", async () => {
+    ctx.stub.fail("POST", `/v1/databases/${DB_IDS.docs}/query`, 500);
+    const body = await search({ q: "tacos", refresh: "true" });
+    assert.equal(body.ok, true);
+    assert.equal(body.index.stale, true);
+    assert.deepEqual(titles(body), ["Lunch spots"]);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(ctx.dir, "data", "search_index.json"), "utf8"));
+    assert.deepEqual(saved.docs.map((d) => d.title).sort(), ["Deploy runbook", "Lunch spots", "Release checklist"]);
+  });
+});
@@ -0,0 +1,96 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./support/harness.js";
+import { DB_IDS } from "./support/notion-stub.js";
+
+let ctx;
+before(async () => { ctx = await startApp(); });
+after(() => ctx.close());
+beforeEach(() => ctx.stub.reset());
+
+const pageRequests = (id) => ctx.stub.requests.filter((r) => r.method === "GET" && r.path === `/v1/pages/${id}`);
+
+describe("Notion retries", () => {
+  test("429 waits for Retry-After and retries", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Busy" });
+    ctx.stub.fail("GET", `/v1/pages/${page.id}`, 429, { headers: { "retry-after": "1" }, code: "rate_limited" });
+    const started = Date.now();
+    const { status, body } = await ctx.get(`/get_page?page_id=${page.id}&simplify=true`, { token: "reader" });
+    assert.equal(status, 200);
+    assert.equal(body.properties.Name, "Busy");
+    assert.equal(pageRequests(page.id).length, 2);
+    assert.ok(Date.now() - started >= 1000);
+  });
+
+  test("409 conflicts are retried with backoff", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Conflict" });
+    ctx.stub.fail("PATCH", `/v1/pages/${page.id}`, 409, { times: 2, code: "conflict_error" });
+    const { body } = await ctx.post("/update_fields", { db: "tasks", page_id: page.id, fields: { Estimate: 7 } }, { token: "writer" });
+    assert.equal(body.ok, true);
+    assert.equal(ctx.stub.requests.filter((r) => r.method === "PATCH").length, 3);
+    assert.equal(ctx.stub.pages.get(page.id).properties.Estimate.number, 7);
+  });
+
+  test("500s are not retried and surface as 502s", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Broken" });
+    ctx.stub.fail("GET", `/v1/pages/${page.id}`, 500);
+    const { status, body } = await ctx.get(`/get_page?page_id=${page.id}`, { token: "reader" });
+    assert.equal(status, 502);
+    assert.equal(body.code, "notion_unavailable");
+    assert.equal(pageRequests(page.id).length, 1);
+  });
+
+  test("gives up after five rate-limited attempts", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Always busy" });
+    ctx.stub.fail("GET", `/v1/pages/${page.id}`, 429, { times: 5, headers: { "retry-after": "0" }, code: "rate_limited" });
+    const { status, headers } = await ctx.get(`/get_page?page_id=${page.id}`, { token: "reader" });
+    assert.equal(status, 429);
+    assert.equal(headers.get("retry-after"), "0");
+    assert.equal(pageRequests(page.id).length, 5);
+  });
+
+  test("batch items report their own failures while the rest succeed", async () => {
+    const ok = ctx.stub.addPage(DB_IDS.tasks, { Name: "Fine" });
+    const bad = ctx.stub.addPage(DB_IDS.tasks, { Name: "Rejected" });
+    ctx.stub.fail("PATCH", `/v1/pages/${bad.id}`, 400, { code: "validation_error" });
+    const { body } = await ctx.post("/batch_update_fields", {
+      db: "tasks",
+      updates: [{ page_id: ok.id, fields: { Estimate: 1 } }, { page_id: bad.id, fields: { Estimate: 2 } }],
+    }, { token: "writer" });
+    assert.equal(body.ok, false);
+    assert.equal(body.results[0].status, "updated");
+    assert.equal(body.results[1].status, "failed");
+    assert.equal(body.results[1].code, "validation_error");
+  });
+
+  test("async jobs record permanent failures without retrying", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Job" });
+    ctx.stub.fail("PATCH", `/v1/blocks/${page.id}/children`, 400, { code: "validation_error" });
+    const { body } = await ctx.post("/append_task_content", { page_id: page.id, content: { markdown: "x" }, async: true }, { token: "writer" });
+    const job = await ctx.waitForJob(body.job_id, "writer");
+    assert.equal(job.status, "failed");
+    assert.equal(job.attempts, 1);
+  });
+
+  test("jobs that append are not retried after a transient failure", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Append once" });
+    ctx.stub.fail("PATCH", `/v1/blocks/${page.id}/children`, 500);
+    const { body } = await ctx.post("/append_task_content", { page_id: page.id, content: { markdown: "x" }, async: true }, { token: "writer" });
+    const job = await ctx.waitForJob(body.job_id, "writer");
+    assert.equal(job.status, "failed");
+    assert.equal(job.attempts, 1);
+    assert.equal(job.key_access, undefined);
+  });
+
+  test("job callbacks to private addresses are refused", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Callback" });
+    const { body } = await ctx.post("/append_task_content", {
+      page_id: page.id, content: { markdown: "x" }, async: true, callback_url: `${ctx.base}/health`,
+    }, { token: "writer" });
+    let job = await ctx.waitForJob(body.job_id, "writer");
+    for (let i = 0; i < 20 && !job.callback; i++) job = (await ctx.get(`/jobs/${body.job_id}`, { token: "writer" })).body.job;
+    assert.equal(job.callback.status, "failed");
+    assert.equal(job.callback.attempts, 1);
+    assert.match(job.callback.error, /private address/);
+  });
+});
@@ -0,0 +1,383 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { paragraph, startApp } from "./support/harness.js";
+import { DB_IDS } from "./support/notion-stub.js";
+
+const sent = (stub, method, pattern) => stub.requests.filter((r) => r.method === method && pattern.test(r.path));
+
+let ctx;
+before(async () => {
+  ctx = await startApp({
+    searchFixture: [{ title: "Vector clocks explained", url: "https://example.com/clocks", snippet: "Ordering events", published_at: new Date().toISOString() }],
+  });
+});
+after(() => ctx.close());
+
+function writeTemplate(name, template) {
+  fs.mkdirSync(path.join(ctx.dir, "templates"), { recursive: true });
+  fs.writeFileSync(path.join(ctx.dir, "templates", `${name}.json`), JSON.stringify(template));
+}
+
+// One case per operation in /openapi.json; a test below fails if a documented route has no case
+const cases = {
+  "GET /health": async () => {
+    const { status, body } = await ctx.get("/health");
+    assert.equal(status, 200);
+    assert.equal(body.ok, true);
+    assert.equal(body.notion, "configured");
+    assert.deepEqual(body.notion_databases, { docs: true, roadmap: true, tasks: true });
+  },
+
+  "POST /cache/flush": async () => {
+    await ctx.get("/notion_users", { token: "reader" });
+    assert.equal((await ctx.post("/cache/flush", {}, { token: "writer" })).status, 403);
+    const { body } = await ctx.post("/cache/flush", { cache: "users" }, { token: "admin" });
+    assert.deepEqual(body.flushed, { users: 1 });
+  },
+
+  "GET /whoami": async () => {
+    const { body } = await ctx.get("/whoami", { token: "writer" });
+    assert.equal(body.key.name, "writer");
+    assert.deepEqual(body.key.scopes, ["read", "write", "delete"]);
+  },
+
+  "POST /find_pages": async () => {
+    ctx.stub.addPage(DB_IDS.tasks, { Name: "Ship v3", Status: "In progress", Priority: "High" });
+    ctx.stub.reset();
+    const { status, body } = await ctx.post("/find_pages", { db: "tasks", filter: "Status = 'In progress' and Priority = high", sort: "Due desc", fields: "Name,Status" }, { token: "reader" });
+    assert.equal(status, 200);
+    assert.ok(body.results.some((r) => r.title === "Ship v3" && r.fields.Status === "In progress"));
+    const [query] = sent(ctx.stub, "POST", /\/databases\/.*\/query$/);
+    assert.deepEqual(query.body.filter, {
+      and: [
+        { property: "Status", status: { equals: "In progress" } },
+        { property: "Priority", select: { equals: "High" } },
+      ],
+    });
+    assert.deepEqual(query.body.sorts, [{ property: "Due", direction: "descending" }]);
+  },
+
+  "GET /get_page": async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Read me", Estimate: 3 });
+    const { body } = await ctx.get(`/get_page?page_id=${page.id}&simplify=true`, { token: "reader" });
+    assert.equal(body.properties.Name, "Read me");
+    assert.equal(body.properties.Estimate, 3);
+  },
+
+  "GET /page_blocks": async () => {
+    const page = ctx.stub.addPage(DB_IDS.docs, { Name: "Blocks" }, [paragraph("one"), paragraph("two")]);
+    const { body } = await ctx.get(`/page_blocks?page_id=${page.id}`, { token: "reader" });
+    assert.deepEqual(body.blocks.map((b) => b.paragraph.rich_text[0].plain_text), ["one", "two"]);
+  },
+
+  "GET /page_markdown": async () => {
+    const page = ctx.stub.addPage(DB_IDS.docs, { Name: "Notes", Topic: "ops" }, [
+      { type: "heading_2", heading_2: { rich_text: [{ type: "text", text: { content: "Heading" } }] } },
+      paragraph("Body"),
+    ]);
+    const { body } = await ctx.get(`/page_markdown?page_id=${page.id}&front_matter=true`, { token: "reader" });
+    assert.match(body.markdown, /## Heading\n\nBody/);
+    assert.match(body.markdown, /^---\n[\s\S]*Topic: ops[\s\S]*---/);
+  },
+
+  "POST /upsert_page": async () => {
+    const { body } = await ctx.post("/upsert_page", {
+      db: "tasks", title: "Upserted", fields: { Status: "Done", Estimate: 5 }, content: { description: "First\nSecond" },
+    }, { token: "writer" });
+    assert.equal(body.ok, true);
+    assert.equal(body.mode, "create");
+    const page = ctx.stub.pages.get(body.page_id);
+    assert.equal(page.properties.Status.status.name, "Done");
+    assert.equal(page.properties.Estimate.number, 5);
+    // Descriptions split on real newlines, one paragraph each
+    assert.deepEqual(ctx.stub.blocksOf(body.page_id).map((b) => b.paragraph.rich_text[0].plain_text), ["First", "Second"]);
+  },
+
+  "POST /create_from_template": async () => {
+    writeTemplate("task", { db: "tasks", title: "{{name}}", fields: { Estimate: "{{points}}" }, variables: { points: { type: "number" } } });
+    const { body } = await ctx.post("/create_from_template", { template: "task", variables: { name: "From template", points: 3 } }, { token: "writer" });
+    assert.equal(body.mode, "create");
+    assert.equal(ctx.stub.pages.get(body.page_id).properties.Estimate.number, 3);
+  },
+
+  "GET /templates": async () => {
+    writeTemplate("note", { title: "{{subject}}" });
+    const { body } = await ctx.get("/templates", { token: "reader" });
+    const note = body.templates.find((t) => t.name === "note");
+    assert.equal(note.db, "docs");
+    assert.deepEqual(note.variables, { subject: { type: "string", required: true } });
+  },
+
+  "POST /append_task_content": async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Append" });
+    const { body } = await ctx.post("/append_task_content", { page_id: page.id, content: { markdown: "- a\n- b" } }, { token: "writer" });
+    assert.equal(body.ok, true);
+    assert.deepEqual(ctx.stub.blocksOf(page.id).map((b) => b.type), ["bulleted_list_item", "bulleted_list_item"]);
+  },
+
+  "POST /replace_page_content": async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Replace" }, [paragraph("old")]);
+    const { body } = await ctx.post("/replace_page_content", { page_id: page.id, content: { markdown: "new" } }, { token: "writer" });
+    assert.equal(body.ok, true);
+    assert.deepEqual(ctx.stub.blocksOf(page.id).map((b) => b.paragraph.rich_text[0].plain_text), ["new"]);
+  },
+
+  "POST /delete_page": async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Delete" });
+    const { body } = await ctx.post("/delete_page", { page_id: page.id }, { token: "writer" });
+    assert.equal(body.ok, true);
+    assert.equal(ctx.stub.pages.get(page.id).archived, true);
+  },
+
+  "GET /audit": async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Audited" });
+    await ctx.post("/update_fields", { db: "tasks", page_id: page.id, fields: { Estimate: 8 } }, { token: "writer" });
+    const { body } = await ctx.get(`/audit?page_id=${page.id}&include_snapshot=true`, { token: "writer" });
+    assert.equal(body.entries.length, 1);
+    assert.equal(body.entries[0].action, "update");
+    assert.equal(body.entries[0].key, "writer");
+    assert.ok(body.entries[0].snapshot);
+  },
+
+  "POST /undo": async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Undo me", Estimate: 1 });
+    const update = await ctx.post("/update_fields", { db: "tasks", page_id: page.id, fields: { Estimate: 2 } }, { token: "writer" });
+    assert.equal(ctx.stub.pages.get(page.id).properties.Estimate.number, 2);
+    const { body } = await ctx.post("/undo", { audit_id: update.body.audit_id }, { token: "writer" });
+    assert.equal(body.ok, true);
+    assert.equal(ctx.stub.pages.get(page.id).properties.Estimate.number, 1);
+    const again = await ctx.post("/undo", { audit_id: update.body.audit_id }, { token: "writer" });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, "already_undone");
+  },
+
+  "POST /update_fields": async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Fields" });
+    const { body } = await ctx.post("/update_fields", { db: "tasks", page_id: page.id, fields: { Priority: "low", Nope: 1 } }, { token: "writer" });
+    assert.deepEqual(body.updated, ["Priority"]);
+    assert.equal(body.errors[0].field, "Nope");
+    assert.equal(ctx.stub.pages.get(page.id).properties.Priority.select.name, "Low");
+  },
+
+  "POST /batch_update_fields": async () => {
+    const a = ctx.stub.addPage(DB_IDS.tasks, { Name: "A" });
+    const b = ctx.stub.addPage(DB_IDS.tasks, { Name: "B" });
+    const { body } = await ctx.post("/batch_update_fields", {
+      db: "tasks",
+      updates: [
+        { page_id: a.id, fields: { Estimate: 1 } },
+        { page_id: b.id, fields: { Estimate: 2 } },
+        { page_id: "00000000000000000000000000000000", fields: { Estimate: 3 } },
+      ],
+    }, { token: "writer" });
+    assert.deepEqual(body.summary, { updated: 2, skipped: 0, failed: 1 });
+    assert.equal(body.results[2].http_status, 404);
+  },
+
+  "GET /jobs/{id}": async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Async" });
+    const { status, body } = await ctx.post("/append_task_content", { page_id: page.id, content: { markdown: "later" }, async: true }, { token: "writer" });
+    assert.equal(status, 202);
+    const job = await ctx.waitForJob(body.job_id, "writer");
+    assert.equal(job.status, "completed");
+    assert.equal(ctx.stub.blocksOf(page.id).length, 1);
+    const other = await ctx.get(`/jobs/${body.job_id}`, { token: "reader" });
+    assert.equal(other.status, 404);
+  },
+
+  "POST /generate_document": async () => {
+    const { body } = await ctx.post("/generate_document", { title: "Plan", content: "# Plan\n\nText", format: "md" }, { token: "exporter" });
+    assert.equal(body.ok, true);
+    const file = await ctx.download(body.doc_url);
+    assert.match(file.buffer.toString(), /# Plan/);
+  },
+
+  "POST /generate_from_pages": async () => {
+    const page = ctx.stub.addPage(DB_IDS.docs, { Name: "Source page" }, [paragraph("From Notion")]);
+    const { body } = await ctx.post("/generate_from_pages", { page_ids: [page.id], format: "md", title: "Export" }, { token: "exporter" });
+    assert.equal(body.ok, true);
+    const file = await ctx.download(body.doc_url);
+    assert.match(file.buffer.toString(), /From Notion/);
+  },
+
+  "GET /databases": async () => {
+    const { body } = await ctx.get("/databases", { token: "reader" });
+    assert.deepEqual(body.databases.map((d) => d.alias), ["docs", "roadmap", "tasks"]);
+    const tasks = body.databases.find((d) => d.alias === "tasks");
+    assert.deepEqual(tasks.aliases, ["task", "tracker"]);
+    assert.equal(tasks.database_id, DB_IDS.tasks);
+    assert.equal(tasks.title_property, "Name");
+    assert.equal(tasks.schema.Priority.type, "select");
+    assert.equal(body.databases[0].default, true);
+  },
+
+  "POST /changes/poll": async () => {
+    assert.equal((await ctx.post("/changes/poll", {}, { token: "writer" })).status, 403);
+    const { body } = await ctx.post("/changes/poll", { full: true }, { token: "admin" });
+    assert.equal(body.ok, true);
+    assert.deepEqual(body.databases.map((d) => d.db), ["docs", "roadmap", "tasks"]);
+  },
+
+  "GET /changes": async () => {
+    await ctx.post("/changes/poll", {}, { token: "admin" });
+    const { body: before } = await ctx.get("/changes", { token: "reader" });
+    const page = ctx.stub.addPage(DB_IDS.roadmap, { Name: "Feed item" });
+    await ctx.post("/changes/poll", {}, { token: "admin" });
+    const { body } = await ctx.get(`/changes?since=${before.cursor}&db=roadmap`, { token: "reader" });
+    assert.deepEqual(body.events.map((e) => [e.type, e.page_id]), [["page.created", page.id]]);
+    assert.equal(body.has_more, false);
+  },
+
+  "POST /webhooks": async () => {
+    const bad = await ctx.post("/webhooks", { url: "ftp://example.com" }, { token: "admin" });
+    assert.equal(bad.body.error, "invalid_url");
+    const { body } = await ctx.post("/webhooks", { url: "https://example.com/sol", events: ["page.archived"] }, { token: "admin" });
+    assert.match(body.secret, /^[0-9a-f]{64}$/);
+    assert.deepEqual(body.webhook.events, ["page.archived"]);
+    await ctx.post("/webhooks/delete", { webhook_id: body.webhook.id }, { token: "admin" });
+  },
+
+  "GET /webhooks": async () => {
+    const { body: created } = await ctx.post("/webhooks", { url: "https://example.com/list" }, { token: "admin" });
+    const { body } = await ctx.get("/webhooks", { token: "admin" });
+    const hook = body.webhooks.find((w) => w.id === created.webhook.id);
+    assert.equal(hook.url, "https://example.com/list");
+    assert.equal(hook.secret, undefined);
+    await ctx.post("/webhooks/delete", { webhook_id: hook.id }, { token: "admin" });
+  },
+
+  "POST /webhooks/delete": async () => {
+    const { body: created } = await ctx.post("/webhooks", { url: "https://example.com/gone" }, { token: "admin" });
+    assert.equal((await ctx.post("/webhooks/delete", { webhook_id: created.webhook.id }, { token: "admin" })).body.ok, true);
+    assert.equal((await ctx.post("/webhooks/delete", { webhook_id: created.webhook.id }, { token: "admin" })).status, 404);
+  },
+
+  "GET /notion_schema": async () => {
+    const { body } = await ctx.get("/notion_schema?db=tasks", { token: "reader" });
+    assert.equal(body.ok, true);
+    assert.equal(JSON.stringify(body).includes("Priority"), true);
+  },
+
+  "GET /notion_raw_props": async () => {
+    const { body } = await ctx.get("/notion_raw_props?db=docs", { token: "reader" });
+    assert.equal(body.raw.Topic.type, "rich_text");
+  },
+
+  "GET /notion_users": async () => {
+    const { body } = await ctx.get("/notion_users", { token: "reader" });
+    assert.equal(body.ok, true);
+    assert.ok(JSON.stringify(body).includes("Ada Lovelace"));
+  },
+
+  "POST /notion_test_create": async () => {
+    const { body } = await ctx.post("/notion_test_create", { db: "roadmap", title: "Smoke" }, { token: "writer" });
+    assert.equal(body.ok, true);
+    const created = [...ctx.stub.pages.values()].find((p) => p.properties.Name?.title[0]?.plain_text === "Smoke");
+    assert.equal(created.parent.database_id, DB_IDS.roadmap);
+  },
+
+  "POST /memory_note": async () => {
+    const { body } = await ctx.post("/memory_note", { title: "Remember", topic: "ops", content: { markdown: "note body" } }, { token: "writer" });
+    assert.equal(body.ok, true);
+    const page = ctx.stub.pages.get(body.page_id);
+    assert.equal(page.parent.database_id, DB_IDS.docs);
+    assert.equal(page.properties.Topic.rich_text[0].plain_text, "ops");
+  },
+
+  "GET /memory_notes": async () => {
+    const { body } = await ctx.get("/memory_notes?topic=ops&simplify=true", { token: "reader" });
+    assert.equal(body.ok, true);
+    assert.ok(body.results.length >= 1);
+  },
+
+  "GET /memory_search": async () => {
+    ctx.stub.addPage(DB_IDS.docs, { Name: "Pager rota", Topic: "oncall" }, [paragraph("Swap shifts in the rota channel.")]);
+    const { body } = await ctx.get("/memory_search?q=rota+shifts", { token: "reader" });
+    assert.equal(body.results[0].title, "Pager rota");
+    assert.match(body.results[0].snippet, /\*\*shifts\*\*/);
+    assert.deepEqual(body.facets.topics, [{ value: "oncall", count: 1 }]);
+  },
+
+  "POST /memory_delete": async () => {
+    const page = ctx.stub.addPage(DB_IDS.docs, { Name: "Forget" });
+    const { body } = await ctx.post("/memory_delete", { page_id: page.id }, { token: "writer" });
+    assert.equal(body.ok, true);
+    assert.equal(ctx.stub.pages.get(page.id).archived, true);
+
+    // Pages outside the memory database are left alone
+    const task = ctx.stub.addPage(DB_IDS.tasks, { Name: "Keep" });
+    const other = await ctx.post("/memory_delete", { page_id: task.id }, { token: "writer" });
+    assert.equal(other.status, 404);
+    assert.equal(other.body.error, "memory_not_found");
+    assert.equal(ctx.stub.pages.get(task.id).archived, false);
+  },
+
+  "GET /memory_pack_export": async () => {
+    ctx.stub.addPage(DB_IDS.docs, { Name: "Packed", Topic: "pack" }, [paragraph("packed body")]);
+    const { body } = await ctx.get("/memory_pack_export?topic=pack&format=md", { token: "exporter" });
+    assert.equal(body.ok, true);
+    const file = await ctx.download(body.doc_url);
+    assert.match(file.buffer.toString(), /packed body/);
+  },
+
+  "POST /search_web": async () => {
+    const { body } = await ctx.post("/search_web", { query: "vector clocks" }, { token: "reader" });
+    assert.equal(body.ok, true);
+    assert.equal(body.results[0].url, "https://example.com/clocks");
+    const save = await ctx.post("/search_web", { query: "vector clocks", save_to: "research" }, { token: "reader" });
+    assert.equal(save.status, 403);
+  },
+};
+
+describe("routes", () => {
+  for (const [name, run] of Object.entries(cases)) test(name, run);
+
+  test("every documented route has a case", async () => {
+    const { body: openapi } = await ctx.get("/openapi.json");
+    const documented = Object.entries(openapi.paths).flatMap(([p, ops]) => Object.keys(ops).map((m) => `${m.toUpperCase()} ${p}`));
+    assert.deepEqual(documented.filter((op) => !cases[op]), []);
+  });
+
+  test("the spec is generated from the route declarations", async () => {
+    const { body } = await ctx.get("/openapi.json");
+    assert.equal(body.servers[0].url, ctx.base);
+    const op = body.paths["/update_fields"].post;
+    assert.equal(op["x-sol-scope"], "write");
+    assert.deepEqual(op.requestBody.content["application/json"].schema.required, ["page_id"]);
+    assert.ok(op.responses["400"] && op.responses["401"] && op.responses["429"]);
+    assert.deepEqual(body.paths["/jobs/{id}"].get.parameters[0], { in: "path", name: "id", required: true, schema: { type: "string" } });
+  });
+
+  test("invalid bodies and queries are rejected before reaching Notion", async () => {
+    ctx.stub.reset();
+    const missing = await ctx.get("/get_page", { token: "reader" });
+    assert.equal(missing.status, 400);
+    assert.deepEqual(missing.body, {
+      ok: false, error: "validation_failed", code: "validation_failed", details: [{ path: "query.page_id", message: "is required" }],
+    });
+
+    const bad = await ctx.post("/batch_update_fields", { db: "nope", updates: [{ fields: {} }], stop_on_error: "yes" }, { token: "writer" });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.details.map((d) => d.path).sort(), ["body.db", "body.stop_on_error", "body.updates[0].page_id"]);
+
+    const query = await ctx.get("/audit?limit=many&include_snapshot=true", { token: "reader" });
+    assert.deepEqual(query.body.details, [{ path: "query.limit", message: "must be integer" }]);
+    assert.equal(ctx.stub.requests.length, 0);
+  });
+
+  test("query values are coerced before they are checked", async () => {
+    assert.equal((await ctx.get("/audit?limit=5&include_snapshot=1", { token: "reader" })).status, 200);
+    assert.equal((await ctx.get("/audit?limit=501", { token: "reader" })).body.details[0].message, "must be <= 500");
+  });
+
+  test("dry runs record writes without sending them", async () => {
+    const page = ctx.stub.addPage(DB_IDS.tasks, { Name: "Dry" });
+    ctx.stub.reset();
+    const { body } = await ctx.post("/update_fields", { db: "tasks", page_id: page.id, fields: { Estimate: 9 }, dry_run: true }, { token: "writer" });
+    assert.equal(body.dry_run, true);
+    assert.equal(body.requests[0].method, "PATCH");
+    assert.equal(sent(ctx.stub, "PATCH", /./).length, 0);
+  });
+});
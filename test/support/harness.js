@@ -0,0 +1,104 @@
+// Boots server.js in-process against the Notion stub. The server reads its config when imported, so each
+// test file calls startApp() once; node --test runs every file in its own process.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { once } from "events";
+import { DB_IDS, startNotionStub } from "./notion-stub.js";
+
+export const TOKENS = {
+  reader: "reader-token",
+  writer: "writer-token",
+  exporter: "exporter-token",
+  admin: "admin-token",
+  tasksOnly: "tasks-only-token",
+  limited: "limited-token",
+};
+
+const KEYS = [
+  { name: "reader", key: TOKENS.reader, scopes: ["read"] },
+  { name: "writer", key: TOKENS.writer, scopes: ["read", "write", "delete"] },
+  { name: "exporter", key: TOKENS.exporter, scopes: ["read", "export"] },
+  { name: "admin", key: TOKENS.admin, scopes: "*" },
+  { name: "tasks-only", key: TOKENS.tasksOnly, scopes: ["read", "write"], databases: ["tasks"] },
+  { name: "limited", key: TOKENS.limited, scopes: ["read"], rate_limits: { read: 2 } },
+];
+
+// Paragraph block for seeding page content
+export const paragraph = (text) => ({ type: "paragraph", paragraph: { rich_text: [{ type: "text", text: { content: text } }] } });
+
+// `databases` is written as the database registry; `notionTokens` are the integration tokens the stub accepts
+export async function startApp({ env = {}, searchFixture, databases, notionTokens } = {}) {
+  const stub = await startNotionStub(notionTokens && { tokens: notionTokens });
+  // Files, audit log, jobs and keys all live under the working directory
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sol-test-"));
+  process.chdir(dir);
+  fs.writeFileSync(path.join(dir, "sol_keys.json"), JSON.stringify({ keys: KEYS }));
+  if (searchFixture) fs.writeFileSync(path.join(dir, "search_fixture.json"), JSON.stringify(searchFixture));
+  if (databases) fs.writeFileSync(path.join(dir, "sol_databases.json"), JSON.stringify({ databases }));
+
+  Object.assign(process.env, {
+    NOTION_KEY: "secret_test",
+    NOTION_API_URL: stub.url,
+    NOTION_DATABASE_ID: DB_IDS.docs,
+    ROADMAP_DATABASE_ID: DB_IDS.roadmap,
+    TASK_TRACKER_DATABASE_ID: DB_IDS.tasks,
+    NOTION_RPS: "1000",
+    RATE_LIMIT_READ: "0",
+    RATE_LIMIT_WRITE: "0",
+    RATE_LIMIT_GENERATE: "0",
+    ...env,
+  });
+  // Request logs and route errors are expected noise; SOL_TEST_LOGS=1 keeps them
+  if (!process.env.SOL_TEST_LOGS) console.log = console.error = () => {};
+
+  const { app } = await import("../../server.js");
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON in, JSON (or text) out; `token` picks one of TOKENS by name
+  async function call(method, url, { token, body, headers = {} } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        ...(body !== undefined && { "content-type": "application/json" }),
+        ...(token && { "x-sol-token": TOKENS[token] }),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not JSON */ }
+    return { status: res.status, headers: res.headers, body: json ?? text };
+  }
+
+  return {
+    base,
+    dir,
+    stub,
+    call,
+    get: (url, opts) => call("GET", url, opts),
+    post: (url, body, opts) => call("POST", url, { ...opts, body }),
+    // Download a generated file by its public URL
+    async download(url) {
+      const res = await fetch(url.replace(/^https?:\/\/[^/]+/, base));
+      return { status: res.status, type: res.headers.get("content-type"), buffer: Buffer.from(await res.arrayBuffer()) };
+    },
+    async waitForJob(id, token = "admin") {
+      for (let i = 0; i < 100; i++) {
+        const { body } = await call("GET", `/jobs/${id}`, { token });
+        if (["completed", "failed"].includes(body.job?.status)) return body.job;
+        await new Promise((r) => setTimeout(r, 50));
+      }
+      throw new Error(`job ${id} did not finish`);
+    },
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      await stub.close();
+      process.chdir(os.tmpdir());
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,219 @@
+// In-memory stand-in for the parts of the Notion REST API the server calls. Every request is recorded in
+// `requests`; `fail()` queues error responses (409/429/500...) for matching requests before they are handled.
+import crypto from "crypto";
+import express from "express";
+import { once } from "events";
+
+export const DB_IDS = {
+  docs: "d0c5d0c5-0000-4000-8000-0000000000d1",
+  roadmap: "d0c5d0c5-0000-4000-8000-0000000000d2",
+  tasks: "d0c5d0c5-0000-4000-8000-0000000000d3",
+};
+
+export const USERS = [
+  { object: "user", id: "5e1f0000-0000-4000-8000-000000000001", type: "person", name: "Ada Lovelace", person: { email: "ada@example.com" } },
+  { object: "user", id: "5e1f0000-0000-4000-8000-000000000002", type: "bot", name: "Sol", bot: {} },
+];
+
+const prop = (id, type, config = {}) => ({ id, type, [type]: config });
+const options = (...names) => ({ options: names.map((name, i) => ({ id: `opt${i}`, name, color: "default" })) });
+
+export const SCHEMAS = {
+  [DB_IDS.docs]: {
+    Name: prop("title", "title"),
+    Topic: prop("tp", "rich_text"),
+    Tags: prop("tg", "multi_select", options("ops", "notes")),
+  },
+  [DB_IDS.roadmap]: {
+    Name: prop("title", "title"),
+    Status: prop("st", "status", options("Planned", "Shipped")),
+  },
+  [DB_IDS.tasks]: {
+    Name: prop("title", "title"),
+    Status: prop("st", "status", options("Not started", "In progress", "Done")),
+    Priority: prop("pr", "select", options("High", "Low")),
+    Due: prop("du", "date"),
+    Estimate: prop("es", "number"),
+    Assignee: prop("as", "people"),
+  },
+};
+
+// Request rich text → response rich text
+const withPlainText = (items = []) =>
+  items.map((t) => ({ type: "text", annotations: {}, ...t, plain_text: t.text?.content ?? t.plain_text ?? "" }));
+
+function normalizeProperties(schema, properties = {}) {
+  const out = {};
+  for (const [name, value] of Object.entries(properties)) {
+    const type = schema[name]?.type || Object.keys(value)[0];
+    const v = value[type];
+    out[name] = { id: schema[name]?.id, type, [type]: type === "title" || type === "rich_text" ? withPlainText(v) : v };
+  }
+  return out;
+}
+
+// Notion's error body, with a fresh request_id like the real API
+const notionError = (res, status, code, message) =>
+  res.status(status).json({ object: "error", status, code, message, request_id: crypto.randomUUID() });
+const notFound = (res, what, id) => notionError(res, 404, "object_not_found", `Could not find ${what} with ID: ${id}.`);
+
+const paginate = (items, cursor, size = 100) => {
+  const start = Number(cursor || 0);
+  const end = start + Number(size || 100);
+  return { object: "list", results: items.slice(start, end), has_more: end < items.length, next_cursor: end < items.length ? String(end) : null };
+};
+
+// Requests must carry one of `tokens` (one integration per workspace)
+export async function startNotionStub({ tokens = ["secret_test"] } = {}) {
+  const app = express();
+  app.use(express.json({ limit: "10mb" }));
+
+  const requests = [];
+  const faults = [];
+  const pages = new Map();
+  const blocks = new Map();
+  const children = new Map();
+  const norm = (id) => String(id).replace(/-/g, "").toLowerCase();
+  const key = (id) => {
+    const raw = norm(id);
+    return `${raw.slice(0, 8)}-${raw.slice(8, 12)}-${raw.slice(12, 16)}-${raw.slice(16, 20)}-${raw.slice(20)}`;
+  };
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, query: req.query, body: req.body, headers: req.headers });
+    if (!tokens.some((t) => req.headers.authorization === `Bearer ${t}`)) {
+      return notionError(res, 401, "unauthorized", "API token is invalid.");
+    }
+    const i = faults.findIndex((f) => f.method === req.method && (f.path instanceof RegExp ? f.path.test(req.path) : f.path === req.path));
+    if (i < 0) return next();
+    const fault = faults[i];
+    if (--fault.times <= 0) faults.splice(i, 1);
+    res.set(fault.headers || {});
+    notionError(res, fault.status, fault.code, `Injected ${fault.status}`);
+  });
+
+  app.get("/v1/databases/:id", (req, res) => {
+    const schema = SCHEMAS[key(req.params.id)];
+    if (!schema) return notFound(res, "database", req.params.id);
+    res.json({ object: "database", id: key(req.params.id), properties: schema });
+  });
+
+  // Filters are recorded but not evaluated: every live page of the database matches
+  app.post("/v1/databases/:id/query", (req, res) => {
+    const dbId = key(req.params.id);
+    if (!SCHEMAS[dbId]) return notFound(res, "database", req.params.id);
+    const rows = [...pages.values()].filter((p) => p.parent.database_id === dbId && !p.archived);
+    res.json(paginate(rows, req.body?.start_cursor, req.body?.page_size));
+  });
+
+  app.post("/v1/pages", (req, res) => {
+    const dbId = key(req.body?.parent?.database_id || "");
+    if (!SCHEMAS[dbId]) return notFound(res, "database", req.body?.parent?.database_id);
+    const page = createPage(dbId, req.body.properties);
+    res.json(page);
+  });
+
+  app.get("/v1/pages/:id", (req, res) => {
+    const page = pages.get(key(req.params.id));
+    if (!page) return notFound(res, "page", req.params.id);
+    res.json(page);
+  });
+
+  app.patch("/v1/pages/:id", (req, res) => {
+    const page = pages.get(key(req.params.id));
+    if (!page) return notFound(res, "page", req.params.id);
+    if ("archived" in req.body) page.archived = req.body.archived;
+    Object.assign(page.properties, normalizeProperties(SCHEMAS[page.parent.database_id], req.body.properties));
+    page.last_edited_time = new Date().toISOString();
+    res.json(page);
+  });
+
+  app.get("/v1/blocks/:id", (req, res) => {
+    const block = blocks.get(key(req.params.id));
+    if (!block) return notFound(res, "block", req.params.id);
+    res.json(block);
+  });
+
+  app.get("/v1/blocks/:id/children", (req, res) => {
+    const id = key(req.params.id);
+    if (!pages.has(id) && !blocks.has(id)) return notFound(res, "block", req.params.id);
+    const list = (children.get(id) || []).map((b) => blocks.get(b)).filter((b) => !b.archived);
+    res.json(paginate(list, req.query.start_cursor, req.query.page_size));
+  });
+
+  app.patch("/v1/blocks/:id/children", (req, res) => {
+    const id = key(req.params.id);
+    if (!pages.has(id) && !blocks.has(id)) return notFound(res, "block", req.params.id);
+    const created = (req.body.children || []).map((b) => addBlock(id, b));
+    if (pages.has(id)) pages.get(id).last_edited_time = new Date().toISOString();
+    res.json({ object: "list", results: created, has_more: false, next_cursor: null });
+  });
+
+  app.delete("/v1/blocks/:id", (req, res) => {
+    const block = blocks.get(key(req.params.id));
+    if (!block) return notFound(res, "block", req.params.id);
+    block.archived = true;
+    res.json(block);
+  });
+
+  app.get("/v1/users", (req, res) => res.json(paginate(USERS, req.query.start_cursor, req.query.page_size)));
+
+  function createPage(dbId, properties = {}) {
+    const now = new Date().toISOString();
+    const page = {
+      object: "page", id: crypto.randomUUID(), created_time: now, last_edited_time: now, archived: false,
+      parent: { type: "database_id", database_id: dbId }, url: "https://www.notion.so/stub",
+      properties: normalizeProperties(SCHEMAS[dbId], properties),
+    };
+    pages.set(page.id, page);
+    return page;
+  }
+
+  function addBlock(parentId, b) {
+    const { children: nested = [], ...body } = b[b.type] || {};
+    if (body.rich_text) body.rich_text = withPlainText(body.rich_text);
+    if (body.cells) body.cells = body.cells.map(withPlainText);
+    const parent = pages.has(parentId) ? { type: "page_id", page_id: parentId } : { type: "block_id", block_id: parentId };
+    const block = {
+      object: "block", id: crypto.randomUUID(), parent, type: b.type, [b.type]: body, has_children: nested.length > 0, archived: false,
+    };
+    blocks.set(block.id, block);
+    children.set(parentId, [...(children.get(parentId) || []), block.id]);
+    nested.forEach((c) => addBlock(block.id, c));
+    return block;
+  }
+
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    pages,
+    // Seed a page with plain-text property values: { Name: "Title", Topic: "ops" }
+    addPage(db, fields = {}, content = []) {
+      const schema = SCHEMAS[db];
+      const properties = {};
+      for (const [name, value] of Object.entries(fields)) {
+        const type = schema[name].type;
+        if (type === "title" || type === "rich_text") properties[name] = { [type]: [{ text: { content: value } }] };
+        else if (type === "select" || type === "status") properties[name] = { [type]: { name: value } };
+        else if (type === "date") properties[name] = { date: { start: value } };
+        else properties[name] = { [type]: value };
+      }
+      const page = createPage(db, properties);
+      content.forEach((b) => addBlock(page.id, b));
+      return page;
+    },
+    blocksOf: (id) => (children.get(key(id)) || []).map((b) => blocks.get(b)).filter((b) => !b.archived),
+    // Fail the next `times` requests matching method and path (a string or RegExp)
+    fail(method, path, status, { times = 1, headers, code = "injected_error" } = {}) {
+      faults.push({ method: method.toUpperCase(), path, status, times, headers, code });
+    },
+    reset() {
+      requests.length = 0;
+      faults.length = 0;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
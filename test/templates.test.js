@@ -0,0 +1,183 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { paragraph, startApp } from "./support/harness.js";
+import { DB_IDS } from "./support/notion-stub.js";
+
+const MEETING = {
+  description: "Meeting notes",
+  db: "docs",
+  variables: {
+    topic: { type: "string", description: "What the meeting is about" },
+    date: { type: "date" },
+    attendees: { type: "array" },
+    tags: { type: "array", required: false },
+  },
+  title: "{{date}} · {{topic}}",
+  fields: { Topic: "meetings", Tags: "{{tags}}" },
+  allow_new_options: true,
+  content: {
+    markdown: [
+      "## Attendees",
+      "{{#each attendees}}",
+      "- {{this}}",
+      "{{/each}}",
+      "",
+      "## Decisions",
+      "{{#if decisions}}",
+      "{{#each decisions}}",
+      "1. {{this}}",
+      "{{/each}}",
+      "{{else}}",
+      "No decisions yet.",
+      "{{/if}}",
+    ].join("\n"),
+    subtasks: [{ text: "Send notes to {{this}}", $each: "attendees" }],
+  },
+};
+
+let ctx, source;
+before(async () => {
+  ctx = await startApp();
+  // Incident reports come from a Notion page; the template file only adds the database, a field and a match
+  source = ctx.stub.addPage(DB_IDS.roadmap, { Name: "Incident: {{summary}}" }, [
+    paragraph("Severity {{severity}}"),
+    paragraph("{{#if pager}}"),
+    paragraph("Paged {{pager}}"),
+    paragraph("{{/if}}"),
+  ]);
+  const dir = path.join(ctx.dir, "templates");
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, "meeting.json"), JSON.stringify(MEETING));
+  fs.writeFileSync(path.join(dir, "incident.json"), JSON.stringify({
+    db: "tasks",
+    source_page_id: source.id,
+    variables: { priority: { default: "High" } },
+    fields: { Priority: "{{priority}}" },
+    match: { Name: "Incident: {{summary}}" },
+  }));
+});
+after(() => ctx.close());
+
+const create = (body) => ctx.post("/create_from_template", body, { token: "writer" });
+const blockTexts = (pageId) => ctx.stub.blocksOf(pageId).map((b) => `${b.type}: ${b[b.type].rich_text.map((t) => t.plain_text).join("")}`);
+
+describe("templates", () => {
+  test("variables fill the title, properties, repeated sections and conditionals", async () => {
+    const { status, body } = await create({
+      template: "meeting",
+      variables: { topic: "Planning", date: "2026-10-19", attendees: ["Ada", "Grace"], tags: ["ops", "planning"] },
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.template, "meeting");
+    assert.equal(body.mode, "create");
+
+    const page = ctx.stub.pages.get(body.page_id);
+    assert.equal(page.parent.database_id, DB_IDS.docs);
+    assert.equal(page.properties.Name.title[0].plain_text, "2026-10-19 · Planning");
+    assert.deepEqual(page.properties.Tags.multi_select.map((o) => o.name), ["ops", "planning"]);
+    assert.deepEqual(blockTexts(body.page_id), [
+      "heading_2: Attendees",
+      "bulleted_list_item: Ada",
+      "bulleted_list_item: Grace",
+      "heading_2: Decisions",
+      "paragraph: No decisions yet.",
+      "to_do: Send notes to Ada",
+      "to_do: Send notes to Grace",
+    ]);
+
+    const decided = await create({
+      template: "meeting",
+      variables: { topic: "Retro", date: "2026-10-20", attendees: ["Ada"], decisions: ["Ship it", "Hire"] },
+    });
+    assert.deepEqual(blockTexts(decided.body.page_id).filter((t) => t.startsWith("numbered")), [
+      "numbered_list_item: Ship it",
+      "numbered_list_item: Hire",
+    ]);
+    // An optional list left out does not clear the property
+    assert.deepEqual(ctx.stub.pages.get(decided.body.page_id).properties.Tags?.multi_select ?? [], []);
+  });
+
+  test("missing or mistyped variables are rejected before anything is written", async () => {
+    ctx.stub.reset();
+    const { status, body } = await create({ template: "meeting", variables: { date: "next tuesday", attendees: "Ada" } });
+    assert.equal(status, 400);
+    assert.equal(body.error, "invalid_variables");
+    assert.deepEqual(body.details.map((d) => d.path).sort(), ["variables.attendees", "variables.date", "variables.topic"]);
+    assert.equal(ctx.stub.requests.filter((r) => r.method !== "GET").length, 0);
+
+    const unknown = await create({ template: "meetin" });
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.hint, 'Did you mean "meeting"?');
+  });
+
+  test("templates sourced from a Notion page go through the upsert match", async () => {
+    const first = await create({ template: "incident", variables: { summary: "API down", severity: "SEV1" } });
+    assert.equal(first.body.mode, "created");
+    const page = ctx.stub.pages.get(first.body.page_id);
+    assert.equal(page.parent.database_id, DB_IDS.tasks);
+    assert.equal(page.properties.Name.title[0].plain_text, "Incident: API down");
+    assert.equal(page.properties.Priority.select.name, "High");
+    assert.deepEqual(blockTexts(first.body.page_id), ["paragraph: Severity SEV1"]);
+
+    const again = await create({ template: "incident", variables: { summary: "API down", severity: "SEV2", pager: "Ada" } });
+    assert.equal(again.body.mode, "matched");
+    assert.equal(again.body.page_id, first.body.page_id);
+    assert.deepEqual(blockTexts(first.body.page_id).slice(1), ["paragraph: Severity SEV2", "paragraph: Paged Ada"]);
+    // The property update and the append are audited (and undone) separately
+    assert.equal(first.body.audit_ids, undefined);
+    assert.equal(again.body.audit_ids.length, 2);
+    assert.equal(again.body.audit_id, again.body.audit_ids[0]);
+  });
+
+  test("broken templates are reported as bad requests", async () => {
+    const file = path.join(ctx.dir, "templates", "broken.json");
+    fs.writeFileSync(file, JSON.stringify({ db: "tasks", title: "{{#each items}}" }));
+    try {
+      const { status, body } = await create({ template: "broken" });
+      assert.equal(status, 400);
+      assert.equal(body.error, "invalid_template");
+      assert.match(body.message, /never closed/);
+    } finally {
+      fs.rmSync(file);
+    }
+  });
+
+  test("allow-listed keys get the template's own error instead of a guessed database", async () => {
+    const file = path.join(ctx.dir, "templates", "garbled.json");
+    fs.writeFileSync(file, "{ not json");
+    try {
+      const garbled = await ctx.post("/create_from_template", { template: "garbled" }, { token: "tasksOnly" });
+      assert.equal(garbled.status, 400);
+      assert.equal(garbled.body.error, "invalid_template");
+      const missing = await ctx.post("/create_from_template", { template: "incidnt" }, { token: "tasksOnly" });
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.error, "template_not_found");
+      // Hidden from the listing, which can't tell which database it belongs to
+      const listed = await ctx.get("/templates", { token: "tasksOnly" });
+      assert.deepEqual(listed.body.templates.map((t) => t.name), ["incident"]);
+    } finally {
+      fs.rmSync(file);
+    }
+  });
+
+  test("GET /templates lists declared and inferred variables", async () => {
+    const { body } = await ctx.get("/templates", { token: "reader" });
+    const byName = Object.fromEntries(body.templates.map((t) => [t.name, t]));
+    assert.deepEqual(Object.keys(byName), ["incident", "meeting"]);
+    assert.deepEqual(byName.meeting.variables.topic, { type: "string", description: "What the meeting is about", required: true });
+    assert.equal(byName.meeting.variables.tags.required, false);
+    assert.deepEqual(byName.meeting.variables.decisions, { type: "array", required: false });
+    assert.deepEqual(byName.incident.variables, {
+      summary: { type: "string", required: true },
+      severity: { type: "string", required: true },
+      pager: { type: "string", required: false },
+      priority: { type: "string", default: "High", required: false },
+    });
+    assert.equal(byName.incident.source_page_id, source.id);
+
+    const limited = await ctx.get("/templates", { token: "tasksOnly" });
+    assert.deepEqual(limited.body.templates.map((t) => t.name), ["incident"]);
+  });
+});